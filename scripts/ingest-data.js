@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Offline data ingestion: turns the raw Kaggle CSV (Housing.csv) into the static asset the app
+// fetches at startup, public/data/realEstateData.json, plus public/data/realEstateData.meta.json
+// (row count, field summary, generation time and source checksum).
+//
+//   npm run ingest-data -- path/to/Housing.csv [--out public/data/realEstateData.json] [--meta public/data/realEstateData.meta.json]
+//
+// The schema, the CSV tokenizer and the value checks are the app's own modules (src/constants/schema.js,
+// src/utils/datasetParser.js and src/utils/dataQuality.js), so the script and the runtime loader
+// can't disagree about what a valid row is.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+const babel = require('@babel/core');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+
+// The app's modules are ES modules with extensionless imports; compile them to CommonJS on require
+const loadJs = Module._extensions['.js'];
+Module._extensions['.js'] = (module, filename) => {
+  if (!filename.startsWith(SRC + path.sep)) return loadJs(module, filename);
+  const { code } = babel.transformFileSync(filename, {
+    babelrc: false,
+    configFile: false,
+    plugins: ['@babel/plugin-transform-modules-commonjs']
+  });
+  return module._compile(code, filename);
+};
+
+const { DATASET_FIELDS: FIELDS } = require('../src/constants/schema');
+const { parseCsvRows, coerceValue } = require('../src/utils/datasetParser');
+const { validateValue } = require('../src/utils/dataQuality');
+
+const DEFAULT_INPUT = path.join(ROOT, 'data', 'Housing.csv');
+const DEFAULT_OUTPUT = path.join(ROOT, 'public', 'data', 'realEstateData.json');
+const DEFAULT_META = path.join(ROOT, 'public', 'data', 'realEstateData.meta.json');
+
+const SOURCE_URL = 'https://www.kaggle.com/datasets/wardabilal/real-estate-price-insights';
+
+const parseArgs = (argv) => {
+  const args = { input: DEFAULT_INPUT, output: DEFAULT_OUTPUT, meta: DEFAULT_META };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.output = path.resolve(argv[++i]);
+    else if (argv[i] === '--meta') args.meta = path.resolve(argv[++i]);
+    else if (argv[i] === '--help' || argv[i] === '-h') args.help = true;
+    else args.input = path.resolve(argv[i]);
+  }
+  return args;
+};
+
+// Coerce one raw value as the runtime loader does, then apply the schema constraints the
+// data-quality panel checks; returns { value } or { error }
+const cleanValue = (field, raw) => {
+  const coerced = coerceValue(field, raw);
+  if (coerced.error) return coerced;
+  const problem = validateValue(field, coerced.value);
+  return problem ? { error: problem.message } : coerced;
+};
+
+// Clean every row; invalid rows and exact duplicates are dropped and listed in the metadata
+const cleanRows = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('The input file is empty.');
+
+  const columns = header.values.map(column => column.trim().toLowerCase());
+  const missing = FIELDS.filter(field => !columns.includes(field.key)).map(field => field.key);
+  if (missing.length > 0) throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+
+  const records = [];
+  const dropped = [];
+  const seen = new Set();
+
+  rows.forEach(({ line, values }) => {
+    if (values.length !== columns.length) {
+      dropped.push({ line, reason: `expected ${columns.length} columns but found ${values.length}` });
+      return;
+    }
+    const record = {};
+    const errors = [];
+    FIELDS.forEach(field => {
+      const result = cleanValue(field, values[columns.indexOf(field.key)]);
+      if (result.error) errors.push(result.error);
+      else record[field.key] = result.value;
+    });
+    if (errors.length > 0) {
+      dropped.push({ line, reason: errors.join('; ') });
+      return;
+    }
+    const key = JSON.stringify(record);
+    if (seen.has(key)) {
+      dropped.push({ line, reason: 'duplicate of an earlier row' });
+      return;
+    }
+    seen.add(key);
+    records.push(record);
+  });
+
+  return { records, dropped, sourceRows: rows.length };
+};
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Per-field summary written to the metadata file
+const summarizeFields = (records) => FIELDS.reduce((summary, field) => {
+  const values = records.map(d => d[field.key]);
+  if (field.type === 'number') {
+    const sorted = [...values].sort((a, b) => a - b);
+    summary[field.key] = {
+      type: field.type,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      mean: round(values.reduce((a, b) => a + b, 0) / values.length),
+      median: median(sorted)
+    };
+  } else if (field.type === 'boolean') {
+    const trueCount = values.filter(Boolean).length;
+    summary[field.key] = { type: field.type, true: trueCount, false: values.length - trueCount };
+  } else {
+    summary[field.key] = {
+      type: field.type,
+      counts: field.values.reduce((counts, option) => ({
+        ...counts,
+        [option]: values.filter(value => value === option).length
+      }), {})
+    };
+  }
+  return summary;
+}, {});
+
+// Compact row-oriented JSON read by decodeDataset in src/utils/dataset.js:
+// { "source": "...", "fields": ["price", ...], "rows": [[13300000, 7420, ...], ...] }
+// One row per line keeps diffs of a refreshed dataset readable.
+const writeDataAsset = (file, records) => {
+  const rows = records.map(record => JSON.stringify(FIELDS.map(field => record[field.key])));
+  const content = [
+    '{',
+    `"source": ${JSON.stringify(SOURCE_URL)},`,
+    `"fields": ${JSON.stringify(FIELDS.map(field => field.key))},`,
+    '"rows": [',
+    rows.join(',\n'),
+    ']}',
+    ''
+  ].join('\n');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: npm run ingest-data -- [path/to/Housing.csv] [--out file.json] [--meta file.json]');
+    return;
+  }
+  if (!fs.existsSync(args.input)) {
+    throw new Error(`Input file not found: ${path.relative(ROOT, args.input)}. Download Housing.csv from ${SOURCE_URL}`);
+  }
+
+  const buffer = fs.readFileSync(args.input);
+  const { records, dropped, sourceRows } = cleanRows(buffer.toString('utf8'));
+  if (records.length === 0) throw new Error('No valid rows found in the input file.');
+
+  const metadata = {
+    generatedAt: new Date().toISOString(),
+    source: {
+      file: path.basename(args.input),
+      url: SOURCE_URL,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      bytes: buffer.length,
+      rows: sourceRows
+    },
+    rowCount: records.length,
+    droppedRows: dropped,
+    fields: summarizeFields(records)
+  };
+
+  writeDataAsset(args.output, records);
+  fs.writeFileSync(args.meta, `${JSON.stringify(metadata, null, 2)}\n`);
+
+  console.log(`Wrote ${records.length} of ${sourceRows} rows to ${path.relative(ROOT, args.output)}`);
+  dropped.forEach(({ line, reason }) => console.log(`  dropped line ${line}: ${reason}`));
+  console.log(`Wrote metadata to ${path.relative(ROOT, args.meta)}`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
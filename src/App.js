@@ -1,273 +1,407 @@
-import React, { useState } from 'react';
+import React, { useMemo, useRef, useState } from 'react';
 import './App.css';
-import { realEstateData } from './realEstateData';
 import ScatterPlot from './components/ScatterPlot';
 import Histogram from './components/Histogram';
 import DonutChart from './components/DonutChart';
 import HeatmapChart from './components/HeatmapChart';
 import FeaturePremiumChart from './components/FeaturePremiumChart';
+import FilterControls from './components/FilterControls';
+import SavedViewsMenu from './components/SavedViewsMenu';
+import ExportMenu from './components/ExportMenu';
+import ChartExportMenu from './components/ChartExportMenu';
+import ReportExportButton from './components/ReportExportButton';
+import DatasetLoader from './components/DatasetLoader';
+import DataQualityPanel from './components/DataQualityPanel';
+import ChartSkeleton from './components/ChartSkeleton';
+import DataTable from './components/DataTable';
+import StatsPanel from './components/StatsPanel';
+import MarketReport from './components/MarketReport';
+import InsightCards from './components/InsightCards';
+import ValueEstimator from './components/ValueEstimator';
+import { createEmptyFilters, toggleMarkFilter, MARK_FILTERS } from './utils/filters';
+import { prepareDataset } from './utils/dataset';
+import { getChartCaption } from './utils/chartExport';
+import { calculateOverviewStats } from './utils/stats';
+import { buildInsights } from './utils/insights';
+import { buildValueEstimator, estimatorProperty } from './utils/hedonic';
+import { buildQualityReport, applyQualityExclusions, createDefaultExclusions } from './utils/dataQuality';
+import { serializeDashboardState, parseDashboardState } from './utils/dashboardState';
+import { CHART_VIEWS, isChartInView } from './constants/chartViews';
+import useHashState from './hooks/useHashState';
+import useBundledDataset from './hooks/useBundledDataset';
+import useDashboardData from './hooks/useDashboardData';
+
+const DEFAULT_SOURCE_NAME = 'Real Estate Price Insights (Kaggle)';
+
+// Footprint of each chart, shared with its loading skeleton so the layout doesn't shift when the data arrives
+const CHART_SIZES = {
+  scatter: { width: 550, height: 400 },
+  histogram: { width: 550, height: 400 },
+  donut: { width: 550, height: 500 },
+  heatmap: { width: 550, height: 400 },
+  featurePremium: { width: 1000, height: 450 },
+  table: { width: 1000, height: 500 }
+};
+
+// Charts drawn with D3, in display order; the data table is rendered on its own
+const CHARTS = ['scatter', 'histogram', 'donut', 'heatmap', 'featurePremium'];
+
+// Stands in for the linked-interaction callbacks in the report, where the charts are static
+const ignore = () => {};
 
 function App() {
-  const [selectedChart, setSelectedChart] = useState('all');
-  const [filteredData, setFilteredData] = useState(realEstateData);
-  const [bedroomFilter, setBedroomFilter] = useState('all');
-  const [priceFilter, setPriceFilter] = useState('all');
-  const [amenityFilter, setAmenityFilter] = useState('all');
-
-  // Filter functions
-  const filterByBedrooms = (minBed, maxBed) => {
-    const filtered = realEstateData.filter(d => d.bedrooms >= minBed && d.bedrooms <= maxBed);
-    setFilteredData(filtered);
+  // View, filters and chart controls live in the URL hash so links reproduce the exact dashboard
+  const [dashboard, setDashboard] = useHashState(serializeDashboardState, parseDashboardState);
+  const { selectedChart, filters, chartSettings, report } = dashboard;
+
+  const setSelectedChart = (chart, options) => setDashboard(state => ({ ...state, selectedChart: chart }), options);
+  const setReportOpen = (open) => setDashboard(state => ({ ...state, report: open }));
+  const setFilters = (nextFilters) => setDashboard(state => ({ ...state, filters: nextFilters }));
+  const updateChartSettings = (chart) => (changes) => setDashboard(state => ({
+    ...state,
+    chartSettings: { ...state.chartSettings, [chart]: { ...state.chartSettings[chart], ...changes } }
+  }));
+
+  // The bundled dataset is fetched at startup; a CSV/JSON export loaded at runtime replaces it
+  const bundled = useBundledDataset();
+  const [uploaded, setUploaded] = useState(null); // { name, rows }
+  const dataset = useMemo(
+    () => (uploaded ? uploaded.rows : prepareDataset(bundled.data || [])),
+    [uploaded, bundled.data]
+  );
+  const sourceName = uploaded ? uploaded.name : DEFAULT_SOURCE_NAME;
+
+  // Rows failing the schema check are reported, and left out of the charts unless the user keeps them
+  const qualityReport = useMemo(() => buildQualityReport(dataset), [dataset]);
+  const [qualityExclusions, setQualityExclusions] = useState(createDefaultExclusions);
+  const cleanData = useMemo(
+    () => applyQualityExclusions(dataset, qualityReport, qualityExclusions),
+    [dataset, qualityReport, qualityExclusions]
+  );
+
+  // Properties brushed or lassoed on the scatter plot (null = no selection)
+  const [selectedIds, setSelectedIds] = useState(null);
+
+  // Properties hovered in any chart, shared so every chart can highlight them (null = none)
+  const [highlightedIds, setHighlightedIds] = useState(null);
+
+  // Property clicked in the data table, marked on the scatter plot (null = none)
+  const [focusedId, setFocusedId] = useState(null);
+
+  // Filtering and the chart aggregates run in a worker. Only the settings that change an aggregate
+  // are sent, so e.g. recoloring the scatter plot doesn't trigger a recomputation. The report
+  // ignores the scatter selection, which isn't part of the URL, so a saved view reproduces it.
+  const { variable, binCount } = chartSettings.histogram;
+  const { analysisType } = chartSettings.donut;
+  const { viewMode } = chartSettings.heatmap;
+  const { hedonicResponse } = chartSettings.featurePremium;
+  const aggregationSelection = report ? null : selectedIds;
+  const aggregationParams = useMemo(() => ({
+    filters,
+    selectedIds: aggregationSelection,
+    histogram: { variable, binCount },
+    donut: { analysisType },
+    heatmap: { viewMode },
+    hedonic: { response: hedonicResponse }
+  }), [filters, aggregationSelection, variable, binCount, analysisType, viewMode, hedonicResponse]);
+  const dashboardData = useDashboardData(cleanData, aggregationParams);
+
+  // Every active criterion is combined, so the stats and charts always match the controls;
+  // the other charts recompute on the brushed subset of the filtered data
+  const filteredData = dashboardData ? dashboardData.filteredData : cleanData;
+  const selectedData = dashboardData ? dashboardData.selectedData : cleanData;
+  const aggregates = dashboardData ? dashboardData.aggregates : {};
+  const isLoading = (!uploaded && bundled.status !== 'ready') || !dashboardData;
+
+  // Clicking a bin, slice or cell adds it to the global filters; shift-click adds to the chart's marks
+  const markClickHandlers = useMemo(() => Object.keys(MARK_FILTERS).reduce((handlers, chart) => ({
+    ...handlers,
+    [chart]: (item, additive) => setDashboard(state => ({
+      ...state,
+      filters: toggleMarkFilter(
+        state.filters,
+        chart,
+        state.chartSettings[chart][MARK_FILTERS[chart].settingKey],
+        item,
+        additive
+      )
+    }))
+  }), {}), [setDashboard]);
+
+  const resetFilters = () => {
+    setFilters(createEmptyFilters());
   };
 
-  const filterByPrice = (minPrice, maxPrice) => {
-    const filtered = realEstateData.filter(d => d.price >= minPrice && d.price <= maxPrice);
-    setFilteredData(filtered);
+  // Ranges, clicked marks and selections refer to the old data, so start the new data unfiltered
+  const resetForNewDataset = () => {
+    setQualityExclusions(createDefaultExclusions());
+    setSelectedIds(null);
+    setHighlightedIds(null);
+    setFocusedId(null);
+    resetFilters();
   };
 
-  const resetFilters = () => {
-    setFilteredData(realEstateData);
-    setBedroomFilter('all');
-    setPriceFilter('all');
-    setAmenityFilter('all');
+  const loadDataset = (rows, name) => {
+    setUploaded({ name, rows: prepareDataset(rows) });
+    resetForNewDataset();
   };
 
-  const calculateStats = () => {
-    const prices = filteredData.map(d => d.price);
-    const areas = filteredData.map(d => d.area);
-    
-    return {
-      totalHouses: filteredData.length,
-      avgPrice: (prices.reduce((a, b) => a + b, 0) / prices.length).toLocaleString('en-US', { 
-        style: 'currency', 
-        currency: 'USD',
-        maximumFractionDigits: 0
-      }),
-      avgArea: Math.round(areas.reduce((a, b) => a + b, 0) / areas.length).toLocaleString(),
-      priceRange: {
-        min: Math.min(...prices).toLocaleString('en-US', { 
-          style: 'currency', 
-          currency: 'USD',
-          maximumFractionDigits: 0
-        }),
-        max: Math.max(...prices).toLocaleString('en-US', { 
-          style: 'currency', 
-          currency: 'USD',
-          maximumFractionDigits: 0
-        })
-      }
+  const restoreBundledDataset = () => {
+    setUploaded(null);
+    resetForNewDataset();
+  };
+
+  const stats = useMemo(() => calculateOverviewStats(filteredData, cleanData), [filteredData, cleanData]);
+  const insights = useMemo(() => buildInsights(filteredData), [filteredData]);
+
+  // The Value Estimator learns from the whole loaded dataset, whatever the filters show
+  const estimator = useMemo(() => buildValueEstimator(cleanData), [cleanData]);
+  const estimatorSettings = chartSettings.estimator;
+  const valueEstimate = useMemo(() => {
+    if (!estimator.estimate) return null;
+    const property = estimatorProperty(estimatorSettings);
+    const estimate = estimator.estimate(property);
+    return estimate && { ...estimate, property };
+  }, [estimator, estimatorSettings]);
+  const estimateMarker = estimatorSettings.showOnCharts === 'on' ? valueEstimate : null;
+
+  // Chart exports name the filters (and scatter selection) behind the picture
+  const chartsRef = useRef();
+  const exportCaption = getChartCaption({
+    filters,
+    filteredCount: filteredData.length,
+    totalCount: cleanData.length,
+    selectedCount: selectedIds ? selectedData.length : null
+  });
+
+  // The charts of the dashboard, also drawn in the report. Report charts are static: no linked
+  // highlighting, clicks or scatter selection.
+  const renderChart = (chart, interactive = true) => {
+    const shared = {
+      highlightedIds: interactive ? highlightedIds : null,
+      onHighlight: interactive ? setHighlightedIds : ignore,
+      onSettingsChange: updateChartSettings(chart),
+      settings: chartSettings[chart],
+      ...CHART_SIZES[chart]
     };
+    const clickable = {
+      markFilter: filters.marks[chart],
+      onMarkClick: interactive ? markClickHandlers[chart] : ignore
+    };
+    switch (chart) {
+      case 'scatter':
+        return (
+          <ScatterPlot
+            data={filteredData}
+            {...shared}
+            selectedIds={interactive ? selectedIds : null}
+            onSelectionChange={interactive ? setSelectedIds : ignore}
+            focusedId={interactive ? focusedId : null}
+            estimate={interactive ? estimateMarker : null}
+          />
+        );
+      case 'histogram':
+        return (
+          <Histogram
+            aggregate={aggregates.histogram}
+            estimate={interactive ? estimateMarker : null}
+            {...shared}
+            {...clickable}
+          />
+        );
+      case 'donut':
+        return <DonutChart aggregate={aggregates.donut} {...shared} {...clickable} />;
+      case 'heatmap':
+        return <HeatmapChart aggregate={aggregates.heatmap} {...shared} {...clickable} />;
+      case 'featurePremium':
+      default:
+        return (
+          <FeaturePremiumChart
+            premiums={aggregates.featurePremium}
+            hedonic={aggregates.hedonic}
+            {...shared}
+          />
+        );
+    }
   };
 
-  const stats = calculateStats();
+  const header = (
+    <header className="App-header">
+      <h1>Real Estate Market Intelligence Dashboard</h1>
+      <p><strong>Data-Driven Story:</strong> Understanding Premium Property Markets Through {isLoading ? '...' : cleanData.length} Luxury Home Sales</p>
+      <div className="narrative-intro">
+        <p>This dashboard analyzes a premium real estate market to answer key questions: 
+        <em>What drives property values? How do buyers segment? What configurations command premiums?</em></p>
+      </div>
+    </header>
+  );
 
-  return (
-    <div className="App">
-      <header className="App-header">
-        <h1>Real Estate Market Intelligence Dashboard</h1>
-        <p><strong>Data-Driven Story:</strong> Understanding Premium Property Markets Through 545 Luxury Home Sales</p>
-        <div className="narrative-intro">
-          <p>This dashboard analyzes a premium real estate market to answer key questions: 
-          <em>What drives property values? How do buyers segment? What configurations command premiums?</em></p>
-        </div>
-      </header>
-
-      <div className="stats-panel">
-        <h2>Dataset Overview</h2>
-        <div className="stats-grid">
-          <div className="stat-item">
-            <span className="stat-label">Total Houses:</span>
-            <span className="stat-value">{stats.totalHouses}</span>
-          </div>
-          <div className="stat-item">
-            <span className="stat-label">Average Price:</span>
-            <span className="stat-value">{stats.avgPrice}</span>
-          </div>
-          <div className="stat-item">
-            <span className="stat-label">Average Area:</span>
-            <span className="stat-value">{stats.avgArea} sq ft</span>
+  const datasetLoader = (
+    <DatasetLoader
+      sourceName={sourceName}
+      rowCount={dataset.length}
+      isDefault={!uploaded}
+      onLoad={loadDataset}
+      onRestoreDefault={restoreBundledDataset}
+    />
+  );
+
+  // Until the data and its first aggregates arrive the charts show skeletons; if the bundled
+  // dataset fails to load, a local file can still be loaded
+  if (isLoading) {
+    const failed = !uploaded && bundled.status === 'error';
+    return (
+      <div className="App">
+        {header}
+
+        {/* Same position as in the dashboard below, so the loader keeps its report when the charts appear */}
+        {(failed || uploaded) && datasetLoader}
+
+        {failed ? (
+          <div className="data-status-panel error" role="alert">
+            <h3>Could not load the dataset</h3>
+            <p>{bundled.error.message}</p>
+            <button type="button" onClick={bundled.retry}>Try again</button>
           </div>
-          <div className="stat-item">
-            <span className="stat-label">Price Range:</span>
-            <span className="stat-value">{stats.priceRange.min} - {stats.priceRange.max}</span>
+        ) : (
+          <div className="data-status-panel" role="status">
+            <p>{!uploaded && bundled.status === 'loading' ? `Loading ${DEFAULT_SOURCE_NAME}...` : 'Preparing charts...'}</p>
           </div>
+        )}
+
+        <div className="charts-container">
+          {CHART_VIEWS
+            .filter(view => view.key !== 'all' && isChartInView(view.key, selectedChart))
+            .map(view => (
+              <ChartSkeleton key={view.key} title={view.label} {...CHART_SIZES[view.key]} />
+            ))}
         </div>
       </div>
+    );
+  }
 
-      <div className="controls">
-        <h3>Interactive Data Explorer</h3>
-        <div className="filter-controls">
-          <div className="filter-group">
-            <label htmlFor="bedroom-filter">Property Size:</label>
-            <select id="bedroom-filter" value={bedroomFilter} onChange={(e) => {
-              const value = e.target.value;
-              setBedroomFilter(value);
-              if (value === 'all') setFilteredData(realEstateData);
-              else if (value === 'small') filterByBedrooms(1, 2);
-              else if (value === 'medium') filterByBedrooms(3, 3);
-              else if (value === 'large') filterByBedrooms(4, 6);
-            }}>
-              <option value="all">All Properties</option>
-              <option value="small">Compact (1-2 bedrooms)</option>
-              <option value="medium">Family (3 bedrooms)</option>
-              <option value="large">Luxury (4+ bedrooms)</option>
-            </select>
-          </div>
-          
-          <div className="filter-group">
-            <label htmlFor="price-filter">Market Segment:</label>
-            <select id="price-filter" value={priceFilter} onChange={(e) => {
-              const value = e.target.value;
-              setPriceFilter(value);
-              if (value === 'all') setFilteredData(realEstateData);
-              else if (value === 'affordable') filterByPrice(0, 4000000);
-              else if (value === 'premium') filterByPrice(4000000, 8000000);
-              else if (value === 'luxury') filterByPrice(8000000, Infinity);
-            }}>
-              <option value="all">All Markets</option>
-              <option value="affordable">Affordable (Under $4M)</option>
-              <option value="premium">Premium ($4M-$8M)</option>
-              <option value="luxury">Luxury ($8M+)</option>
-            </select>
-          </div>
+  const savedViewsMenu = <SavedViewsMenu dashboardState={dashboard} onApply={setDashboard} />;
 
-          <div className="filter-group">
-            <label htmlFor="amenity-filter">Premium Amenities:</label>
-            <select id="amenity-filter" value={amenityFilter} onChange={(e) => {
-              const value = e.target.value;
-              setAmenityFilter(value);
-              if (value === 'all') {
-                setFilteredData(realEstateData);
-              } else if (value === 'ac') {
-                setFilteredData(realEstateData.filter(d => d.airconditioning === true));
-              } else if (value === 'basement') {
-                setFilteredData(realEstateData.filter(d => d.basement === true));
-              } else if (value === 'parking') {
-                setFilteredData(realEstateData.filter(d => d.parking >= 2));
-              }
-            }}>
-              <option value="all">All Properties</option>
-              <option value="ac">With Air Conditioning</option>
-              <option value="basement">With Basement</option>
-              <option value="parking">2+ Parking Spaces</option>
-            </select>
-          </div>
-
-          <div className="filter-group">
-            <button onClick={resetFilters} className="reset-btn">Reset All Filters</button>
-          </div>
-        </div>
+  if (report) {
+    return (
+      <div className="App report-mode">
+        <MarketReport
+          data={filteredData}
+          fullData={cleanData}
+          aggregates={aggregates}
+          filters={filters}
+          chartSettings={chartSettings}
+          sourceName={sourceName}
+          renderChart={chart => renderChart(chart, false)}
+          onClose={() => setReportOpen(false)}
+        >
+          {savedViewsMenu}
+        </MarketReport>
       </div>
+    );
+  }
+
+  return (
+    <div className="App">
+      {header}
+
+      {datasetLoader}
+
+      <DataQualityPanel
+        report={qualityReport}
+        exclusions={qualityExclusions}
+        onExclusionsChange={setQualityExclusions}
+        includedCount={cleanData.length}
+      />
+
+      <StatsPanel stats={stats} />
+
+      <FilterControls
+        filters={filters}
+        onChange={setFilters}
+        onReset={resetFilters}
+        data={cleanData}
+        filteredData={filteredData}
+      >
+        {savedViewsMenu}
+        <ExportMenu
+          filteredData={filteredData}
+          selectedData={selectedData}
+          hasSelection={Boolean(selectedIds)}
+          filters={filters}
+          sourceName={sourceName}
+          totalCount={cleanData.length}
+        />
+      </FilterControls>
 
       <div className="chart-selector">
         <h3>Chart Views</h3>
         <div className="chart-buttons">
-          <button 
-            className={selectedChart === 'all' ? 'active' : ''} 
-            onClick={() => setSelectedChart('all')}
-          >
-            All Charts
-          </button>
-          <button 
-            className={selectedChart === 'scatter' ? 'active' : ''} 
-            onClick={() => setSelectedChart('scatter')}
-          >
-            Price vs Area
-          </button>
-          <button 
-            className={selectedChart === 'histogram' ? 'active' : ''} 
-            onClick={() => setSelectedChart('histogram')}
-          >
-            Price Distribution
-          </button>
-          <button 
-            className={selectedChart === 'donut' ? 'active' : ''} 
-            onClick={() => setSelectedChart('donut')}
-          >
-            Investment Readiness
-          </button>
-          <button 
-            className={selectedChart === 'heatmap' ? 'active' : ''} 
-            onClick={() => setSelectedChart('heatmap')}
-          >
-            Configuration Analysis
-          </button>
-          <button 
-            className={selectedChart === 'featurePremium' ? 'active' : ''} 
-            onClick={() => setSelectedChart('featurePremium')}
-          >
-            ROI Calculator
-          </button>
+          {CHART_VIEWS.map(view => (
+            <button
+              key={view.key}
+              className={selectedChart === view.key ? 'active' : ''}
+              onClick={() => setSelectedChart(view.key)}
+            >
+              {view.label}
+            </button>
+          ))}
+        </div>
+        <div className="report-actions">
+          <button type="button" onClick={() => setReportOpen(true)}>Generate Report</button>
+          <ReportExportButton
+            chartsRef={chartsRef}
+            selectedChart={selectedChart}
+            onSelectChart={setSelectedChart}
+            caption={exportCaption}
+            sourceName={sourceName}
+          />
         </div>
       </div>
 
-      <div className="charts-container">
-        {(selectedChart === 'all' || selectedChart === 'scatter') && (
-          <div className="chart-wrapper">
-            <ScatterPlot data={filteredData} width={550} height={400} />
-          </div>
-        )}
-
-        {(selectedChart === 'all' || selectedChart === 'histogram') && (
-          <div className="chart-wrapper">
-            <Histogram data={filteredData} width={550} height={400} />
-          </div>
-        )}
-
-        {(selectedChart === 'all' || selectedChart === 'donut') && (
-          <div className="chart-wrapper">
-            <DonutChart data={filteredData} width={550} height={500} />
-          </div>
-        )}
+      {selectedIds && (
+        <div className="selection-bar">
+          <span>
+            <strong>Scatter plot selection:</strong> {selectedData.length} of {filteredData.length} filtered properties -
+            the other charts show only this subset.
+          </span>
+          <button onClick={() => setSelectedIds(null)}>Clear selection</button>
+        </div>
+      )}
 
-        {(selectedChart === 'all' || selectedChart === 'heatmap') && (
-          <div className="chart-wrapper">
-            <HeatmapChart data={filteredData} width={550} height={400} />
+      <div
+        ref={chartsRef}
+        className={`charts-container${dashboardData.pending ? ' updating' : ''}`}
+        aria-busy={dashboardData.pending}
+      >
+        {CHARTS.filter(chart => isChartInView(chart, selectedChart)).map(chart => (
+          <div key={chart} className="chart-wrapper" data-chart={chart}>
+            <ChartExportMenu caption={exportCaption} />
+            {renderChart(chart)}
           </div>
-        )}
+        ))}
 
-        {(selectedChart === 'all' || selectedChart === 'featurePremium') && (
-          <div className="chart-wrapper">
-            <FeaturePremiumChart data={filteredData} width={1000} height={450} />
+        {isChartInView('table', selectedChart) && (
+          <div className="chart-wrapper table-wrapper">
+            <DataTable
+              data={filteredData}
+              focusedId={focusedId}
+              onFocusChange={setFocusedId}
+              highlightedIds={highlightedIds}
+              onHighlight={setHighlightedIds}
+            />
           </div>
         )}
       </div>
 
-      <div className="insights">
-        <h3>Strategic Market Intelligence</h3>
-        <div className="insights-grid">
-          <div className="insight-card priority">
-            <h4>🎯 Investment Strategy</h4>
-            <p><strong>Sweet Spot:</strong> 3-bedroom, 2-bathroom properties in the $4-6M range offer optimal value. 
-            These represent 35% of the market with strong appreciation potential.</p>
-          </div>
-          <div className="insight-card">
-            <h4>📈 Premium Drivers</h4>
-            <p><strong>Key Finding:</strong> Air conditioning and hot water heating drive 15-25% price premiums. 
-            Bedroom count creates distinct value tiers regardless of total square footage.</p>
-          </div>
-          <div className="insight-card">
-            <h4>🏠 Market Segmentation</h4>
-            <p><strong>Two-Tier Market:</strong> Clear separation between mass premium ($2-6M) and ultra-luxury ($8M+) segments. 
-            Different buyer profiles with distinct preferences.</p>
-          </div>
-          <div className="insight-card">
-            <h4>🔧 Configuration Optimization</h4>
-            <p><strong>Layout Insight:</strong> Properties with balanced bedroom-bathroom ratios (2:1 or 3:2) command highest prices per sq ft. 
-            Multi-story designs with 2+ parking preferred.</p>
-          </div>
-          <div className="insight-card">
-            <h4>💼 Investment Readiness</h4>
-            <p><strong>Furnishing Strategy:</strong> Semi-furnished properties offer best value proposition - 
-            lower entry cost with customization flexibility for discerning buyers.</p>
-          </div>
-          <div className="insight-card">
-            <h4>⚡ Quick Wins</h4>
-            <p><strong>Immediate ROI:</strong> Adding AC or hot water heating can increase property value by $200-500K. 
-            Focus on amenity upgrades over size expansions.</p>
-          </div>
-        </div>
-      </div>
+      <ValueEstimator
+        estimator={estimator}
+        estimate={valueEstimate}
+        settings={estimatorSettings}
+        onSettingsChange={updateChartSettings('estimator')}
+      />
+
+      <InsightCards insights={insights} />
 
       <footer className="App-footer">
         <p>Data Source: Real Estate Price Insights Dataset | Visualization built with React & D3.js</p>
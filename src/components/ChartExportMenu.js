@@ -0,0 +1,52 @@
+import React, { useRef, useState } from 'react';
+import { exportChart } from '../utils/chartExport';
+import { downloadFile } from '../utils/download';
+
+const PNG_SCALES = [1, 2, 3, 4];
+
+// Per-chart download menu. Exports the chart in the enclosing [data-chart] wrapper, with its
+// title and the caption describing the active filters.
+const ChartExportMenu = ({ caption }) => {
+  const menuRef = useRef();
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [status, setStatus] = useState(null); // { type: 'busy' | 'error', text }
+
+  const exportAs = async (format) => {
+    setStatus({ type: 'busy', text: 'Preparing file...' });
+    try {
+      const { blob, fileName } = await exportChart(menuRef.current.closest('[data-chart]'), format, { caption, scale });
+      downloadFile(blob, fileName);
+      setStatus(null);
+      setOpen(false);
+    } catch (error) {
+      setStatus({ type: 'error', text: `Export failed: ${error.message}` });
+    }
+  };
+
+  const busy = status && status.type === 'busy';
+
+  return (
+    <div className="saved-views chart-export" ref={menuRef}>
+      <button type="button" onClick={() => setOpen(!open)} aria-expanded={open} aria-label="Export chart">
+        Export {open ? '▴' : '▾'}
+      </button>
+
+      {open && (
+        <div className="saved-views-menu">
+          <div className="saved-views-row">
+            <button type="button" disabled={busy} onClick={() => exportAs('svg')}>SVG</button>
+            <button type="button" disabled={busy} onClick={() => exportAs('png')}>PNG</button>
+            <select value={scale} onChange={(e) => setScale(Number(e.target.value))} aria-label="PNG scale">
+              {PNG_SCALES.map(value => <option key={value} value={value}>{value}x</option>)}
+            </select>
+            <button type="button" disabled={busy} onClick={() => exportAs('pdf')}>PDF</button>
+          </div>
+          {status && <p className={`saved-views-message ${status.type}`}>{status.text}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartExportMenu;
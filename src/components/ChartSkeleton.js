@@ -0,0 +1,11 @@
+import React from 'react';
+
+// Placeholder with the chart's footprint, shown while the dataset is still loading
+const ChartSkeleton = ({ title, width, height }) => (
+  <div className="chart-wrapper chart-skeleton" aria-busy="true">
+    <h3>{title}</h3>
+    <div className="skeleton-block" style={{ width: `${width}px`, maxWidth: '100%', height: `${height}px` }} />
+  </div>
+);
+
+export default ChartSkeleton;
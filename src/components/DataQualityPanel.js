@@ -0,0 +1,65 @@
+import React from 'react';
+import { QUALITY_ISSUES } from '../utils/dataQuality';
+
+const MAX_LISTED_ISSUES = 50;
+
+// Summary of the schema check on the loaded dataset, with a keep/exclude switch per issue type
+const DataQualityPanel = ({ report, exclusions, onExclusionsChange, includedCount }) => {
+  const issueCount = QUALITY_ISSUES.reduce((total, issue) => total + report.issues[issue.key].length, 0);
+
+  return (
+    <div className="data-quality-panel">
+      <h3>Data Quality</h3>
+      {issueCount === 0 ? (
+        <p className="quality-ok">All {report.totalRows} rows passed the type, range and category checks.</p>
+      ) : (
+        <>
+          <p>
+            Charts use <strong>{includedCount}</strong> of {report.totalRows} rows.
+            Excluded rows are left out of every chart, filter and statistic.
+          </p>
+          <div className="quality-issues">
+            {QUALITY_ISSUES.map(issue => {
+              const issues = report.issues[issue.key];
+              const rowCount = report.rowIds[issue.key].size;
+              return (
+                <div key={issue.key} className={`quality-issue${rowCount === 0 ? ' empty' : ''}`}>
+                  <div className="quality-issue-header">
+                    <span>
+                      <strong>{issue.label}:</strong> {rowCount} row{rowCount === 1 ? '' : 's'}
+                    </span>
+                    {rowCount > 0 && (
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={exclusions[issue.key]}
+                          onChange={() => onExclusionsChange({ ...exclusions, [issue.key]: !exclusions[issue.key] })}
+                        />
+                        Exclude
+                      </label>
+                    )}
+                  </div>
+                  {issues.length > 0 && (
+                    <details>
+                      <summary>Show details</summary>
+                      <ul>
+                        {issues.slice(0, MAX_LISTED_ISSUES).map((entry, i) => (
+                          <li key={i}><strong>Row {entry.id + 1}:</strong> {entry.message}</li>
+                        ))}
+                        {issues.length > MAX_LISTED_ISSUES && (
+                          <li>...and {issues.length - MAX_LISTED_ISSUES} more</li>
+                        )}
+                      </ul>
+                    </details>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityPanel;
@@ -0,0 +1,130 @@
+import React, { useMemo, useState } from 'react';
+import { TABLE_COLUMNS, searchRows, sortRows, paginate } from '../utils/dataTable';
+
+const PAGE_SIZES = [25, 50, 100];
+
+// The filtered records behind the charts. Hovering a row highlights the property in every chart;
+// clicking it marks the property on the scatter plot until it is clicked again.
+const DataTable = ({ data, focusedId, onFocusChange, highlightedIds, onHighlight }) => {
+  const [sort, setSort] = useState({ key: 'price', direction: 'desc' });
+  const [searches, setSearches] = useState({});
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+
+  const matchingRows = useMemo(() => sortRows(searchRows(data, searches), sort), [data, searches, sort]);
+  const current = paginate(matchingRows, page, pageSize);
+  const hasSearch = Object.values(searches).some(query => query.trim());
+
+  const toggleSort = (key) => {
+    setSort(previous => ({
+      key,
+      direction: previous.key === key && previous.direction === 'asc' ? 'desc' : 'asc'
+    }));
+    setPage(0);
+  };
+
+  const updateSearch = (key, query) => {
+    setSearches(previous => ({ ...previous, [key]: query }));
+    setPage(0);
+  };
+
+  return (
+    <div className="data-table">
+      <h3>Data Table</h3>
+      <p className="chart-description">
+        Every property matching the current filters. Click a column heading to sort, type in the boxes below it to search
+        (numeric columns accept <code>&gt;5000000</code>, <code>&lt;=3</code> or <code>2-4</code>), and click a row to
+        locate the property on the scatter plot.
+      </p>
+
+      <div className="data-table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              {TABLE_COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button type="button" onClick={() => toggleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+            <tr className="data-table-search">
+              <th />
+              {TABLE_COLUMNS.map(column => (
+                <th key={column.key}>
+                  <input
+                    type="search"
+                    value={searches[column.key] || ''}
+                    onChange={(e) => updateSearch(column.key, e.target.value)}
+                    placeholder="Search"
+                    aria-label={`Search ${column.label}`}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody onMouseLeave={() => onHighlight(null)}>
+            {current.rows.map(d => {
+              const classes = [
+                d.id === focusedId ? 'focused' : '',
+                highlightedIds && highlightedIds.has(d.id) ? 'highlighted' : ''
+              ].filter(Boolean).join(' ');
+              return (
+                <tr
+                  key={d.id}
+                  className={classes || undefined}
+                  onClick={() => onFocusChange(d.id === focusedId ? null : d.id)}
+                  onMouseEnter={() => onHighlight(new Set([d.id]))}
+                >
+                  <td>{d.id + 1}</td>
+                  {TABLE_COLUMNS.map(column => (
+                    <td key={column.key} className={column.type === 'number' ? 'numeric' : undefined}>
+                      {column.format(column.value(d))}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            {current.rows.length === 0 && (
+              <tr>
+                <td colSpan={TABLE_COLUMNS.length + 1} className="data-table-empty">
+                  {hasSearch ? 'No properties match these searches.' : 'No properties match the current filters.'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="data-table-footer">
+        <span>
+          {matchingRows.length === 0
+            ? '0 properties'
+            : `${current.page * pageSize + 1}-${current.page * pageSize + current.rows.length} of ${matchingRows.length} properties`}
+          {hasSearch && ` (searched from ${data.length})`}
+        </span>
+        <label>
+          Rows per page:
+          <select value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); setPage(0); }}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+        <div className="data-table-pages">
+          <button type="button" onClick={() => setPage(0)} disabled={current.page === 0}>First</button>
+          <button type="button" onClick={() => setPage(current.page - 1)} disabled={current.page === 0}>Previous</button>
+          <span>Page {current.page + 1} of {current.pageCount}</span>
+          <button type="button" onClick={() => setPage(current.page + 1)} disabled={current.page >= current.pageCount - 1}>Next</button>
+          <button type="button" onClick={() => setPage(current.pageCount - 1)} disabled={current.page >= current.pageCount - 1}>Last</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,137 @@
+import React, { useRef, useState } from 'react';
+import { readRecords, coerceRecords, hasCanonicalColumns } from '../utils/datasetParser';
+import {
+  suggestMapping, applyMapping, loadFieldMapping, saveFieldMapping, hasUnrecognizedValues
+} from '../utils/fieldMapping';
+import { readFileAsText } from '../utils/download';
+import FieldMappingWizard from './FieldMappingWizard';
+
+const MAX_LISTED_ERRORS = 50;
+
+// File picker and drag-and-drop zone for swapping a CSV or JSON export into the dashboard
+const DatasetLoader = ({ sourceName, rowCount, onLoad, onRestoreDefault, isDefault }) => {
+  const fileInputRef = useRef();
+  const [dragging, setDragging] = useState(false);
+  const [report, setReport] = useState(null);
+  // A file whose columns or values need mapping before it can be loaded:
+  // { fileName, source, mapping, remembered, canonical }
+  const [pending, setPending] = useState(null);
+
+  const finishLoad = (fileName, source) => {
+    try {
+      const { rows, errors, totalRows } = coerceRecords(source);
+      setReport({ fileName, errors, totalRows, loaded: rows.length });
+      if (rows.length > 0) onLoad(rows, fileName);
+    } catch (error) {
+      setReport({ fileName, fatal: error.message });
+    }
+  };
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    setPending(null);
+    setReport(null);
+    try {
+      const source = readRecords(await readFileAsText(file), file.name);
+      if (hasCanonicalColumns(source.columns) && !hasUnrecognizedValues(source)) {
+        finishLoad(file.name, source);
+        return;
+      }
+      // Other column names, or values such as 1/0 for yes/no, go through the mapping step, prefilled
+      // from the last import of this source (for the dashboard's own names, the identity mapping)
+      const saved = loadFieldMapping(source.columns);
+      setPending({
+        fileName: file.name,
+        source,
+        mapping: saved || suggestMapping(source.columns),
+        remembered: Boolean(saved),
+        canonical: hasCanonicalColumns(source.columns)
+      });
+    } catch (error) {
+      setReport({ fileName: file.name, fatal: error.message });
+    }
+  };
+
+  const confirmMapping = (mapping) => {
+    saveFieldMapping(pending.source.columns, mapping);
+    setPending(null);
+    finishLoad(pending.fileName, applyMapping(pending.source, mapping));
+  };
+
+  return (
+    <div className="data-source-panel">
+      <h3>Data Source</h3>
+      <p>
+        Showing <strong>{sourceName}</strong> ({rowCount} properties).
+        {!isDefault && (
+          <button type="button" className="link-btn" onClick={() => { setReport(null); onRestoreDefault(); }}>
+            Restore bundled dataset
+          </button>
+        )}
+      </p>
+
+      <div
+        className={`drop-zone${dragging ? ' dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          loadFile(e.dataTransfer.files[0]);
+        }}
+      >
+        <p>Drop a CSV or JSON export here (other column names can be mapped to the dashboard fields), or</p>
+        <button type="button" onClick={() => fileInputRef.current.click()}>Choose File</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={(e) => {
+            loadFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {pending && (
+        <FieldMappingWizard
+          fileName={pending.fileName}
+          source={pending.source}
+          initialMapping={pending.mapping}
+          remembered={pending.remembered}
+          canonical={pending.canonical}
+          onConfirm={confirmMapping}
+          onCancel={() => setPending(null)}
+        />
+      )}
+
+      {report && report.fatal && (
+        <p className="load-report error">Could not load {report.fileName}: {report.fatal}</p>
+      )}
+
+      {report && !report.fatal && (
+        <div className={`load-report ${report.loaded > 0 ? 'success' : 'error'}`}>
+          <p>
+            {report.loaded > 0
+              ? `Loaded ${report.loaded} of ${report.totalRows} rows from ${report.fileName}.`
+              : `No valid rows found in ${report.fileName}; the current dataset was kept.`}
+            {report.errors.length > 0 && ` ${report.errors.length} row${report.errors.length === 1 ? ' was' : 's were'} skipped:`}
+          </p>
+          {report.errors.length > 0 && (
+            <ul>
+              {report.errors.slice(0, MAX_LISTED_ERRORS).map(error => (
+                <li key={error.location}><strong>{error.location}:</strong> {error.message}</li>
+              ))}
+              {report.errors.length > MAX_LISTED_ERRORS && (
+                <li>...and {report.errors.length - MAX_LISTED_ERRORS} more</li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DatasetLoader;
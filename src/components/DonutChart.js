@@ -1,11 +1,20 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
-import { getColor } from '../constants/colors';
+import { getColor, HIGHLIGHT_COLOR } from '../constants/colors';
+import { isMarkSelected } from '../utils/filters';
 
-const DonutChart = ({ data, width = 1125, height = 1063 }) => {
-  const svgRef = useRef();  const zoomRef = useRef();  const [analysisType, setAnalysisType] = useState('furnishingstatus');
+// `aggregate` holds the slices computed by computeDonut (in the aggregation worker)
+const DonutChart = ({
+  aggregate, settings, onSettingsChange, markFilter, onMarkClick, highlightedIds, onHighlight, width = 1125, height = 1063
+}) => {
+  const layoutRef = useRef();
+  const svgRef = useRef();  const zoomRef = useRef();  const { analysisType } = settings;
+  const setAnalysisType = (value) => onSettingsChange({ analysisType: value });
 
   useEffect(() => {
+    // Keep the current drawing until the slices for the selected analysis type arrive
+    if (!aggregate || aggregate.analysisType !== analysisType) return;
+
     const svg = d3.select(svgRef.current);
     svg.selectAll("*").remove();
 
@@ -36,34 +45,9 @@ const DonutChart = ({ data, width = 1125, height = 1063 }) => {
     // Store zoom reference for button controls
     zoomRef.current = zoom;
 
-    // Dynamic data processing based on analysis type
-    const processDataByType = (type) => {
-      switch(type) {
-        case 'furnishingstatus':
-          return d3.rollup(data, v => v.length, d => d.furnishingstatus);
-        case 'stories':
-          return d3.rollup(data, v => v.length, d => `${d.stories} ${d.stories === 1 ? 'Story' : 'Stories'}`);
-        case 'bedrooms':
-          return d3.rollup(data, v => v.length, d => `${d.bedrooms} ${d.bedrooms === 1 ? 'Bedroom' : 'Bedrooms'}`);
-        case 'location':
-          return d3.rollup(data, v => v.length, d => d.prefarea ? 'Preferred Area' : 'Standard Area');
-        default:
-          return d3.rollup(data, v => v.length, d => d.furnishingstatus);
-      }
-    };
-
-    const counts = processDataByType(analysisType);
-    let chartData = Array.from(counts, ([status, count]) => ({ status, count }));
-    
-    // Order bedroom categories: 2, 1, 3, 6, 4, 5
-    if (analysisType === 'bedrooms') {
-      const bedroomOrder = ['2 Bedrooms', '1 Bedroom', '3 Bedrooms', '6 Bedrooms', '4 Bedrooms', '5 Bedrooms'];
-      chartData = chartData.sort((a, b) => {
-        const aIndex = bedroomOrder.indexOf(a.status);
-        const bIndex = bedroomOrder.indexOf(b.status);
-        return (aIndex === -1 ? 999 : aIndex) - (bIndex === -1 ? 999 : bIndex);
-      });
-    }
+    // Slices in display order, each with the ids of its properties
+    const chartData = aggregate.slices;
+    const total = aggregate.total;
 
     const getColorForCategory = (status, type) => {
       if (type === 'furnishingstatus') return getColor('furnishingStatus', status);
@@ -123,12 +107,25 @@ const DonutChart = ({ data, width = 1125, height = 1063 }) => {
       .attr('class', 'arc');
 
     // Add the arcs (zoomable)
+    // Slices clicked into the global filter are pulled out and outlined
+    const isSelected = d => isMarkSelected(markFilter, analysisType, d.data.status);
+    const hasSelection = adjustedPieData.some(isSelected);
+    const restingOpacity = d => hasSelection && !isSelected(d) ? 0.45 : 1;
+
     arcs.append('path')
       .attr('d', arc)
+      .attr('transform', d => {
+        if (!isSelected(d)) return null;
+        const [x, y] = arc.centroid(d);
+        const distance = Math.hypot(x, y) || 1;
+        return `translate(${(x / distance) * 10}, ${(y / distance) * 10})`;
+      })
       .attr('fill', d => colorScale(d.data.status))
-      .attr('stroke', '#ffffff')
-      .attr('stroke-width', 2)
+      .attr('stroke', d => isSelected(d) ? '#333' : '#ffffff')
+      .attr('stroke-width', d => isSelected(d) ? 3 : 2)
+      .style('opacity', restingOpacity)
       .style('cursor', 'pointer')
+      .on('click', (event, d) => onMarkClick(d.data.status, event.shiftKey))
       .on('mouseover', function(event, d) {
         d3.select(this).style('opacity', 0.8).style('filter', 'brightness(1.1)');
         
@@ -157,13 +154,20 @@ const DonutChart = ({ data, width = 1125, height = 1063 }) => {
           .attr('dy', '2em')
           .attr('font-size', '14px')
           .attr('fill', '#666')
-          .text(`${((d.data.count / data.length) * 100).toFixed(1)}%`);
+          .text(`${((d.data.count / total) * 100).toFixed(1)}%`);
+
+        onHighlight(new Set(d.data.ids));
       })
-      .on('mouseout', function() {
-        d3.select(this).style('opacity', 1).style('filter', 'brightness(1)');
+      .on('mouseout', function(event, d) {
+        d3.select(this).style('opacity', restingOpacity(d)).style('filter', 'brightness(1)');
         donutGroup.selectAll('.center-text').remove();
+        onHighlight(null);
       });
 
+    // Layer for the linked highlight overlay, filled by the effect below
+    donutGroup.append('g').attr('class', 'highlight-layer').style('pointer-events', 'none');
+    layoutRef.current = { pieData: adjustedPieData, radius };
+
     // Add percentage labels on arcs (zoomable - only for larger slices)
     donutGroup.selectAll('.percentage-label')
       .data(pie(chartData))
@@ -177,7 +181,7 @@ const DonutChart = ({ data, width = 1125, height = 1063 }) => {
       .style('text-shadow', '1px 1px 2px rgba(0,0,0,0.9)')
       .style('pointer-events', 'none')
       .text(d => {
-        const percentage = ((d.data.count / data.length) * 100);
+        const percentage = ((d.data.count / total) * 100);
         return percentage > 10 ? `${percentage.toFixed(1)}%` : ''; // Only show on slices > 10%
       });
     
@@ -234,7 +238,31 @@ const DonutChart = ({ data, width = 1125, height = 1063 }) => {
       .attr('fill', '#333')
       .text(getTitleText(analysisType));
 
-  }, [data, width, height, analysisType]);
+  }, [aggregate, width, height, analysisType, markFilter, onMarkClick, onHighlight]);
+
+  // Linked highlight: an outer band on each slice covering the share of hovered properties in it
+  useEffect(() => {
+    const layer = d3.select(svgRef.current).select('.highlight-layer');
+    layer.selectAll('*').remove();
+    if (!highlightedIds || !layoutRef.current) return;
+
+    const { pieData, radius } = layoutRef.current;
+    const band = d3.arc()
+      .innerRadius(radius + 4)
+      .outerRadius(radius + 14);
+
+    const segments = pieData
+      .map(d => ({ ...d, share: d.data.ids.filter(id => highlightedIds.has(id)).length / d.data.count }))
+      .filter(d => d.share > 0)
+      .map(d => ({ ...d, endAngle: d.startAngle + (d.endAngle - d.startAngle) * d.share }));
+
+    layer.selectAll('path')
+      .data(segments)
+      .enter().append('path')
+      .attr('d', band)
+      .attr('fill', HIGHLIGHT_COLOR)
+      .attr('opacity', 0.85);
+  }, [highlightedIds, aggregate, width, height, analysisType, markFilter]);
 
   const getTitleByType = (type) => {
     switch(type) {
@@ -264,7 +292,7 @@ const DonutChart = ({ data, width = 1125, height = 1063 }) => {
       </p>
       
       {/* Interactive Controls */}
-      <div style={{ marginBottom: '15px', padding: '10px', backgroundColor: '#f8f9fa', borderRadius: '5px' }}>
+      <div className="chart-controls" style={{ marginBottom: '15px', padding: '10px', backgroundColor: '#f8f9fa', borderRadius: '5px' }}>
         <label style={{ fontWeight: 'bold', marginRight: '10px' }}>Analyze by:</label>
         <div style={{ display: 'flex', gap: '15px', marginTop: '5px', flexWrap: 'wrap' }}>
           <label style={{ cursor: 'pointer' }}><input type="radio" name="analysis" value="furnishingstatus" checked={analysisType === 'furnishingstatus'} onChange={(e) => setAnalysisType(e.target.value)} /> Furnishing</label>
@@ -324,7 +352,8 @@ const DonutChart = ({ data, width = 1125, height = 1063 }) => {
       <div className="chart-insights">
         <small>� <strong>Investment Strategy:</strong> 
         • Focus on property types with high demand • Unfurnished = renovation opportunity • Furnished = quick rental income<br/>
-        🎛️ <strong>Controls:</strong> Drag to explore • Zoom for details • Switch categories to find your investment niche!</small>
+        🎛️ <strong>Controls:</strong> Drag to explore • Zoom for details • Switch categories to find your investment niche! • 
+        Click a slice to filter the dashboard • Shift-click to add more slices</small>
       </div>
     </div>
   );
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, buildExportMetadata, getExportFileName } from '../utils/dataExport';
+import { downloadFile } from '../utils/download';
+
+// Download the properties behind the charts: the filtered data, or the scatter plot selection
+// when there is one. Every file starts with the source and the active filters.
+const ExportMenu = ({ filteredData, selectedData, hasSelection, filters, sourceName, totalCount }) => {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState('selection'); // selection, filtered
+  const [message, setMessage] = useState(null);
+
+  const exportSelection = hasSelection && scope === 'selection';
+  const rows = exportSelection ? selectedData : filteredData;
+
+  const exportAs = (format) => {
+    const metadata = buildExportMetadata({
+      sourceName,
+      filters,
+      totalCount,
+      rowCount: rows.length,
+      selection: exportSelection ? `${rows.length} properties selected on the scatter plot` : null
+    });
+    downloadFile(format.build(rows, metadata), getExportFileName(format, metadata), format.mimeType);
+    setMessage(`Exported ${rows.length} propert${rows.length === 1 ? 'y' : 'ies'} as ${format.label}.`);
+  };
+
+  return (
+    <div className="saved-views">
+      <button type="button" onClick={() => setOpen(!open)} aria-expanded={open}>
+        Export Data {open ? '▴' : '▾'}
+      </button>
+
+      {open && (
+        <div className="saved-views-menu">
+          {hasSelection && (
+            <div className="export-scope" role="radiogroup" aria-label="Properties to export">
+              <label>
+                <input type="radio" name="export-scope" checked={scope === 'selection'} onChange={() => setScope('selection')} />
+                Scatter plot selection ({selectedData.length})
+              </label>
+              <label>
+                <input type="radio" name="export-scope" checked={scope === 'filtered'} onChange={() => setScope('filtered')} />
+                All filtered properties ({filteredData.length})
+              </label>
+            </div>
+          )}
+          <p className="saved-views-empty">
+            {rows.length} propert{rows.length === 1 ? 'y' : 'ies'}, with the active filters (including clicked bars,
+            slices and cells) listed at the top of the file.
+          </p>
+
+          <div className="saved-views-row">
+            {EXPORT_FORMATS.map(format => (
+              <button key={format.key} type="button" disabled={rows.length === 0} onClick={() => exportAs(format)}>
+                {format.label}
+              </button>
+            ))}
+          </div>
+
+          {message && <p className="saved-views-message success">{message}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -1,12 +1,13 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
-import { getColor } from '../constants/colors';
+import { HIGHLIGHT_COLOR } from '../constants/colors';
+import HedonicModel from './HedonicModel';
 
 // Dynamic dropdown component
 const DropdownSelector = ({ selectedFeature, setSelectedFeature, premiumData }) => {
 
   return (
-    <div style={{ marginBottom: '15px' }}>
+    <div className="chart-controls" style={{ marginBottom: '15px' }}>
       <label style={{ marginRight: '10px', fontWeight: 'bold' }}>Feature ROI Details:</label>
       <select 
         value={selectedFeature} 
@@ -23,73 +24,37 @@ const DropdownSelector = ({ selectedFeature, setSelectedFeature, premiumData })
   );
 };
 
-const FeaturePremiumChart = ({ data, width = 2000, height = 500 }) => {
+const FeaturePremiumChart = ({
+  premiums,
+  hedonic,
+  settings,
+  onSettingsChange,
+  highlightedIds = null,
+  onHighlight = () => {},
+  width = 2000,
+  height = 500
+}) => {
   const svgRef = useRef();
-  const [selectedFeature, setSelectedFeature] = useState(0); // Index of selected feature
-
-  // Calculate feature premiums by comparing properties with/without features
-  const calculateFeaturePremiums = () => {
-      const features = [
-        { key: 'airconditioning', name: 'Air Conditioning', color: getColor('featurePremium', 'airconditioning') },
-        { key: 'parking', name: 'Parking Available', color: getColor('featurePremium', 'parking') },
-        { key: 'prefarea', name: 'Preferred Area', color: getColor('featurePremium', 'prefarea') },
-        { key: 'hotwaterheating', name: 'Hot Water Heating', color: getColor('featurePremium', 'hotwaterheating') },
-        { key: 'guestroom', name: 'Guest Room', color: getColor('featurePremium', 'guestroom') },
-        { key: 'basement', name: 'Basement', color: getColor('featurePremium', 'basement') },
-        { key: 'mainroad', name: 'Main Road Access', color: getColor('featurePremium', 'mainroad') }
-      ];
-
-      const premiums = {};
-      
-      features.forEach(feature => {
-        const withFeature = data.filter(d => d[feature.key] === true);
-        const withoutFeature = data.filter(d => d[feature.key] === false);
-        
-        if (withFeature.length > 0 && withoutFeature.length > 0) {
-          // Calculate price per square foot for size-normalized comparison
-          const pricePerSqFtWith = d3.median(withFeature, d => d.price / d.area);
-          const pricePerSqFtWithout = d3.median(withoutFeature, d => d.price / d.area);
-          const premiumPerSqFt = pricePerSqFtWith - pricePerSqFtWithout;
-          const premiumPercent = (premiumPerSqFt / pricePerSqFtWithout) * 100;
-          
-          // Calculate typical house size for display purposes
-          const avgHouseSize = d3.median(data, d => d.area);
-          const premium = premiumPerSqFt * avgHouseSize;
-          const basePrice = pricePerSqFtWithout * avgHouseSize;
-          const withFeaturePrice = pricePerSqFtWith * avgHouseSize;
-          
-          premiums[feature.key] = {
-            ...feature,
-            premium,
-            premiumPercent,
-            basePrice,
-            withFeaturePrice,
-            premiumPerSqFt,
-            pricePerSqFtWith,
-            pricePerSqFtWithout,
-            sampleSize: withFeature.length,
-            avgHouseSize
-          };
-        }
-      });
-
-      return premiums;
-    };
-
-  const featurePremiums = calculateFeaturePremiums();
+  const layoutRef = useRef();
+  const { selectedFeature, hedonicResponse } = settings; // Index of selected feature
+  const setSelectedFeature = (value) => onSettingsChange({ selectedFeature: value });
+
+  // Premiums per feature, computed by computeFeaturePremiums (in the aggregation worker)
+  const featurePremiums = premiums || {};
   const premiumData = Object.values(featurePremiums)
     .filter(d => d.premium > 0 && d.sampleSize >= 5) // Only show positive premiums with adequate sample size
     .sort((a, b) => b.premium - a.premium);
 
   useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+
+    // Small subsets (e.g. a brushed selection) may have no feature with an adequate sample
     if (premiumData.length === 0) return;
     
     // Define displayFeature at the top so it can be used throughout
     const displayFeature = premiumData[selectedFeature] || premiumData[0];
     const isBestROI = selectedFeature === 0;
-    
-    const svg = d3.select(svgRef.current);
-    svg.selectAll("*").remove();
 
     const margin = { top: 20, right: 250, bottom: 60, left: 110 };
     const innerWidth = width - margin.left - margin.right;
@@ -180,6 +145,7 @@ const FeaturePremiumChart = ({ data, width = 2000, height = 500 }) => {
       barGroup
         .on('mouseover', function(event) {
           d3.select(this).selectAll('rect').attr('opacity', 1);
+          onHighlight(new Set(feature.ids));
           tooltip.transition().duration(200).style('opacity', 1);
           tooltip.html(`
             <strong>${feature.name}</strong><br/>
@@ -195,6 +161,7 @@ const FeaturePremiumChart = ({ data, width = 2000, height = 500 }) => {
         })
         .on('mouseout', function() {
           barGroup.selectAll('rect').attr('opacity', d => d === feature ? 0.8 : 0.8);
+          onHighlight(null);
           tooltip.transition().duration(200).style('opacity', 0);
         })
         .on('mousemove', function(event) {
@@ -373,7 +340,30 @@ const FeaturePremiumChart = ({ data, width = 2000, height = 500 }) => {
       .style('fill', '#666')
       .text('= Value increase %');
 
-  }, [data, width, height, selectedFeature]);
+    // Layer for the linked highlight outlines, filled by the effect below
+    g.append('g').attr('class', 'highlight-layer').style('pointer-events', 'none');
+    layoutRef.current = { premiumData, xScale, yScale };
+
+  }, [premiums, width, height, selectedFeature, onHighlight]);
+
+  // Linked highlight: outline the bars of features any of the hovered properties have
+  useEffect(() => {
+    const layer = d3.select(svgRef.current).select('.highlight-layer');
+    layer.selectAll('*').remove();
+    if (!highlightedIds || !layoutRef.current) return;
+
+    const { premiumData: features, xScale, yScale } = layoutRef.current;
+    layer.selectAll('rect')
+      .data(features.filter(feature => feature.ids.some(id => highlightedIds.has(id))))
+      .enter().append('rect')
+      .attr('x', 0)
+      .attr('y', d => yScale(d.name))
+      .attr('width', d => xScale(d.withFeaturePrice))
+      .attr('height', yScale.bandwidth())
+      .attr('fill', 'none')
+      .attr('stroke', HIGHLIGHT_COLOR)
+      .attr('stroke-width', 2);
+  }, [highlightedIds, premiums, width, height, selectedFeature]);
 
   return (
     <div>
@@ -392,6 +382,12 @@ const FeaturePremiumChart = ({ data, width = 2000, height = 500 }) => {
         AC installation = immediate value boost • Parking solutions = essential in urban markets • 
         Furnished properties = instant rental income potential</small>
       </div>
+
+      <HedonicModel
+        model={hedonic}
+        response={hedonicResponse}
+        onResponseChange={(value) => onSettingsChange({ hedonicResponse: value })}
+      />
     </div>
   );
 };
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { DATASET_FIELDS } from '../constants/schema';
+import { getUnmappedFields, transformValue } from '../utils/fieldMapping';
+import { coerceValue } from '../utils/datasetParser';
+
+const TRANSFORM_HINTS = {
+  number: 'Multiply by, e.g. 1000 for prices in thousands or 10.764 for square meters',
+  boolean: 'Source values meaning yes / no, comma separated',
+  category: 'Rename values, e.g. full=furnished, none=unfurnished'
+};
+
+// Assign source columns to the dashboard fields and preview the first row after the transforms
+const FieldMappingWizard = ({ fileName, source, initialMapping, remembered, canonical = false, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const { columns } = source;
+  const sample = source.records.find(record => !record.error);
+  const unmapped = getUnmappedFields(mapping, columns);
+
+  const updateField = (key, changes) => setMapping(current => ({
+    ...current,
+    [key]: { ...current[key], ...changes }
+  }));
+
+  const renderPreview = (field) => {
+    const fieldMapping = mapping[field.key];
+    if (!sample || !columns.includes(fieldMapping.column)) return '—';
+    const raw = sample.raw[fieldMapping.column];
+    const result = coerceValue(field, transformValue(field, fieldMapping, raw));
+    if (result.error) return <span className="mapping-error">{String(raw)} → {result.error}</span>;
+    return `${String(raw)} → ${typeof result.value === 'boolean' ? (result.value ? 'yes' : 'no') : result.value}`;
+  };
+
+  const renderTransform = (field) => {
+    const fieldMapping = mapping[field.key];
+    if (field.type === 'number') {
+      return (
+        <input
+          type="number"
+          step="any"
+          aria-label={`${field.key} multiplier`}
+          title={TRANSFORM_HINTS.number}
+          value={fieldMapping.scale}
+          onChange={(e) => updateField(field.key, { scale: e.target.value })}
+          style={{ width: '90px' }}
+        />
+      );
+    }
+    if (field.type === 'boolean') {
+      return (
+        <span title={TRANSFORM_HINTS.boolean}>
+          <input
+            type="text"
+            aria-label={`${field.key} values meaning yes`}
+            value={fieldMapping.trueValues}
+            onChange={(e) => updateField(field.key, { trueValues: e.target.value })}
+          />
+          {' / '}
+          <input
+            type="text"
+            aria-label={`${field.key} values meaning no`}
+            value={fieldMapping.falseValues}
+            onChange={(e) => updateField(field.key, { falseValues: e.target.value })}
+          />
+        </span>
+      );
+    }
+    return (
+      <input
+        type="text"
+        aria-label={`${field.key} value renames`}
+        placeholder={TRANSFORM_HINTS.category}
+        value={fieldMapping.valueMap}
+        onChange={(e) => updateField(field.key, { valueMap: e.target.value })}
+      />
+    );
+  };
+
+  return (
+    <div className="mapping-wizard">
+      <h4>Map the columns of {fileName}</h4>
+      <p>
+        {remembered
+          ? 'Using the mapping saved the last time a file with these columns was loaded.'
+          : canonical
+            ? 'Some yes/no or furnishing values aren\'t recognized. Check how each field\'s values should be converted.'
+            : 'The column names don\'t match the dashboard fields. Pick the source column for each field and how its values should be converted.'}
+      </p>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Source column</th>
+            <th>Transform</th>
+            <th>First row</th>
+          </tr>
+        </thead>
+        <tbody>
+          {DATASET_FIELDS.map(field => (
+            <tr key={field.key} className={unmapped.includes(field) ? 'unmapped' : ''}>
+              <td><strong>{field.key}</strong></td>
+              <td>
+                <select
+                  aria-label={`Source column for ${field.key}`}
+                  value={mapping[field.key].column}
+                  onChange={(e) => updateField(field.key, { column: e.target.value })}
+                >
+                  <option value="">Choose a column...</option>
+                  {columns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </td>
+              <td>{renderTransform(field)}</td>
+              <td>{renderPreview(field)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mapping-actions">
+        {unmapped.length > 0 && (
+          <span className="mapping-error">
+            Still unmapped: {unmapped.map(field => field.key).join(', ')}
+          </span>
+        )}
+        <button type="button" className="reset-btn" onClick={onCancel}>Cancel</button>
+        <button type="button" disabled={unmapped.length > 0} onClick={() => onConfirm(mapping)}>
+          Import {source.records.length} rows
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FieldMappingWizard;
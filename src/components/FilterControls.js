@@ -0,0 +1,107 @@
+import React, { useMemo } from 'react';
+import { FILTER_GROUPS } from '../constants/filters';
+import { NUMERIC_FIELDS, RANGE_FILTER_FIELDS, getFieldBounds, getFieldValue } from '../constants/fields';
+import { toggleFilterValue, setFilterRange, clearFilter, describeFilters } from '../utils/filters';
+import RangeSlider from './RangeSlider';
+
+const FilterControls = ({ filters, onChange, onReset, data, filteredData, children }) => {
+  const activeFilters = describeFilters(filters);
+  const matchCount = filteredData.length;
+  const totalCount = data.length;
+
+  // Slider bounds and sparkline values come from the loaded data, not the filtered subset
+  const rangeFields = useMemo(() => RANGE_FILTER_FIELDS.map(key => ({
+    key,
+    bounds: getFieldBounds(data, key),
+    values: data.map(d => getFieldValue(d, key))
+  })), [data]);
+
+  const filteredValues = useMemo(() => RANGE_FILTER_FIELDS.reduce((acc, key) => ({
+    ...acc,
+    [key]: filteredData.map(d => getFieldValue(d, key))
+  }), {}), [filteredData]);
+
+  return (
+    <div className="controls">
+      <h3>Interactive Data Explorer</h3>
+      <div className="filter-controls">
+        {FILTER_GROUPS.map(group => {
+          const selected = filters[group.key] || [];
+          return (
+            <div className="filter-group" key={group.key}>
+              <label id={`${group.id}-label`}>{group.label}</label>
+              <div id={group.id} className="filter-options" role="group" aria-labelledby={`${group.id}-label`}>
+                {group.options.map(option => (
+                  <label
+                    key={option.value}
+                    className={`filter-option${selected.includes(option.value) ? ' selected' : ''}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(option.value)}
+                      onChange={() => onChange(toggleFilterValue(filters, group.key, option.value))}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+
+        <div className="filter-group">
+          <button onClick={onReset} className="reset-btn">Reset All Filters</button>
+          {children}
+        </div>
+      </div>
+
+      <div className="range-filters">
+        {rangeFields.map(field => {
+          const { label, step, format } = NUMERIC_FIELDS[field.key];
+          return (
+            <RangeSlider
+              key={field.key}
+              id={`${field.key}-range`}
+              label={label}
+              bounds={field.bounds}
+              value={filters.ranges[field.key]}
+              step={step}
+              format={format}
+              values={field.values}
+              filteredValues={filteredValues[field.key]}
+              onChange={(range) => onChange(setFilterRange(filters, field.key, range))}
+            />
+          );
+        })}
+      </div>
+
+      {/* Summary of exactly what is applied to the stats panel and charts */}
+      <div className="active-filters">
+        {activeFilters.length === 0 ? (
+          <span>No filters applied - showing all {totalCount} properties.</span>
+        ) : (
+          <>
+            <span>Showing {matchCount} of {totalCount} properties matching:</span>
+            {activeFilters.map(group => (
+              <span key={`${group.type}-${group.key}`} className="filter-chip">
+                <strong>{group.label}:</strong> {group.values.map(v => v.label).join(' or ')}
+                <button
+                  type="button"
+                  aria-label={`Clear ${group.label} filter`}
+                  onClick={() => onChange(clearFilter(filters, group))}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            {matchCount === 0 && (
+              <span className="no-match">No properties match all active filters.</span>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FilterControls;
@@ -1,12 +1,23 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { HEATMAP_VIEWS } from '../constants/chartDimensions';
+import { isMarkSelected } from '../utils/filters';
+import { HIGHLIGHT_COLOR } from '../constants/colors';
 // Colors handled by d3 built-in scheme for heatmap gradient
 
-const HeatmapChart = ({ data, width = 600, height = 400 }) => {
+// `aggregate` holds the cells computed by computeHeatmap (in the aggregation worker)
+const HeatmapChart = ({
+  aggregate, settings, onSettingsChange, markFilter, onMarkClick, highlightedIds, onHighlight, width = 600, height = 400
+}) => {
   const svgRef = useRef();
-  const [viewMode, setViewMode] = useState('bedrooms'); // bedrooms, bathrooms, stories
+  const layoutRef = useRef();
+  const { viewMode } = settings; // bedrooms, bathrooms, stories
+  const setViewMode = (value) => onSettingsChange({ viewMode: value });
 
   useEffect(() => {
+    // Keep the current drawing until the cells for the selected view arrive
+    if (!aggregate || aggregate.viewMode !== viewMode) return;
+
     const svg = d3.select(svgRef.current);
     svg.selectAll("*").remove();
 
@@ -14,65 +25,9 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
     const innerWidth = width - margin.left - margin.right;
     const innerHeight = height - margin.top - margin.bottom;
 
-    // Prepare data based on view mode
-    let xDomain, yDomain, aggregatedData;
-    
-    if (viewMode === 'bedrooms') {
-      // Bedrooms vs Bathrooms heatmap
-      aggregatedData = d3.rollup(
-        data,
-        v => ({
-          count: v.length,
-          avgPrice: d3.mean(v, d => d.price),
-          properties: v
-        }),
-        d => d.bedrooms,
-        d => d.bathrooms
-      );
-      xDomain = [...new Set(data.map(d => d.bedrooms))].sort((a, b) => a - b);
-      yDomain = [...new Set(data.map(d => d.bathrooms))].sort((a, b) => a - b);
-    } else if (viewMode === 'bathrooms') {
-      // Bathrooms vs Stories heatmap
-      aggregatedData = d3.rollup(
-        data,
-        v => ({
-          count: v.length,
-          avgPrice: d3.mean(v, d => d.price),
-          properties: v
-        }),
-        d => d.bathrooms,
-        d => d.stories
-      );
-      xDomain = [...new Set(data.map(d => d.bathrooms))].sort((a, b) => a - b);
-      yDomain = [...new Set(data.map(d => d.stories))].sort((a, b) => a - b);
-    } else {
-      // Stories vs Parking heatmap
-      aggregatedData = d3.rollup(
-        data,
-        v => ({
-          count: v.length,
-          avgPrice: d3.mean(v, d => d.price),
-          properties: v
-        }),
-        d => d.stories,
-        d => Math.min(d.parking, 3) // Cap parking at 3+ for better visualization
-      );
-      xDomain = [...new Set(data.map(d => d.stories))].sort((a, b) => a - b);
-      yDomain = [0, 1, 2, 3]; // 0, 1, 2, 3+ parking spaces
-    }
-
-    // Convert to flat array for visualization
-    const heatmapData = [];
-    for (let [x, yMap] of aggregatedData) {
-      for (let [y, values] of yMap) {
-        heatmapData.push({
-          x, y,
-          count: values.count,
-          avgPrice: values.avgPrice,
-          properties: values.properties
-        });
-      }
-    }
+    // Cells of the view mode: bedrooms vs bathrooms, bathrooms vs stories or stories vs parking
+    const view = HEATMAP_VIEWS[viewMode];
+    const { xDomain, yDomain, cells: heatmapData } = aggregate;
 
     const xScale = d3.scaleBand()
       .domain(xDomain)
@@ -90,6 +45,12 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
     const g = svg.append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
+    // Cells clicked into the global filter keep a dark outline
+    const isSelected = d => isMarkSelected(markFilter, viewMode, [d.x, d.y]);
+    const hasSelection = heatmapData.some(isSelected);
+    const restingStroke = d => isSelected(d) ? '#333' : '#fff';
+    const restingStrokeWidth = d => isSelected(d) ? 3 : 1;
+
     // Add rectangles
     g.selectAll('rect')
       .data(heatmapData)
@@ -99,10 +60,14 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
       .attr('width', xScale.bandwidth())
       .attr('height', yScale.bandwidth())
       .attr('fill', d => colorScale(d.avgPrice))
-      .attr('stroke', '#fff')
-      .attr('stroke-width', 1)
+      .attr('opacity', d => hasSelection && !isSelected(d) ? 0.45 : 1)
+      .attr('stroke', restingStroke)
+      .attr('stroke-width', restingStrokeWidth)
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => onMarkClick([d.x, d.y], event.shiftKey))
       .on('mouseenter', function(event, d) {
         d3.select(this).attr('stroke-width', 3).attr('stroke', '#333');
+        onHighlight(new Set(d.ids));
         
         // Tooltip
         const tooltip = g.append('g').attr('class', 'tooltip');
@@ -118,8 +83,7 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
           .attr('dy', '0.35em')
           .style('pointer-events', 'none');
         
-        const labels = getLabelsForMode(viewMode, d.x, d.y);
-        text.append('tspan').attr('x', 0).attr('dy', '0em').text(labels.title);
+        text.append('tspan').attr('x', 0).attr('dy', '0em').text(view.cellTitle(d.x, d.y));
         text.append('tspan').attr('x', 0).attr('dy', '1.3em').text(`Properties: ${d.count}`);
         text.append('tspan').attr('x', 0).attr('dy', '1.3em').text(`Avg Price: $${(d.avgPrice/1000000).toFixed(1)}M`);
         
@@ -139,9 +103,10 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
           tooltip.attr('transform', `translate(${mouseX - bbox.width/2},${mouseY - bbox.height - 15})`);
         }
       })
-      .on('mouseleave', function() {
-        d3.select(this).attr('stroke-width', 1).attr('stroke', '#fff');
+      .on('mouseleave', function(event, d) {
+        d3.select(this).attr('stroke-width', restingStrokeWidth(d)).attr('stroke', restingStroke(d));
         g.select('.tooltip').remove();
+        onHighlight(null);
       });
 
     // Add text labels on cells
@@ -149,6 +114,7 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
       .data(heatmapData)
       .enter().append('text')
       .attr('class', 'cell-label')
+      .style('pointer-events', 'none')
       .attr('x', d => xScale(d.x) + xScale.bandwidth() / 2)
       .attr('y', d => yScale(d.y) + yScale.bandwidth() / 2)
       .attr('text-anchor', 'middle')
@@ -158,6 +124,10 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
       .attr('fill', d => d.avgPrice > (d3.max(heatmapData, d => d.avgPrice) * 0.6) ? 'white' : 'black')
       .text(d => d.count);
 
+    // Layer for the linked highlight overlay, filled by the effect below
+    g.append('g').attr('class', 'highlight-layer').style('pointer-events', 'none');
+    layoutRef.current = { heatmapData, xScale, yScale };
+
     // X axis
     g.append('g')
       .attr('transform', `translate(0,${innerHeight})`)
@@ -168,19 +138,18 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
       .call(d3.axisLeft(yScale));
 
     // Labels
-    const labels = getAxisLabelsForMode(viewMode);
     g.append('text')
       .attr('transform', 'rotate(-90)')
       .attr('y', 0 - margin.left)
       .attr('x', 0 - (innerHeight / 2))
       .attr('dy', '1em')
       .style('text-anchor', 'middle')
-      .text(labels.yLabel);
+      .text(view.yLabel);
 
     g.append('text')
       .attr('transform', `translate(${innerWidth / 2}, ${innerHeight + margin.bottom - 10})`)
       .style('text-anchor', 'middle')
-      .text(labels.xLabel);
+      .text(view.xLabel);
 
     // Color legend
     const legendHeight = 200;
@@ -219,27 +188,43 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
       .attr('transform', `translate(${legendWidth}, 0)`)
       .call(legendAxis);
 
-  }, [data, width, height, viewMode]);
-
-  const getLabelsForMode = (mode, x, y) => {
-    if (mode === 'bedrooms') {
-      return { title: `${x} bed, ${y} bath` };
-    } else if (mode === 'bathrooms') {
-      return { title: `${x} bath, ${y} ${y === 1 ? 'story' : 'stories'}` };
-    } else {
-      return { title: `${x} ${x === 1 ? 'story' : 'stories'}, ${y === 3 ? '3+' : y} parking` };
-    }
-  };
-
-  const getAxisLabelsForMode = (mode) => {
-    if (mode === 'bedrooms') {
-      return { xLabel: 'Number of Bedrooms', yLabel: 'Number of Bathrooms' };
-    } else if (mode === 'bathrooms') {
-      return { xLabel: 'Number of Bathrooms', yLabel: 'Number of Stories' };
-    } else {
-      return { xLabel: 'Number of Stories', yLabel: 'Parking Spaces' };
-    }
-  };
+  }, [aggregate, width, height, viewMode, markFilter, onMarkClick, onHighlight]);
+
+  // Linked highlight: outline the cells holding properties hovered in another chart
+  useEffect(() => {
+    const layer = d3.select(svgRef.current).select('.highlight-layer');
+    layer.selectAll('*').remove();
+    if (!highlightedIds || !layoutRef.current) return;
+
+    const { heatmapData, xScale, yScale } = layoutRef.current;
+    const cells = heatmapData
+      .map(cell => ({ ...cell, highlighted: cell.ids.filter(id => highlightedIds.has(id)).length }))
+      .filter(cell => cell.highlighted > 0);
+
+    const groups = layer.selectAll('g')
+      .data(cells)
+      .enter().append('g')
+      .attr('transform', d => `translate(${xScale(d.x)},${yScale(d.y)})`);
+
+    groups.append('rect')
+      .attr('x', 2)
+      .attr('y', 2)
+      .attr('width', xScale.bandwidth() - 4)
+      .attr('height', yScale.bandwidth() - 4)
+      .attr('fill', 'none')
+      .attr('stroke', HIGHLIGHT_COLOR)
+      .attr('stroke-width', 3);
+
+    // Share of the cell that is highlighted, e.g. "3/12"
+    groups.append('text')
+      .attr('x', xScale.bandwidth() - 6)
+      .attr('y', 14)
+      .attr('text-anchor', 'end')
+      .attr('font-size', '9px')
+      .attr('font-weight', 'bold')
+      .attr('fill', HIGHLIGHT_COLOR)
+      .text(d => `${d.highlighted}/${d.count}`);
+  }, [highlightedIds, aggregate, width, height, viewMode, markFilter]);
 
   return (
     <div>
@@ -286,7 +271,8 @@ const HeatmapChart = ({ data, width = 600, height = 400 }) => {
       <svg ref={svgRef} width={width} height={height}></svg>
       <div className="chart-insights">
         <small>🏗️ <strong>Renovation Strategy:</strong> Target 2:1 or 3:2 bedroom-bathroom ratios for maximum value • 
-        Multi-story properties with parking command premium • Avoid imbalanced configurations unless price reflects discount</small>
+        Multi-story properties with parking command premium • Avoid imbalanced configurations unless price reflects discount<br/>
+        🖱️ <strong>Controls:</strong> Click a cell to filter the dashboard to that configuration • Shift-click to add more cells</small>
       </div>
     </div>
   );
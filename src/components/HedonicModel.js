@@ -0,0 +1,92 @@
+import React from 'react';
+import { formatFieldChange } from '../constants/fields';
+
+const RESPONSE_OPTIONS = [
+  { value: 'price', label: 'Price' },
+  { value: 'logPrice', label: 'Log price' }
+];
+
+const formatSignedPrice = value => `${value >= 0 ? '+' : '-'}${formatFieldChange('price', Math.abs(value))}`;
+// A log-price coefficient b multiplies the price by e^b, i.e. a change of (e^b - 1) × 100%
+const formatPercentEffect = value => {
+  const percent = (Math.exp(value) - 1) * 100;
+  return `${percent >= 0 ? '+' : '-'}${Math.abs(percent).toFixed(1)}%`;
+};
+const formatPValue = value => (value === undefined ? '-' : value < 0.001 ? '<0.001' : value.toFixed(3));
+const significanceClass = value => (value !== undefined && value < 0.05 ? 'significant' : undefined);
+
+// Multiple regression of price on every feature at once (fitHedonicModel, in the aggregation worker),
+// shown next to the with/without premiums it corrects for co-occurring features
+const HedonicModel = ({ model, response, onResponseChange }) => {
+  // Format for the model being shown, which lags the selected response while the worker refits
+  const isLog = Boolean(model) && model.response === 'logPrice';
+
+  const formatEstimate = ({ key, estimate }) => {
+    if (key === 'intercept' && isLog) return estimate.toFixed(3);
+    return isLog ? formatPercentEffect(estimate) : formatSignedPrice(estimate);
+  };
+
+  return (
+    <div className="hedonic-model">
+      <h4>Hedonic Pricing Model: Every Feature at Once</h4>
+      <div className="chart-controls">
+        <label htmlFor="hedonic-response" style={{ fontWeight: 'bold' }}>Model</label>
+        <select id="hedonic-response" value={response} onChange={(e) => onResponseChange(e.target.value)}>
+          {RESPONSE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <span>on area, rooms, stories, parking, amenities and furnishing</span>
+      </div>
+
+      {!model ? (
+        <p className="residual-empty">Fitting the model...</p>
+      ) : model.coefficients.length === 0 ? (
+        <p className="residual-empty">{model.message}</p>
+      ) : (
+        <>
+          <table className="fit-stats">
+            <thead>
+              <tr>
+                <th>Term</th>
+                <th>{isLog ? 'Effect on price' : 'Estimate'}</th>
+                <th>Std. Error</th>
+                <th>t</th>
+                <th>p-value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {model.coefficients.map(coefficient => (
+                <tr key={coefficient.key} className={significanceClass(coefficient.pValue)}>
+                  <th scope="row">{coefficient.label}</th>
+                  <td>{formatEstimate(coefficient)}</td>
+                  <td>{isLog ? coefficient.standardError.toFixed(3) : formatFieldChange('price', coefficient.standardError)}</td>
+                  <td>{coefficient.t === undefined ? '-' : coefficient.t.toFixed(2)}</td>
+                  <td>{formatPValue(coefficient.pValue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="hedonic-summary">
+            {model.n} properties{model.excluded > 0 && ` (${model.excluded} with missing values left out)`}
+            {' • '}R² = {model.r2 === undefined ? '-' : model.r2.toFixed(3)}
+            {' • '}Adjusted R² = {model.adjustedR2 === undefined ? '-' : model.adjustedR2.toFixed(3)}
+            {' • '}Residual std. error = {isLog ? model.residualStandardError.toFixed(3) : formatFieldChange('price', model.residualStandardError)}
+            {' '}on {model.df} degrees of freedom
+          </p>
+          {model.dropped.length > 0 && (
+            <p className="residual-note">
+              Left out because they don't vary or are determined by other features here: {model.dropped.join(', ')}.
+            </p>
+          )}
+          <p className="residual-note">
+            Each {isLog ? 'effect is the percentage change in price' : 'estimate is the change in price'} for one more
+            unit of the term (or having the amenity), with every other term held fixed. Bold rows are significant at
+            the 5% level. {isLog && 'Standard errors are in log units. '}These are associations in the sales
+            data, not guaranteed renovation returns.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HedonicModel;
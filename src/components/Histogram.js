@@ -1,12 +1,26 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { isMarkSelected } from '../utils/filters';
+import { HIGHLIGHT_COLOR, ESTIMATE_COLOR } from '../constants/colors';
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { estimateFieldValues } from '../utils/hedonic';
+import { locateInBins } from '../utils/aggregations';
 
-const Histogram = ({ data, width = 600, height = 400 }) => {
+// `aggregate` holds the bins computed by computeHistogram (in the aggregation worker)
+const Histogram = ({
+  aggregate, settings, onSettingsChange, markFilter, onMarkClick, highlightedIds, onHighlight, estimate = null,
+  width = 600, height = 400
+}) => {
   const svgRef = useRef();
-  const [variable, setVariable] = useState('price');
-  const [binCount, setBinCount] = useState(15);
+  const layoutRef = useRef();
+  const { variable, binCount } = settings;
+  const setVariable = (value) => onSettingsChange({ variable: value });
+  const setBinCount = (value) => onSettingsChange({ binCount: value });
 
   useEffect(() => {
+    // Keep the current drawing until the bins for the selected variable and bin count arrive
+    if (!aggregate || aggregate.variable !== variable || aggregate.binCount !== binCount) return;
+
     const svg = d3.select(svgRef.current);
     svg.selectAll("*").remove();
 
@@ -14,48 +28,10 @@ const Histogram = ({ data, width = 600, height = 400 }) => {
     const innerWidth = width - margin.left - margin.right;
     const innerHeight = height - margin.top - margin.bottom;
 
-    // Process data for different variables
-    const processedData = data.map(d => ({
-      ...d,
-      pricePerSqFt: d.price / d.area,
-      totalRooms: d.bedrooms + d.bathrooms
-    }));
+    const { bins: uniformBins, extent: [minVal, maxVal] } = aggregate;
 
-    const getVariableValue = (d, variable) => {
-      switch(variable) {
-        case 'price': return d.price;
-        case 'area': return d.area;
-        case 'pricePerSqFt': return d.pricePerSqFt;
-        case 'bedrooms': return d.bedrooms;
-        case 'bathrooms': return d.bathrooms;
-        case 'totalRooms': return d.totalRooms;
-        default: return d.price;
-      }
-    };
-
-    const variableData = processedData.map(d => getVariableValue(d, variable));
-    
-    // Create uniform bins for equal width bars
-    const [minVal, maxVal] = d3.extent(variableData);
-    const binWidth = (maxVal - minVal) / binCount;
-    
-    // Create uniform bins manually
-    const uniformBins = [];
-    for (let i = 0; i < binCount; i++) {
-      const binStart = minVal + (i * binWidth);
-      const binEnd = binStart + binWidth;
-      const binData = processedData.filter(d => {
-        const value = getVariableValue(d, variable);
-        return value >= binStart && (i === binCount - 1 ? value <= binEnd : value < binEnd);
-      });
-      
-      uniformBins.push({
-        x0: binStart,
-        x1: binEnd,
-        length: binData.length,
-        data: binData
-      });
-    }
+    const isSelected = d => isMarkSelected(markFilter, variable, d.item);
+    const hasSelection = uniformBins.some(isSelected);
 
     // Use band scale for equal width bars
     const xScale = d3.scaleBand()
@@ -69,11 +45,11 @@ const Histogram = ({ data, width = 600, height = 400 }) => {
       .range([0, innerWidth]);
 
     const yScale = d3.scaleLinear()
-      .domain([0, d3.max(uniformBins, d => d.length)])
+      .domain([0, d3.max(uniformBins, d => d.count)])
       .range([innerHeight, 0]);
 
     // Use a custom purple palette with opacity variation for better visibility
-    const maxCount = d3.max(uniformBins, d => d.length);
+    const maxCount = d3.max(uniformBins, d => d.count);
     const basePurple = '#6A5ACD'; // Slate blue base color
     
     // Function to create purple with varying opacity
@@ -115,21 +91,25 @@ const Histogram = ({ data, width = 600, height = 400 }) => {
       .data(uniformBins)
       .enter().append('rect')
       .attr('x', (d, i) => xScale(i))
-      .attr('y', d => yScale(d.length))
+      .attr('y', d => yScale(d.count))
       .attr('width', xScale.bandwidth())
-      .attr('height', d => innerHeight - yScale(d.length))
-      .attr('fill', d => getBarColor(d.length))
-      .attr('stroke', '#fff')
-      .attr('stroke-width', 1)
+      .attr('height', d => innerHeight - yScale(d.count))
+      .attr('fill', d => getBarColor(d.count))
+      .attr('fill-opacity', d => hasSelection && !isSelected(d) ? 0.35 : 1)
+      .attr('stroke', d => isSelected(d) ? '#333' : '#fff')
+      .attr('stroke-width', d => isSelected(d) ? 2 : 1)
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => onMarkClick(d.item, event.shiftKey))
       .on('mouseenter', function(event, d) {
         d3.select(this).attr('opacity', 0.7);
+        onHighlight(new Set(d.ids));
         
         // Update tooltip content
         tooltipText.selectAll('tspan').remove();
         tooltipText.append('tspan').attr('x', 0).attr('dy', '0em')
           .text(`Range: ${formatValue(d.x0)} - ${formatValue(d.x1)}`);
         tooltipText.append('tspan').attr('x', 0).attr('dy', '1.2em')
-          .text(`Count: ${d.length} properties`);
+          .text(`Count: ${d.count} properties`);
         
         // Update tooltip box size
         const bbox = tooltipText.node().getBBox();
@@ -149,6 +129,7 @@ const Histogram = ({ data, width = 600, height = 400 }) => {
       })
       .on('mouseleave', function() {
         d3.select(this).attr('opacity', 1);
+        onHighlight(null);
         // Hide tooltip
         tooltip.style('opacity', 0);
       });
@@ -193,7 +174,78 @@ const Histogram = ({ data, width = 600, height = 400 }) => {
       .style('text-anchor', 'middle')
       .text(getVariableLabel(variable));
 
-  }, [data, width, height, variable, binCount]);
+    // Layers for the linked highlight overlay and the Value Estimator marker, filled by the effects below
+    g.append('g').attr('class', 'highlight-layer').style('pointer-events', 'none');
+    g.append('g').attr('class', 'estimate-layer').style('pointer-events', 'none');
+    layoutRef.current = { bins: uniformBins, xScale, yScale, innerHeight };
+
+  }, [aggregate, width, height, variable, binCount, markFilter, onMarkClick, onHighlight]);
+
+  // Linked highlight: overlay how many of the hovered properties fall in each bin
+  useEffect(() => {
+    const layer = d3.select(svgRef.current).select('.highlight-layer');
+    layer.selectAll('*').remove();
+    if (!highlightedIds || !layoutRef.current) return;
+
+    const { bins, xScale, yScale, innerHeight } = layoutRef.current;
+    const counts = bins
+      .map((bin, i) => ({ i, count: bin.ids.filter(id => highlightedIds.has(id)).length }))
+      .filter(d => d.count > 0);
+
+    layer.selectAll('rect')
+      .data(counts)
+      .enter().append('rect')
+      .attr('x', d => xScale(d.i))
+      .attr('y', d => yScale(d.count))
+      .attr('width', xScale.bandwidth())
+      .attr('height', d => innerHeight - yScale(d.count))
+      .attr('fill', HIGHLIGHT_COLOR)
+      .attr('fill-opacity', 0.35)
+      .attr('stroke', HIGHLIGHT_COLOR)
+      .attr('stroke-width', 2);
+  }, [highlightedIds, aggregate, width, height, variable, binCount, markFilter]);
+
+  // Value Estimator property: a line at its value with the price range shaded (for price fields).
+  // Bars are equal-width bins, so a value is placed within its bin's bar.
+  useEffect(() => {
+    const layer = d3.select(svgRef.current).select('.estimate-layer');
+    layer.selectAll('*').remove();
+    if (!estimate || !layoutRef.current || !aggregate || aggregate.variable !== variable) return;
+    // No properties match the filters, so there are no bars to place the estimate against
+    if (aggregate.bins.length === 0) return;
+
+    const { bins, xScale, innerHeight } = layoutRef.current;
+    const position = (value) => {
+      const { index, fraction } = locateInBins(bins, value);
+      return xScale(index) + fraction * xScale.bandwidth();
+    };
+    const [lower, value, upper] = estimateFieldValues(estimate, estimate.property, variable);
+
+    if (upper > lower) {
+      layer.append('rect')
+        .attr('x', position(lower))
+        .attr('width', position(upper) - position(lower))
+        .attr('y', 0)
+        .attr('height', innerHeight)
+        .attr('fill', ESTIMATE_COLOR)
+        .attr('fill-opacity', 0.12);
+    }
+    layer.append('line')
+      .attr('x1', position(value))
+      .attr('x2', position(value))
+      .attr('y1', 0)
+      .attr('y2', innerHeight)
+      .attr('stroke', ESTIMATE_COLOR)
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', '5,3');
+    layer.append('text')
+      .attr('x', position(value) + 4)
+      .attr('y', 10)
+      .attr('font-size', '11px')
+      .attr('font-weight', 'bold')
+      .attr('fill', ESTIMATE_COLOR)
+      .text(`Estimate: ${NUMERIC_FIELDS[variable].format(value)}`);
+  }, [estimate, aggregate, width, height, variable, binCount, markFilter]);
 
   return (
     <div>
@@ -203,10 +255,33 @@ const Histogram = ({ data, width = 600, height = 400 }) => {
         High-frequency price ranges indicate active buyer demand - focus your investments here for faster sales. 
         Avoid price gaps where few buyers exist, unless you can position uniquely.
       </p>
+
+      <div className="chart-controls" style={{ marginBottom: '15px' }}>
+        <label htmlFor="histogram-variable" style={{ fontWeight: 'bold' }}>Distribution of:</label>
+        <select id="histogram-variable" value={variable} onChange={(e) => setVariable(e.target.value)}>
+          <option value="price">Price</option>
+          <option value="area">Area</option>
+          <option value="pricePerSqFt">Price per Sq Ft</option>
+          <option value="bedrooms">Bedrooms</option>
+          <option value="bathrooms">Bathrooms</option>
+          <option value="totalRooms">Total Rooms</option>
+        </select>
+        <label htmlFor="histogram-bins" style={{ fontWeight: 'bold', marginLeft: '10px' }}>Bins: {binCount}</label>
+        <input
+          id="histogram-bins"
+          type="range"
+          min={5}
+          max={40}
+          value={binCount}
+          onChange={(e) => setBinCount(parseInt(e.target.value))}
+        />
+      </div>
+
       <svg ref={svgRef} width={width} height={height}></svg>
       <div className="chart-insights">
         <small>🎯 <strong>Investment Focus:</strong> Target the peak distribution ranges for fastest turnover • 
-        Luxury segment ($8M+) = longer hold times but higher margins • Mass market = quick flips with volume</small>
+        Luxury segment ($8M+) = longer hold times but higher margins • Mass market = quick flips with volume<br/>
+        🖱️ <strong>Controls:</strong> Click a bar to filter the dashboard to that range • Shift-click to add more bars</small>
       </div>
     </div>
   );
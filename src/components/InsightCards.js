@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Cards built by utils/insights from the properties currently shown. The first card leads;
+// figures resting on too few properties are flagged rather than hidden.
+const InsightCards = ({ insights }) => (
+  <div className="insights">
+    <h3>Strategic Market Intelligence</h3>
+    {insights.length === 0 ? (
+      <p className="insights-empty">No properties match the active filters, so there is nothing to summarize.</p>
+    ) : (
+      <div className="insights-grid">
+        {insights.map((insight, i) => (
+          <div
+            key={insight.key}
+            className={`insight-card${i === 0 ? ' priority' : ''}${insight.warning ? ' low-sample' : ''}`}
+          >
+            <h4>{insight.icon} {insight.title}</h4>
+            <p><strong>{insight.lead}</strong> {insight.text}</p>
+            {insight.warning && <p className="insight-warning" role="note">⚠️ {insight.warning}</p>}
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+export default InsightCards;
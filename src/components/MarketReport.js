@@ -0,0 +1,131 @@
+import React, { useMemo, useState } from 'react';
+import StatsPanel from './StatsPanel';
+import { CHART_VIEWS } from '../constants/chartViews';
+import { describeFilters } from '../utils/filters';
+import { calculateOverviewStats } from '../utils/stats';
+import {
+  buildHistogramTable,
+  buildDonutTable,
+  buildHeatmapTable,
+  buildPremiumTable,
+  buildReportNarrative,
+  describeChartSettings
+} from '../utils/report';
+
+// One page per chart, each with the chart, its narrative and the numbers behind it
+const REPORT_SECTIONS = [
+  { key: 'scatter' },
+  { key: 'histogram', tableTitle: 'Histogram bins', buildTable: aggregates => buildHistogramTable(aggregates.histogram) },
+  { key: 'donut', tableTitle: 'Group sizes', buildTable: aggregates => buildDonutTable(aggregates.donut) },
+  { key: 'heatmap', tableTitle: 'Average price (properties) per cell', buildTable: aggregates => buildHeatmapTable(aggregates.heatmap) },
+  { key: 'featurePremium', tableTitle: 'Feature premiums', buildTable: aggregates => buildPremiumTable(aggregates.featurePremium), wide: true }
+];
+
+const ReportTable = ({ table }) => (
+  <table className="report-table">
+    <thead>
+      <tr>{table.columns.map(column => <th key={column}>{column}</th>)}</tr>
+    </thead>
+    <tbody>
+      {table.rows.map((row, i) => (
+        <tr key={i}>{row.map((cell, j) => <td key={j}>{cell}</td>)}</tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Printable, paginated report of the current dashboard state. Everything in it comes from the URL
+// state (filters and chart controls), so opening a saved view's report regenerates it on the current data.
+// `renderChart(key)` draws a dashboard chart; `children` are extra toolbar actions.
+const MarketReport = ({ data, fullData, aggregates, filters, chartSettings, sourceName, renderChart, onClose, children }) => {
+  const [generatedAt] = useState(() => new Date());
+  const totalCount = fullData.length;
+  const stats = useMemo(() => calculateOverviewStats(data, fullData), [data, fullData]);
+  const narrative = useMemo(
+    () => buildReportNarrative({ data, totalCount, filters, aggregates, chartSettings }),
+    [data, totalCount, filters, aggregates, chartSettings]
+  );
+  const activeFilters = describeFilters(filters);
+  // Cover, statistics, then one page per chart
+  const pageCount = REPORT_SECTIONS.length + 2;
+
+  const pageFooter = (page) => (
+    <footer className="report-page-footer">
+      <span>{sourceName} - generated {generatedAt.toLocaleString()}</span>
+      <span>Page {page} of {pageCount}</span>
+    </footer>
+  );
+
+  return (
+    <div className="market-report">
+      <div className="report-toolbar">
+        <button type="button" onClick={() => window.print()}>Print / Save as PDF</button>
+        <button type="button" onClick={onClose}>Back to Dashboard</button>
+        {children}
+        <p>Save this view or bookmark the link to regenerate the report later on fresh data.</p>
+      </div>
+
+      <section className="report-page">
+        <h1>Real Estate Market Report</h1>
+        <p className="report-meta">
+          {sourceName} - {data.length} of {totalCount} properties - generated {generatedAt.toLocaleString()}
+        </p>
+
+        <h2>Key Findings</h2>
+        <p className="report-narrative">{narrative.overview}</p>
+
+        <div className="report-columns">
+          <div>
+            <h3>Filters</h3>
+            {activeFilters.length === 0 ? (
+              <p>None - all properties are included.</p>
+            ) : (
+              <ul>
+                {activeFilters.map(entry => (
+                  <li key={`${entry.type}-${entry.key}`}>
+                    <strong>{entry.label}:</strong> {entry.values.map(v => v.label).join(' or ')}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div>
+            <h3>Chart Settings</h3>
+            <ul>
+              {describeChartSettings(chartSettings).map(line => <li key={line}>{line}</li>)}
+            </ul>
+          </div>
+        </div>
+
+        <p className="report-link">Regenerate: <span>{window.location.href}</span></p>
+        {pageFooter(1)}
+      </section>
+
+      <section className="report-page">
+        <StatsPanel stats={stats} title="Statistics" />
+        {pageFooter(2)}
+      </section>
+
+      {REPORT_SECTIONS.map((section, i) => (
+        <section key={section.key} className={`report-page report-chart-page${section.wide ? ' wide' : ''}`}>
+          <h2>{i + 1}. {CHART_VIEWS.find(view => view.key === section.key).label}</h2>
+          <div className="report-chart-layout">
+            <div className="report-chart">{renderChart(section.key)}</div>
+            <div className="report-chart-details">
+              <p className="report-narrative">{narrative[section.key]}</p>
+              {section.buildTable && (
+                <>
+                  <h3>{section.tableTitle}</h3>
+                  <ReportTable table={section.buildTable(aggregates)} />
+                </>
+              )}
+            </div>
+          </div>
+          {pageFooter(i + 3)}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default MarketReport;
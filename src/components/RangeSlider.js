@@ -0,0 +1,97 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+const SPARKLINE_HEIGHT = 32;
+const BIN_COUNT = 30;
+
+// Dual-handle slider with a histogram sparkline of the full and currently filtered values behind it
+const RangeSlider = ({ id, label, bounds, value, step, format, values, filteredValues, onChange, width = 220 }) => {
+  const svgRef = useRef();
+  const [min, max] = bounds;
+  const [low, high] = value || bounds;
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (min === max) return;
+
+    const bin = d3.bin().domain([min, max]).thresholds(d3.ticks(min, max, BIN_COUNT));
+    const allBins = bin(values);
+    const filteredBins = bin(filteredValues);
+
+    const xScale = d3.scaleLinear().domain([min, max]).range([0, width]);
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(allBins, d => d.length) || 1])
+      .range([SPARKLINE_HEIGHT, 0]);
+
+    const drawBars = (bins, fill) => {
+      svg.append('g')
+        .selectAll('rect')
+        .data(bins)
+        .enter().append('rect')
+        .attr('x', d => xScale(d.x0))
+        .attr('y', d => yScale(d.length))
+        .attr('width', d => Math.max(0, xScale(d.x1) - xScale(d.x0) - 1))
+        .attr('height', d => SPARKLINE_HEIGHT - yScale(d.length))
+        .attr('fill', fill);
+    };
+
+    // Full distribution in the background, live filtered distribution on top
+    drawBars(allBins, '#E6E6FA');
+    drawBars(filteredBins, '#6A5ACD');
+
+    // Dim everything outside the selected range
+    svg.append('rect')
+      .attr('x', 0)
+      .attr('width', xScale(low))
+      .attr('height', SPARKLINE_HEIGHT)
+      .attr('fill', 'white')
+      .attr('opacity', 0.6);
+    svg.append('rect')
+      .attr('x', xScale(high))
+      .attr('width', width - xScale(high))
+      .attr('height', SPARKLINE_HEIGHT)
+      .attr('fill', 'white')
+      .attr('opacity', 0.6);
+  }, [values, filteredValues, min, max, low, high, width]);
+
+  // Report null once both handles are back at the data bounds so the filter disappears
+  const update = (nextLow, nextHigh) => {
+    const range = [Math.min(nextLow, nextHigh), Math.max(nextLow, nextHigh)];
+    onChange(range[0] <= min && range[1] >= max ? null : range);
+  };
+
+  return (
+    <div className="range-slider" style={{ width }}>
+      <div className="range-slider-header">
+        <label htmlFor={`${id}-min`}>{label}</label>
+        <span>{format(low)} - {format(high)}</span>
+      </div>
+      <div className="range-slider-track">
+        <svg ref={svgRef} width={width} height={SPARKLINE_HEIGHT}></svg>
+        <input
+          id={`${id}-min`}
+          type="range"
+          aria-label={`${label} minimum`}
+          min={min}
+          max={max}
+          step={step}
+          value={low}
+          onChange={(e) => update(Math.min(Number(e.target.value), high), high)}
+        />
+        <input
+          id={`${id}-max`}
+          type="range"
+          aria-label={`${label} maximum`}
+          min={min}
+          max={max}
+          step={step}
+          value={high}
+          onChange={(e) => update(low, Math.max(Number(e.target.value), low))}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default RangeSlider;
@@ -0,0 +1,52 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { exportChartsReport } from '../utils/chartExport';
+import { downloadFile } from '../utils/download';
+
+// Multi-page PDF of every chart. Charts only exist on screen in their view, so outside
+// "All Charts" the button switches to it, exports once the charts have drawn, and switches back.
+// Both switches replace the current history entry, so an export leaves the browser history as it was.
+const ReportExportButton = ({ chartsRef, selectedChart, onSelectChart, caption, sourceName }) => {
+  const [request, setRequest] = useState(null); // { returnTo }
+  const [status, setStatus] = useState(null); // { type: 'busy' | 'error', text }
+  const optionsRef = useRef();
+  optionsRef.current = { caption, sourceName, onSelectChart };
+
+  useEffect(() => {
+    if (!request || selectedChart !== 'all') return;
+    const { returnTo } = request;
+    setRequest(null);
+
+    // The charts draw in their own effects, which may run after this one; start on the next task
+    const { caption: reportCaption, sourceName: reportSource, onSelectChart: selectChart } = optionsRef.current;
+    new Promise(resolve => setTimeout(resolve, 0))
+      .then(() => exportChartsReport(
+        [...chartsRef.current.querySelectorAll('[data-chart]')],
+        { caption: reportCaption, sourceName: reportSource }
+      ))
+      .then(({ blob, fileName }) => {
+        downloadFile(blob, fileName);
+        setStatus(null);
+      })
+      .catch(error => setStatus({ type: 'error', text: `Report failed: ${error.message}` }))
+      .finally(() => {
+        if (returnTo !== 'all') selectChart(returnTo, { replace: true });
+      });
+  }, [request, selectedChart, chartsRef]);
+
+  const startExport = () => {
+    setStatus({ type: 'busy', text: 'Building report...' });
+    setRequest({ returnTo: selectedChart });
+    if (selectedChart !== 'all') onSelectChart('all', { replace: true });
+  };
+
+  return (
+    <div className="report-export">
+      <button type="button" onClick={startExport} disabled={Boolean(status && status.type === 'busy')}>
+        Export All Charts (PDF)
+      </button>
+      {status && <span className={`saved-views-message ${status.type}`}>{status.text}</span>}
+    </div>
+  );
+};
+
+export default ReportExportButton;
@@ -0,0 +1,196 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { NUMERIC_FIELDS, formatFieldChange } from '../constants/fields';
+import { HIGHLIGHT_COLOR } from '../constants/colors';
+import { TABLE_COLUMNS } from '../utils/dataTable';
+import { rankResiduals, PRICE_VARIABLES } from '../utils/residuals';
+
+const RESIDUAL_COUNTS = [5, 10, 15, 20, 25];
+const PLOT_HEIGHT = 220;
+const margin = { top: 15, right: 15, bottom: 40, left: 60 };
+
+const formatResidual = (variable, value) => `${value >= 0 ? '+' : '-'}${formatFieldChange(variable, Math.abs(value))}`;
+const formatRelative = value => (value === undefined ? '' : ` (${value >= 0 ? '+' : '-'}${Math.abs(value * 100).toFixed(0)}%)`);
+
+const drawAxes = (g, xScale, yScale, innerWidth, innerHeight, xTitle, yTitle, yFormat) => {
+  g.append('g')
+    .attr('transform', `translate(0,${innerHeight})`)
+    .call(d3.axisBottom(xScale).ticks(5).tickFormat(d3.format('~s')));
+  g.append('g').call(d3.axisLeft(yScale).ticks(5).tickFormat(yFormat));
+  g.append('text')
+    .attr('x', innerWidth / 2)
+    .attr('y', innerHeight + 32)
+    .attr('text-anchor', 'middle')
+    .attr('font-size', '11px')
+    .text(xTitle);
+  g.append('text')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -innerHeight / 2)
+    .attr('y', -margin.left + 12)
+    .attr('text-anchor', 'middle')
+    .attr('font-size', '11px')
+    .text(yTitle);
+};
+
+// Residual-vs-fitted plot, residual histogram and the properties furthest from the trend, for the
+// scatter plot's residual mode. `residuals` come from computeResiduals; `colorScale` is the
+// diverging scale the scatter plot colors them with.
+const ResidualAnalysis = ({
+  residuals, xVariable, yVariable, colorScale, count, onCountChange, highlightedIds, onHighlight, width = 600
+}) => {
+  const fittedRef = useRef();
+  const histogramRef = useRef();
+  const yField = NUMERIC_FIELDS[yVariable];
+  const plotWidth = Math.max(240, Math.floor((width - 20) / 2));
+  const innerWidth = plotWidth - margin.left - margin.right;
+  const innerHeight = PLOT_HEIGHT - margin.top - margin.bottom;
+  const isPrice = PRICE_VARIABLES.includes(yVariable);
+
+  // Residual vs fitted: a pattern (a curve, or a funnel widening to the right) means the model misses something
+  useEffect(() => {
+    const svg = d3.select(fittedRef.current);
+    svg.selectAll('*').remove();
+    if (residuals.length === 0) return;
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+    const xScale = d3.scaleLinear().domain(d3.extent(residuals, r => r.fitted)).nice().range([0, innerWidth]);
+    const limit = d3.max(residuals, r => Math.abs(r.residual)) || 1;
+    const yScale = d3.scaleLinear().domain([-limit, limit]).nice().range([innerHeight, 0]);
+
+    drawAxes(g, xScale, yScale, innerWidth, innerHeight, `Fitted ${NUMERIC_FIELDS[yVariable].label.toLowerCase()}`, 'Residual', d3.format('~s'));
+    g.append('line')
+      .attr('x1', 0)
+      .attr('x2', innerWidth)
+      .attr('y1', yScale(0))
+      .attr('y2', yScale(0))
+      .attr('stroke', '#333')
+      .attr('stroke-dasharray', '4,3');
+
+    g.selectAll('circle')
+      .data(residuals)
+      .enter().append('circle')
+      .attr('class', 'residual-point')
+      .attr('cx', r => xScale(r.fitted))
+      .attr('cy', r => yScale(r.residual))
+      .attr('r', 3)
+      .attr('fill', r => colorScale(r.residual))
+      .attr('stroke', r => (highlightedIds && highlightedIds.has(r.row.id) ? HIGHLIGHT_COLOR : 'none'))
+      .attr('stroke-width', 2)
+      .attr('opacity', 0.8)
+      .on('mouseenter', (event, r) => onHighlight(new Set([r.row.id])))
+      .on('mouseleave', () => onHighlight(null))
+      .append('title')
+      .text(r => `Property #${r.row.id + 1}: residual ${formatResidual(yVariable, r.residual)}${formatRelative(r.relative)}`);
+  }, [residuals, yVariable, colorScale, highlightedIds, onHighlight, innerWidth, innerHeight]);
+
+  // Histogram of residuals: roughly symmetric around zero when the trend fits well
+  useEffect(() => {
+    const svg = d3.select(histogramRef.current);
+    svg.selectAll('*').remove();
+    if (residuals.length === 0) return;
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+    const limit = d3.max(residuals, r => Math.abs(r.residual)) || 1;
+    const xScale = d3.scaleLinear().domain([-limit, limit]).nice().range([0, innerWidth]);
+    const bins = d3.bin().domain(xScale.domain()).thresholds(xScale.ticks(20))(residuals.map(r => r.residual));
+    const yScale = d3.scaleLinear().domain([0, d3.max(bins, bin => bin.length)]).nice().range([innerHeight, 0]);
+
+    drawAxes(g, xScale, yScale, innerWidth, innerHeight, 'Residual', 'Properties', d3.format('d'));
+    g.selectAll('rect')
+      .data(bins)
+      .enter().append('rect')
+      .attr('x', bin => xScale(bin.x0) + 1)
+      .attr('width', bin => Math.max(0, xScale(bin.x1) - xScale(bin.x0) - 1))
+      .attr('y', bin => yScale(bin.length))
+      .attr('height', bin => innerHeight - yScale(bin.length))
+      .attr('fill', bin => colorScale((bin.x0 + bin.x1) / 2))
+      .append('title')
+      .text(bin => `${formatResidual(yVariable, bin.x0)} to ${formatResidual(yVariable, bin.x1)}: ${bin.length} properties`);
+    g.append('line')
+      .attr('x1', xScale(0))
+      .attr('x2', xScale(0))
+      .attr('y1', 0)
+      .attr('y2', innerHeight)
+      .attr('stroke', '#333')
+      .attr('stroke-dasharray', '4,3');
+  }, [residuals, yVariable, colorScale, innerWidth, innerHeight]);
+
+  const { under, over } = rankResiduals(residuals, count);
+
+  const renderTable = (title, entries) => (
+    <div className="residual-list">
+      <h4>{title}</h4>
+      {entries.length === 0 ? (
+        <p className="residual-empty">None.</p>
+      ) : (
+        <div className="data-table-scroll">
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Fitted</th>
+                <th>Residual</th>
+                {TABLE_COLUMNS.map(column => <th key={column.key}>{column.label}</th>)}
+              </tr>
+            </thead>
+            <tbody onMouseLeave={() => onHighlight(null)}>
+              {entries.map(({ row, fitted, residual, relative }) => (
+                <tr
+                  key={row.id}
+                  className={highlightedIds && highlightedIds.has(row.id) ? 'highlighted' : undefined}
+                  onMouseEnter={() => onHighlight(new Set([row.id]))}
+                >
+                  <td>{row.id + 1}</td>
+                  <td className="numeric">{yField.format(fitted)}</td>
+                  <td className="numeric" style={{ color: colorScale(residual) }}>
+                    {formatResidual(yVariable, residual)}{formatRelative(relative)}
+                  </td>
+                  {TABLE_COLUMNS.map(column => (
+                    <td key={column.key} className={column.type === 'number' ? 'numeric' : undefined}>
+                      {column.format(column.value(row))}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+
+  if (residuals.length === 0) {
+    return <p className="residual-empty">No trend is fitted to these properties, so there are no residuals to show.</p>;
+  }
+
+  return (
+    <div className="residual-analysis data-table">
+      <div className="residual-plots">
+        <div>
+          <h4>Residual vs Fitted</h4>
+          <svg ref={fittedRef} width={plotWidth} height={PLOT_HEIGHT} />
+        </div>
+        <div>
+          <h4>Residual Distribution</h4>
+          <svg ref={histogramRef} width={plotWidth} height={PLOT_HEIGHT} />
+        </div>
+      </div>
+
+      <div className="chart-controls">
+        <label htmlFor="residual-count" style={{ fontWeight: 'bold' }}>Show top</label>
+        <select id="residual-count" value={count} onChange={(e) => onCountChange(Number(e.target.value))}>
+          {RESIDUAL_COUNTS.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+        <span>properties each way, by residual in {yField.label.toLowerCase()}</span>
+      </div>
+      {renderTable(isPrice ? 'Most Underpriced (furthest below the trend)' : 'Furthest Below the Trend', under)}
+      {renderTable(isPrice ? 'Most Overpriced (furthest above the trend)' : 'Furthest Above the Trend', over)}
+      <p className="residual-note">
+        Residuals compare each property with the trend for its {NUMERIC_FIELDS[xVariable].label.toLowerCase()} only;
+        features the trend doesn't see (location, amenities, condition) can explain a large gap.
+      </p>
+    </div>
+  );
+};
+
+export default ResidualAnalysis;
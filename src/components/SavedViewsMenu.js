@@ -0,0 +1,177 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  loadSavedViews,
+  persistSavedViews,
+  createSavedView,
+  renameSavedView,
+  deleteSavedView,
+  getViewState,
+  exportSavedViews,
+  parseImportedViews,
+  mergeSavedViews
+} from '../utils/savedViews';
+import { downloadFile, readFileAsText } from '../utils/download';
+
+// Named dashboard configurations persisted in localStorage
+const SavedViewsMenu = ({ dashboardState, onApply }) => {
+  const [views, setViews] = useState(loadSavedViews);
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef();
+
+  useEffect(() => {
+    persistSavedViews(views);
+  }, [views]);
+
+  const saveCurrentView = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    setViews(current => [...current, createSavedView(newName, dashboardState)]);
+    setMessage({ type: 'success', text: `Saved "${newName.trim()}".` });
+    setNewName('');
+  };
+
+  const commitRename = (e) => {
+    e.preventDefault();
+    if (editingName.trim()) setViews(current => renameSavedView(current, editingId, editingName));
+    setEditingId(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseImportedViews(await readFileAsText(file));
+      const merged = mergeSavedViews(views, imported);
+      const added = merged.length - views.length;
+      const skipped = imported.length - added;
+      setViews(merged);
+      setMessage({
+        type: 'success',
+        text: `Imported ${added} view${added === 1 ? '' : 's'} from ${file.name}.`
+          + (skipped > 0 ? ` Skipped ${skipped} already saved.` : '')
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Import failed: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="saved-views">
+      <button type="button" onClick={() => setOpen(!open)} aria-expanded={open}>
+        Saved Views ({views.length}) {open ? '▴' : '▾'}
+      </button>
+
+      {open && (
+        <div className="saved-views-menu">
+          <form onSubmit={saveCurrentView} className="saved-views-row">
+            <input
+              type="text"
+              placeholder="Name this view, e.g. 3-bed AC in preferred area"
+              aria-label="New view name"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+            />
+            <button type="submit" disabled={!newName.trim()}>Save</button>
+          </form>
+
+          {views.length === 0 ? (
+            <p className="saved-views-empty">No saved views yet.</p>
+          ) : (
+            <ul>
+              {views.map(view => (
+                <li key={view.id} className="saved-views-row">
+                  {editingId === view.id ? (
+                    <form onSubmit={commitRename} className="saved-views-row">
+                      <input
+                        type="text"
+                        aria-label="Rename view"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        autoFocus
+                      />
+                      <button type="submit">OK</button>
+                      <button type="button" onClick={() => setEditingId(null)}>Cancel</button>
+                    </form>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        className="saved-view-name"
+                        title="Apply this view"
+                        onClick={() => {
+                          onApply(getViewState(view));
+                          setOpen(false);
+                        }}
+                      >
+                        {view.name}
+                      </button>
+                      <button
+                        type="button"
+                        title="Open the printable report of this view"
+                        onClick={() => {
+                          onApply({ ...getViewState(view), report: true });
+                          setOpen(false);
+                        }}
+                      >
+                        Report
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setEditingId(view.id);
+                          setEditingName(view.name);
+                        }}
+                      >
+                        Rename
+                      </button>
+                      <button
+                        type="button"
+                        className="reset-btn"
+                        onClick={() => {
+                          if (window.confirm(`Delete the view "${view.name}"?`)) {
+                            setViews(current => deleteSavedView(current, view.id));
+                          }
+                        }}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="saved-views-row">
+            <button
+              type="button"
+              disabled={views.length === 0}
+              onClick={() => downloadFile(exportSavedViews(views), 'dashboard-views.json', 'application/json')}
+            >
+              Export JSON
+            </button>
+            <button type="button" onClick={() => fileInputRef.current.click()}>Import JSON</button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </div>
+
+          {message && (
+            <p className={`saved-views-message ${message.type}`}>{message.text}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsMenu;
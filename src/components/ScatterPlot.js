@@ -1,63 +1,197 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
-import { getColor } from '../constants/colors';
+import { getColor, HIGHLIGHT_COLOR, RESIDUAL_COLORS, ESTIMATE_COLOR } from '../constants/colors';
+import { NUMERIC_FIELDS, SLOPE_STEPS, formatFieldChange } from '../constants/fields';
+import { CHART_SETTING_OPTIONS } from '../constants/chartViews';
+import { fitModel, TREND_MODELS } from '../utils/regression';
+import { computeResiduals, residualColorLimit, PRICE_VARIABLES } from '../utils/residuals';
+import { estimateFieldValues } from '../utils/hedonic';
+import { pointsInRect, pointsInPolygon, createNearestPointFinder } from '../utils/pointSelection';
+import ResidualAnalysis from './ResidualAnalysis';
 
-const ScatterPlot = ({ data, width = 600, height = 400 }) => {
+// Above this many points the dots are drawn on a canvas instead of as SVG circles
+const CANVAS_POINT_THRESHOLD = 3000;
+// How close (in unzoomed pixels) the cursor must be to a canvas point to hover it
+const HOVER_RADIUS = 6;
+
+// Axis titles and tick labels; fields not listed use their label and plain numbers
+const AXIS_TITLES = { price: 'Price (Millions)', area: 'Area (sq ft)', pricePerSqFt: 'Price per Sq Ft ($)' };
+const TICK_FORMATS = {
+  price: d => `$${(d / 1000000).toFixed(1)}M`,
+  pricePerSqFt: d => `$${d3.format(',')(d)}`
+};
+
+// Discrete fields get whole-number ticks; the rest use the field's tick format
+const configureAxis = (axis, scale, variable) => {
+  if (!NUMERIC_FIELDS[variable].discrete) return axis.tickFormat(TICK_FORMATS[variable] || d3.format(','));
+  const [min, max] = scale.domain();
+  const integers = d3.range(Math.ceil(min), Math.floor(max) + 1);
+  return axis
+    .tickValues(integers.length <= 15 ? integers : scale.ticks().filter(Number.isInteger))
+    .tickFormat(d3.format('d'));
+};
+
+// Points on discrete fields (bedrooms, stories, ...) are spread over this share of one unit so
+// stacked properties separate. The offset is derived from the id, so a point keeps its place.
+const JITTER_WIDTH = 0.5;
+const getJitter = (id, salt) => {
+  const noise = Math.sin((id + 1) * 12.9898 + salt * 78.233) * 43758.5453;
+  return (noise - Math.floor(noise) - 0.5) * JITTER_WIDTH;
+};
+
+const TREND_MODEL_NOTES = {
+  linear: 'A straight line fitted by least squares.',
+  loglog: 'A straight line on log scales: the slope is the % change in Y per 1% change in X.',
+  poly2: 'A quadratic curve; its slope is quoted at the average X.',
+  poly3: 'A cubic curve; its slope is quoted at the average X.',
+  loess: 'A smooth curve of local fits over the nearest 75% of the points, with no single slope.',
+  robust: 'A straight line that down-weights outliers such as luxury properties.'
+};
+
+const TREND_BAND_LABELS = { none: 'None', confidence: '95% confidence', prediction: '95% prediction' };
+
+// Per-group fits need this many properties in a group; smaller groups get no line
+const MIN_GROUP_FIT_SIZE = 10;
+
+const formatSigned = (value, format) => `${value >= 0 ? '+' : '-'}${format(Math.abs(value))}`;
+
+// Slope with its 95% interval, in the units the model defines it in
+const describeSlope = (slope, xVariable, yVariable) => {
+  if (!slope) return 'n/a (no single slope)';
+  if (slope.kind === 'elasticity') {
+    const format = v => v.toFixed(2);
+    return `${formatSigned(slope.estimate, format)}% per 1% (${format(slope.lower)} to ${format(slope.upper)})`;
+  }
+  const step = SLOPE_STEPS[xVariable];
+  const format = v => formatFieldChange(yVariable, v);
+  const scaled = ['estimate', 'lower', 'upper'].map(key => slope[key] * step.size);
+  return `${formatSigned(scaled[0], format)} per ${step.label} (${formatSigned(scaled[1], format)} to ${formatSigned(scaled[2], format)})`
+    + (slope.kind === 'atMean' ? ` at ${NUMERIC_FIELDS[xVariable].format(slope.at)}` : '');
+};
+
+const formatTooltipValue = (variable, value) =>
+  variable === 'price' ? `$${value.toLocaleString()}` : NUMERIC_FIELDS[variable].format(value);
+
+// Dynamic color mapping function
+const getColorValue = (d, colorBy) => {
+  switch(colorBy) {
+    case 'bedrooms': return d.bedrooms;
+    case 'bathrooms': return d.bathrooms;
+    case 'stories': return d.stories;
+    case 'furnishingstatus': return d.furnishingstatus;
+    case 'airconditioning': return d.airconditioning ? 'With AC' : 'No AC';
+    case 'parking': return d.parking ? 'With Parking' : 'No Parking';
+    default: return d.bedrooms;
+  }
+};
+
+const getColorForScatter = (value, colorBy) => {
+  switch(colorBy) {
+    case 'bedrooms': return getColor('bedrooms', value);
+    case 'bathrooms': return getColor('bathrooms', value);
+    case 'stories': return getColor('stories', value);
+    case 'furnishingstatus': return getColor('furnishingStatus', value);
+    case 'airconditioning': return getColor('airConditioning', value);
+    case 'parking': return getColor('parking', value);
+    default: return '#95A5A6';
+  }
+};
+
+// Opacity of a point given the dashboard-wide selection (null = nothing selected)
+const getPointOpacity = (d, selectedIds) => {
+  if (!selectedIds) return 0.7;
+  return selectedIds.has(d.id) ? 0.9 : 0.15;
+};
+
+const ScatterPlot = ({
+  data, settings, onSettingsChange, selectedIds, onSelectionChange, highlightedIds, onHighlight, focusedId = null,
+  estimate = null, width = 600, height = 400
+}) => {
   const svgRef = useRef();
+  const canvasRef = useRef();
+  const drawPointsRef = useRef(null);
   const zoomRef = useRef();
-  const [colorBy, setColorBy] = useState('bedrooms');
+  const brushRef = useRef();
+  const scalesRef = useRef();
+  const selectedIdsRef = useRef(selectedIds);
+  const highlightedIdsRef = useRef(highlightedIds);
+  const { colorBy, xVariable, yVariable, trendModel, trendBand, trendScope, residualMode, residualCount } = settings;
+  const setColorBy = (value) => onSettingsChange({ colorBy: value });
+  const [interactionMode, setInteractionMode] = useState('zoom'); // zoom, brush, lasso
+  const xField = NUMERIC_FIELDS[xVariable];
+  const yField = NUMERIC_FIELDS[yVariable];
+
+  // Properties without a finite value on both axes (e.g. price per sq ft of a zero area) can't be placed
+  const points = useMemo(
+    () => data.filter(d => Number.isFinite(xField.accessor(d)) && Number.isFinite(yField.accessor(d))),
+    [data, xField, yField]
+  );
+  const renderer = points.length > CANVAS_POINT_THRESHOLD ? 'canvas' : 'svg';
+
+  // Trend fits on the values without jitter: one for all points, or one per color group
+  const fits = useMemo(() => {
+    const pairsOf = rows => rows.map(d => [xField.accessor(d), yField.accessor(d)]);
+    if (trendScope === 'group') {
+      return d3.groups(points, d => getColorValue(d, colorBy))
+        .sort(([a], [b]) => d3.ascending(a, b))
+        .map(([group, rows]) => ({ group, fit: rows.length >= MIN_GROUP_FIT_SIZE ? fitModel(pairsOf(rows), trendModel) : null }));
+    }
+    return [{ group: null, fit: fitModel(pairsOf(points), trendModel) }];
+  }, [points, xField, yField, colorBy, trendModel, trendScope]);
+
+  // Residual mode: each point's distance from its trend line, colored on a diverging scale
+  // (below the line green, above it red)
+  const residuals = useMemo(() => (residualMode === 'on'
+    ? computeResiduals(points, { xVariable, yVariable, fits, groupOf: trendScope === 'group' ? d => getColorValue(d, colorBy) : null })
+    : []), [points, xVariable, yVariable, fits, trendScope, colorBy, residualMode]);
+  const residualById = useMemo(() => new Map(residuals.map(r => [r.row.id, r])), [residuals]);
+  const residualColor = useMemo(() => {
+    const limit = residualColorLimit(residuals);
+    return d3.scaleDiverging()
+      .domain([-limit, 0, limit])
+      .interpolator(d3.interpolateRgbBasis(RESIDUAL_COLORS))
+      .clamp(true);
+  }, [residuals]);
+
+  selectedIdsRef.current = selectedIds;
+  highlightedIdsRef.current = highlightedIds;
 
   useEffect(() => {
     const svg = d3.select(svgRef.current);
     svg.selectAll("*").remove();
+    svg.on('.hover', null);
 
     const margin = { top: 20, right: 20, bottom: 40, left: 70 };
     const innerWidth = width - margin.left - margin.right;
     const innerHeight = height - margin.top - margin.bottom;
 
-    const xExtent = d3.extent(data, d => d.area);
-    const yExtent = d3.extent(data, d => d.price);
-    
-    // Add 5% padding to create space between data points and axes
-    const xPadding = (xExtent[1] - xExtent[0]) * 0.05;
-    const yPadding = (yExtent[1] - yExtent[0]) * 0.05;
+    // Plotted position: the value, plus the jitter on discrete fields
+    const xValue = d => xField.accessor(d) + (xField.discrete ? getJitter(d.id, 1) : 0);
+    const yValue = d => yField.accessor(d) + (yField.discrete ? getJitter(d.id, 2) : 0);
+
+    // Add 5% padding to create space between data points and axes; discrete fields keep
+    // room for the jitter around their first and last value
+    const paddedDomain = (field) => {
+      const [min, max] = d3.extent(points, field.accessor);
+      if (min === undefined) return [0, 1];
+      const padding = field.discrete ? Math.max(JITTER_WIDTH, (max - min) * 0.05) : (max - min) * 0.05 || Math.abs(max) * 0.05 || 1;
+      return [Math.max(0, min - padding), max + padding];
+    };
 
     const xScale = d3.scaleLinear()
-      .domain([Math.max(0, xExtent[0] - xPadding), xExtent[1] + xPadding])
+      .domain(paddedDomain(xField))
       .range([0, innerWidth]);
 
     const yScale = d3.scaleLinear()
-      .domain([Math.max(0, yExtent[0] - yPadding), yExtent[1] + yPadding])
+      .domain(paddedDomain(yField))
       .range([innerHeight, 0]);
 
-    // Dynamic color mapping function
-    const getColorValue = (d, colorBy) => {
-      switch(colorBy) {
-        case 'bedrooms': return d.bedrooms;
-        case 'bathrooms': return d.bathrooms;
-        case 'stories': return d.stories;
-        case 'furnishingstatus': return d.furnishingstatus;
-        case 'airconditioning': return d.airconditioning ? 'With AC' : 'No AC';
-        case 'parking': return d.parking ? 'With Parking' : 'No Parking';
-        default: return d.bedrooms;
-      }
-    };
-
-    const getColorForScatter = (value, colorBy) => {
-      switch(colorBy) {
-        case 'bedrooms': return getColor('bedrooms', value);
-        case 'bathrooms': return getColor('bathrooms', value);
-        case 'stories': return getColor('stories', value);
-        case 'furnishingstatus': return getColor('furnishingStatus', value);
-        case 'airconditioning': return getColor('airConditioning', value);
-        case 'parking': return getColor('parking', value);
-        default: return '#95A5A6';
-      }
-    };
-
     const colorScale = d3.scaleOrdinal()
-      .domain([...new Set(data.map(d => getColorValue(d, colorBy)))])
-      .range([...new Set(data.map(d => getColorValue(d, colorBy)))].map(value => getColorForScatter(value, colorBy)));
+      .domain([...new Set(points.map(d => getColorValue(d, colorBy)))])
+      .range([...new Set(points.map(d => getColorValue(d, colorBy)))].map(value => getColorForScatter(value, colorBy)));
+    const pointColor = residualMode === 'on'
+      ? d => (residualById.has(d.id) ? residualColor(residualById.get(d.id).residual) : '#bbbbbb')
+      : d => colorScale(getColorValue(d, colorBy));
 
     // Create zoomable container for data points
     const zoomContainer = svg.append('g')
@@ -68,6 +202,17 @@ const ScatterPlot = ({ data, width = 600, height = 400 }) => {
     const fixedContainer = svg.append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
+    // Canvas mode only: redraws the points, at most once per animation frame while zooming
+    let drawPoints = null;
+    let drawFrame = null;
+    const requestDraw = () => {
+      if (drawFrame !== null) return;
+      drawFrame = requestAnimationFrame(() => {
+        drawFrame = null;
+        drawPoints();
+      });
+    };
+
     // Set up zoom behavior with more generous panning limits
     const zoom = d3.zoom()
       .scaleExtent([0.75, 5]) // Allow zoom from 75% to 500%
@@ -88,95 +233,211 @@ const ScatterPlot = ({ data, width = 600, height = 400 }) => {
         
         // Update axes with constrained scales
         fixedContainer.select('.x-axis')
-          .call(d3.axisBottom(constrainedXScale));
+          .call(configureAxis(d3.axisBottom(constrainedXScale), constrainedXScale, xVariable));
           
         fixedContainer.select('.y-axis')
-          .call(d3.axisLeft(constrainedYScale).tickFormat(d => `$${(d/1000000).toFixed(1)}M`));
+          .call(configureAxis(d3.axisLeft(constrainedYScale), constrainedYScale, yVariable));
+
+        if (drawPoints) requestDraw();
       });
 
-    // Apply zoom behavior to SVG
+    // Apply zoom behavior to SVG; in brush/lasso mode dragging selects instead of panning
     svg.call(zoom);
+    if (interactionMode !== 'zoom') svg.on('.zoom', null);
     
     // Store zoom reference for button controls
     zoomRef.current = zoom;
+    scalesRef.current = { xScale, yScale, xValue, yValue };
 
-    // Add dots to zoomable container first
-    zoomContainer.selectAll('circle')
-      .data(data)
-      .enter().append('circle')
-      .attr('cx', d => xScale(d.area))
-      .attr('cy', d => yScale(d.price))
-      .attr('r', 4)
-      .attr('fill', d => colorScale(getColorValue(d, colorBy)))
-      .attr('opacity', 0.7)
-      .on('mouseover', function(event, d) {
-        d3.select(this).attr('r', 6).attr('opacity', 1);
-        
-        // Tooltip
-        const tooltip = zoomContainer.append('g').attr('class', 'tooltip');
-        const rect = tooltip.append('rect')
-          .attr('fill', 'black')
-          .attr('opacity', 0.8)
-          .attr('rx', 3);
-        
-        const text = tooltip.append('text')
-          .attr('fill', 'white')
-          .attr('font-size', '12px')
-          .attr('dy', '0.35em');
-        
-        text.append('tspan').attr('x', 0).attr('dy', '0em').text(`Area: ${d.area} sq ft`);
-        text.append('tspan').attr('x', 0).attr('dy', '1.2em').text(`Price: $${d.price.toLocaleString()}`);
-        text.append('tspan').attr('x', 0).attr('dy', '1.2em').text(`Bedrooms: ${d.bedrooms}`);
-        
-        const bbox = text.node().getBBox();
-        rect.attr('x', bbox.x - 5).attr('y', bbox.y - 5)
-          .attr('width', bbox.width + 10).attr('height', bbox.height + 10);
-        
-        tooltip.attr('transform', `translate(${xScale(d.area) + 10},${yScale(d.price) - 10})`);
-      })
-      .on('mouseout', function() {
-        d3.select(this).attr('r', 4).attr('opacity', 0.7);
-        zoomContainer.select('.tooltip').remove();
+    const showTooltip = (d) => {
+      const tooltip = zoomContainer.append('g').attr('class', 'tooltip');
+      const rect = tooltip.append('rect')
+        .attr('fill', 'black')
+        .attr('opacity', 0.8)
+        .attr('rx', 3);
+      
+      const text = tooltip.append('text')
+        .attr('fill', 'white')
+        .attr('font-size', '12px')
+        .attr('dy', '0.35em');
+      
+      const lines = [xVariable, yVariable].map(variable => `${NUMERIC_FIELDS[variable].label}: ${formatTooltipValue(variable, NUMERIC_FIELDS[variable].accessor(d))}`);
+      if (xVariable !== 'bedrooms' && yVariable !== 'bedrooms') lines.push(`Bedrooms: ${d.bedrooms}`);
+      const residual = residualById.get(d.id);
+      if (residual) {
+        const percent = residual.relative === undefined ? '' : ` (${residual.relative >= 0 ? '+' : '-'}${Math.abs(residual.relative * 100).toFixed(0)}%)`;
+        lines.push(`Residual: ${formatSigned(residual.residual, v => formatFieldChange(yVariable, v))}${percent}`);
+      }
+      lines.forEach((line, i) => text.append('tspan').attr('x', 0).attr('dy', i === 0 ? '0em' : '1.2em').text(line));
+      
+      const bbox = text.node().getBBox();
+      rect.attr('x', bbox.x - 5).attr('y', bbox.y - 5)
+        .attr('width', bbox.width + 10).attr('height', bbox.height + 10);
+      
+      tooltip.attr('transform', `translate(${xScale(xValue(d)) + 10},${yScale(yValue(d)) - 10})`);
+    };
+
+    if (renderer === 'svg') {
+      // Add dots to zoomable container first
+      zoomContainer.selectAll('circle')
+        .data(points)
+        .enter().append('circle')
+        .attr('class', 'data-point')
+        .attr('cx', d => xScale(xValue(d)))
+        .attr('cy', d => yScale(yValue(d)))
+        .attr('r', 4)
+        .attr('fill', pointColor)
+        .attr('opacity', d => getPointOpacity(d, selectedIdsRef.current))
+        .on('mouseover', function(event, d) {
+          d3.select(this).attr('r', 6).attr('opacity', 1);
+          onHighlight(new Set([d.id]));
+          showTooltip(d);
+        })
+        .on('mouseout', function(event, d) {
+          d3.select(this).attr('r', 4).attr('opacity', getPointOpacity(d, selectedIdsRef.current));
+          zoomContainer.select('.tooltip').remove();
+          onHighlight(null);
+        });
+    } else {
+      // The canvas sits under the SVG, covering the plot area; axes, trend line, legend,
+      // tooltips and brush/lasso stay in the SVG on top of it
+      const canvas = canvasRef.current;
+      const pixelRatio = window.devicePixelRatio || 1;
+      canvas.width = innerWidth * pixelRatio;
+      canvas.height = innerHeight * pixelRatio;
+      Object.assign(canvas.style, {
+        left: `${margin.left + 1}px`, // +1 for the SVG border
+        top: `${margin.top + 1}px`,
+        width: `${innerWidth}px`,
+        height: `${innerHeight}px`
       });
+      const context = canvas.getContext('2d');
 
-    // Calculate and add trend line on top of data points
-    const n = data.length;
-    const sumX = d3.sum(data, d => d.area);
-    const sumY = d3.sum(data, d => d.price);
-    const sumXY = d3.sum(data, d => d.area * d.price);
-    const sumXX = d3.sum(data, d => d.area * d.area);
-    
-    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
-    
-    // Create trend line data points
-    const xExtentForLine = d3.extent(data, d => d.area);
-    const trendLineData = [
-      { x: xExtentForLine[0], y: slope * xExtentForLine[0] + intercept },
-      { x: xExtentForLine[1], y: slope * xExtentForLine[1] + intercept }
-    ];
-    
-    // Add trend line on top of data points
-    zoomContainer.append('line')
-      .attr('class', 'trend-line')
-      .attr('x1', xScale(trendLineData[0].x))
-      .attr('y1', yScale(trendLineData[0].y))
-      .attr('x2', xScale(trendLineData[1].x))
-      .attr('y2', yScale(trendLineData[1].y))
-      .attr('stroke', '#000000')
-      .attr('stroke-width', 3)
-      .attr('stroke-dasharray', '8,4')
-      .attr('opacity', 0.9);
+      // Points are drawn at their zoomed position, scaled like the SVG circles
+      drawPoints = () => {
+        if (!context) return;
+        const transform = d3.zoomTransform(svg.node());
+        const selected = selectedIdsRef.current;
+        const highlighted = highlightedIdsRef.current;
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        context.clearRect(0, 0, innerWidth, innerHeight);
+
+        const radius = 4 * transform.k;
+        const visible = [];
+        points.forEach(d => {
+          const [x, y] = transform.apply([xScale(xValue(d)), yScale(yValue(d))]);
+          if (x < -radius || x > innerWidth + radius || y < -radius || y > innerHeight + radius) return;
+          visible.push(d);
+          context.globalAlpha = getPointOpacity(d, selected);
+          context.fillStyle = pointColor(d);
+          context.beginPath();
+          context.arc(x, y, radius, 0, 2 * Math.PI);
+          context.fill();
+          if (selected && selected.has(d.id)) {
+            context.strokeStyle = '#333';
+            context.lineWidth = transform.k;
+            context.stroke();
+          }
+        });
+
+        // Linked highlight rings, as drawn by the highlight effect in SVG mode
+        if (highlighted) {
+          context.globalAlpha = 1;
+          context.strokeStyle = HIGHLIGHT_COLOR;
+          context.lineWidth = 2 * transform.k;
+          visible.filter(d => highlighted.has(d.id)).forEach(d => {
+            const [x, y] = transform.apply([xScale(xValue(d)), yScale(yValue(d))]);
+            context.beginPath();
+            context.arc(x, y, 6 * transform.k, 0, 2 * Math.PI);
+            context.stroke();
+          });
+        }
+        context.globalAlpha = 1;
+      };
+      drawPoints();
+
+      // Hover hit-testing with a quadtree over the unzoomed point positions
+      const findNearest = createNearestPointFinder(points, d => [xScale(xValue(d)), yScale(yValue(d))], HOVER_RADIUS);
+      let hovered = null;
+      const setHovered = (d) => {
+        if (d === hovered) return;
+        hovered = d;
+        zoomContainer.selectAll('.hover-point').remove();
+        zoomContainer.select('.tooltip').remove();
+        if (!d) {
+          onHighlight(null);
+          return;
+        }
+        zoomContainer.append('circle')
+          .attr('class', 'hover-point')
+          .attr('cx', xScale(xValue(d)))
+          .attr('cy', yScale(yValue(d)))
+          .attr('r', 6)
+          .attr('fill', pointColor(d))
+          .style('pointer-events', 'none');
+        onHighlight(new Set([d.id]));
+        showTooltip(d);
+      };
+
+      svg
+        .on('mousemove.hover', (event) => {
+          if (event.buttons) return; // Dragging pans or selects
+          const [px, py] = d3.pointer(event, fixedContainer.node());
+          if (px < 0 || px > innerWidth || py < 0 || py > innerHeight) {
+            setHovered(null);
+            return;
+          }
+          const transform = d3.zoomTransform(svg.node());
+          const [x, y] = transform.invert([px, py]);
+          setHovered(findNearest(x, y));
+        })
+        .on('mouseleave.hover', () => setHovered(null));
+    }
+    drawPointsRef.current = drawPoints;
+
+    // Trend lines on top of data points, each over its band. Band edges are clamped to a little
+    // beyond the plot so a wide prediction band (or a log-log one) can't distort the path.
+    const [yMin, yMax] = yScale.domain();
+    const clampY = y => Math.max(yMin - (yMax - yMin), Math.min(yMax + (yMax - yMin), y));
+    fits.forEach(({ group, fit }) => {
+      if (!fit) return;
+      const color = group === null ? '#000000' : colorScale(group);
+      if (trendBand !== 'none') {
+        zoomContainer.append('path')
+          .datum(fit.curve)
+          .attr('class', 'trend-band')
+          .attr('fill', group === null ? '#6c757d' : color)
+          .attr('opacity', group === null ? 0.2 : 0.12)
+          .attr('d', d3.area()
+            .x(d => xScale(d.x))
+            .y0(d => yScale(clampY(d[trendBand][0])))
+            .y1(d => yScale(clampY(d[trendBand][1])))
+          );
+      }
+      zoomContainer.append('path')
+        .datum(fit.curve)
+        .attr('class', 'trend-line')
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', group === null ? 3 : 2.5)
+        .attr('stroke-dasharray', '8,4')
+        .attr('opacity', 0.9)
+        .attr('d', d3.line().x(d => xScale(d.x)).y(d => yScale(clampY(d.y))));
+    });
 
     // Add trend line label to the right of the line end
-    zoomContainer.append('text')
-      .attr('x', xScale(trendLineData[1].x) - 140)
-      .attr('y', yScale(trendLineData[1].y) + 20)
-      .attr('fill', '#000000')
-      .attr('font-size', '12px')
-      .attr('font-weight', 'bold')
-      .attr('text-anchor', 'start')
-      .text('Trend Line');
+    const overallFit = fits.length === 1 && fits[0].fit;
+    if (overallFit) {
+      const end = overallFit.curve[overallFit.curve.length - 1];
+      zoomContainer.append('text')
+        .attr('x', xScale(end.x) - 140)
+        .attr('y', yScale(clampY(end.y)) + 20)
+        .attr('fill', '#000000')
+        .attr('font-size', '12px')
+        .attr('font-weight', 'bold')
+        .attr('text-anchor', 'start')
+        .text('Trend Line');
+    }
 
     // Add white background rectangles for axis areas to hide data points during zoom/pan
     // X axis background
@@ -200,12 +461,12 @@ const ScatterPlot = ({ data, width = 600, height = 400 }) => {
     fixedContainer.append('g')
       .attr('class', 'x-axis')
       .attr('transform', `translate(0,${innerHeight})`)
-      .call(d3.axisBottom(xScale));
+      .call(configureAxis(d3.axisBottom(xScale), xScale, xVariable));
 
     // Y axis
     fixedContainer.append('g')
       .attr('class', 'y-axis')
-      .call(d3.axisLeft(yScale).tickFormat(d => `$${(d/1000000).toFixed(1)}M`));
+      .call(configureAxis(d3.axisLeft(yScale), yScale, yVariable));
 
     // Labels
     fixedContainer.append('text')
@@ -214,31 +475,227 @@ const ScatterPlot = ({ data, width = 600, height = 400 }) => {
       .attr('x', 0 - (innerHeight / 2))
       .attr('dy', '1em')
       .style('text-anchor', 'middle')
-      .text('Price (Millions)');
+      .text(AXIS_TITLES[yVariable] || yField.label);
 
     fixedContainer.append('text')
       .attr('transform', `translate(${innerWidth / 2}, ${innerHeight + margin.bottom - 5})`)
       .style('text-anchor', 'middle')
-      .text('Area (sq ft)');
+      .text(AXIS_TITLES[xVariable] || xField.label);
+
+    // Legend (fixed): a gradient for residuals, otherwise one entry per color group
+    if (residualMode === 'on') {
+      const limit = residualColor.domain()[2];
+      const gradient = svg.append('defs').append('linearGradient')
+        .attr('id', 'residual-gradient');
+      d3.range(0, 1.01, 0.25).forEach(t => {
+        gradient.append('stop')
+          .attr('offset', `${t * 100}%`)
+          .attr('stop-color', residualColor(-limit + 2 * limit * t));
+      });
+      const legend = fixedContainer.append('g')
+        .attr('class', 'legend')
+        .attr('transform', `translate(${innerWidth - 130}, 0)`);
+      legend.append('rect')
+        .attr('width', 120)
+        .attr('height', 10)
+        .attr('fill', 'url(#residual-gradient)');
+      [['Below', 0, 'start'], ['Trend', 60, 'middle'], ['Above', 120, 'end']].forEach(([label, x, anchor]) => {
+        legend.append('text')
+          .attr('x', x)
+          .attr('y', 22)
+          .attr('font-size', '11px')
+          .attr('text-anchor', anchor)
+          .text(label);
+      });
+    } else {
+      const legendData = [...new Set(points.map(d => getColorValue(d, colorBy)))].sort();
+      const legend = fixedContainer.selectAll('.legend')
+        .data(legendData)
+        .enter().append('g')
+        .attr('class', 'legend')
+        .attr('transform', (d, i) => `translate(${innerWidth - 100}, ${i * 20})`);
+
+      legend.append('circle')
+        .attr('r', 4)
+        .attr('fill', d => colorScale(d));
+
+      legend.append('text')
+        .attr('x', 10)
+        .attr('dy', '0.35em')
+        .text(d => d);
+    }
+
+    // Screen position of a point under the current zoom transform, used for brush/lasso hit-testing
+    const getScreenPosition = (d) => d3.zoomTransform(svg.node()).apply([xScale(xValue(d)), yScale(yValue(d))]);
+
+    if (interactionMode === 'brush') {
+      const brush = d3.brush()
+        .extent([[0, 0], [innerWidth, innerHeight]])
+        .on('end', (event) => {
+          if (!event.sourceEvent) return; // Ignore programmatic brush moves
+          if (!event.selection) {
+            onSelectionChange(null);
+            return;
+          }
+          const selected = pointsInRect(points, getScreenPosition, event.selection);
+          onSelectionChange(new Set(selected.map(d => d.id)));
+        });
+
+      fixedContainer.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+      brushRef.current = brush;
+    } else if (interactionMode === 'lasso') {
+      let lassoPoints = [];
+      const lassoPath = fixedContainer.append('path')
+        .attr('class', 'lasso')
+        .attr('fill', 'rgba(102, 126, 234, 0.15)')
+        .attr('stroke', '#667eea')
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '4,3')
+        .style('pointer-events', 'none');
+
+      fixedContainer.insert('rect', '.lasso')
+        .attr('width', innerWidth)
+        .attr('height', innerHeight)
+        .attr('fill', 'transparent')
+        .style('cursor', 'crosshair')
+        .call(d3.drag()
+          .on('start', (event) => {
+            lassoPoints = [[event.x, event.y]];
+            lassoPath.attr('d', null);
+          })
+          .on('drag', (event) => {
+            lassoPoints.push([event.x, event.y]);
+            lassoPath.attr('d', `${d3.line()(lassoPoints)}Z`);
+          })
+          .on('end', () => {
+            // A click without a drawn shape clears the selection
+            if (lassoPoints.length < 3) {
+              lassoPath.attr('d', null);
+              onSelectionChange(null);
+              return;
+            }
+            const selected = pointsInPolygon(points, getScreenPosition, lassoPoints);
+            onSelectionChange(new Set(selected.map(d => d.id)));
+          }));
+    }
+
+    // Re-apply the current zoom so rebuilt layers line up with any existing pan/zoom
+    const currentTransform = d3.zoomTransform(svg.node());
+    if (currentTransform.k !== 1 || currentTransform.x !== 0 || currentTransform.y !== 0) {
+      svg.call(zoom.transform, currentTransform);
+    }
+
+    return () => {
+      if (drawFrame !== null) cancelAnimationFrame(drawFrame);
+    };
+  }, [points, fits, trendBand, residualMode, residualById, residualColor, xField, yField, xVariable, yVariable, width, height, colorBy, interactionMode, renderer, onSelectionChange, onHighlight]);
+
+  // Restyle points when the selection changes without rebuilding the chart. This and the overlays
+  // below share the main effect's redraw dependencies, so a rebuilt chart gets them back.
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
 
-    // Legend (fixed)
-    const legendData = [...new Set(data.map(d => getColorValue(d, colorBy)))].sort();
-    const legend = fixedContainer.selectAll('.legend')
-      .data(legendData)
-      .enter().append('g')
-      .attr('class', 'legend')
-      .attr('transform', (d, i) => `translate(${innerWidth - 100}, ${i * 20})`);
+    // Clearing the selection from outside also removes the drawn brush or lasso
+    if (!selectedIds) {
+      const brushGroup = svg.select('.brush');
+      if (!brushGroup.empty() && brushRef.current) brushGroup.call(brushRef.current.move, null);
+      svg.select('.lasso').attr('d', null);
+    }
 
-    legend.append('circle')
-      .attr('r', 4)
-      .attr('fill', d => colorScale(d));
+    if (drawPointsRef.current) {
+      drawPointsRef.current();
+      return;
+    }
 
-    legend.append('text')
-      .attr('x', 10)
-      .attr('dy', '0.35em')
-      .text(d => d);
+    svg.selectAll('.data-point')
+      .attr('opacity', d => getPointOpacity(d, selectedIds))
+      .attr('stroke', d => selectedIds && selectedIds.has(d.id) ? '#333' : null)
+      .attr('stroke-width', 1);
+  }, [selectedIds, points, fits, trendBand, residualMode, residualById, residualColor, width, height, colorBy, xVariable, yVariable, interactionMode, renderer]);
 
-  }, [data, width, height, colorBy]);
+  // Linked highlight: ring the properties hovered here or in another chart (bin, cell or slice)
+  useEffect(() => {
+    const zoomContainer = d3.select(svgRef.current).select('.zoom-container');
+    zoomContainer.selectAll('.highlight-point').remove();
+    if (drawPointsRef.current) {
+      drawPointsRef.current();
+      return;
+    }
+    if (!highlightedIds || !scalesRef.current) return;
+
+    const { xScale, yScale, xValue, yValue } = scalesRef.current;
+    zoomContainer.selectAll('.highlight-point')
+      .data(points.filter(d => highlightedIds.has(d.id)))
+      .enter().insert('circle', '.trend-line')
+      .attr('class', 'highlight-point')
+      .attr('cx', d => xScale(xValue(d)))
+      .attr('cy', d => yScale(yValue(d)))
+      .attr('r', 6)
+      .attr('fill', 'none')
+      .attr('stroke', HIGHLIGHT_COLOR)
+      .attr('stroke-width', 2)
+      .style('pointer-events', 'none');
+  }, [highlightedIds, points, fits, trendBand, residualMode, residualById, residualColor, width, height, colorBy, xVariable, yVariable, interactionMode, renderer]);
+
+  // Property clicked in the data table: a target marker that stays until the row is clicked again
+  useEffect(() => {
+    const zoomContainer = d3.select(svgRef.current).select('.zoom-container');
+    zoomContainer.selectAll('.focus-point').remove();
+    const focused = focusedId === null ? null : points.find(d => d.id === focusedId);
+    if (!focused || !scalesRef.current) return;
+
+    const { xScale, yScale, xValue, yValue } = scalesRef.current;
+    const marker = zoomContainer.append('g')
+      .attr('class', 'focus-point')
+      .attr('transform', `translate(${xScale(xValue(focused))},${yScale(yValue(focused))})`)
+      .style('pointer-events', 'none');
+    marker.append('circle')
+      .attr('r', 10)
+      .attr('fill', 'none')
+      .attr('stroke', HIGHLIGHT_COLOR)
+      .attr('stroke-width', 3);
+    marker.append('circle')
+      .attr('r', 3)
+      .attr('fill', HIGHLIGHT_COLOR);
+  }, [focusedId, points, fits, trendBand, residualMode, residualById, residualColor, width, height, colorBy, xVariable, yVariable, interactionMode, renderer]);
+
+  // Value Estimator property: a diamond at the estimate, with its price range along whichever axes
+  // depend on price
+  useEffect(() => {
+    const zoomContainer = d3.select(svgRef.current).select('.zoom-container');
+    zoomContainer.selectAll('.estimate-marker').remove();
+    if (!estimate || !scalesRef.current) return;
+
+    const { xScale, yScale } = scalesRef.current;
+    const [xLower, x, xUpper] = estimateFieldValues(estimate, estimate.property, xVariable);
+    const [yLower, y, yUpper] = estimateFieldValues(estimate, estimate.property, yVariable);
+    const marker = zoomContainer.append('g')
+      .attr('class', 'estimate-marker')
+      .style('pointer-events', 'none');
+    marker.append('line')
+      .attr('x1', xScale(xLower))
+      .attr('x2', xScale(xUpper))
+      .attr('y1', yScale(yLower))
+      .attr('y2', yScale(yUpper))
+      .attr('stroke', ESTIMATE_COLOR)
+      .attr('stroke-width', 3)
+      .attr('stroke-opacity', 0.5);
+    marker.append('path')
+      .attr('d', d3.symbol(d3.symbolDiamond, 160)())
+      .attr('transform', `translate(${xScale(x)},${yScale(y)})`)
+      .attr('fill', ESTIMATE_COLOR)
+      .attr('stroke', 'white')
+      .attr('stroke-width', 1.5);
+    marker.append('text')
+      .attr('x', xScale(x) + 10)
+      .attr('y', yScale(y) - 8)
+      .attr('font-size', '11px')
+      .attr('font-weight', 'bold')
+      .attr('fill', ESTIMATE_COLOR)
+      .text('Estimate');
+  }, [estimate, points, fits, trendBand, residualMode, residualById, residualColor, width, height, colorBy, xVariable, yVariable, interactionMode, renderer]);
 
   return (
     <div>
@@ -266,8 +723,77 @@ const ScatterPlot = ({ data, width = 600, height = 400 }) => {
         </select>
       </div>
       
+      {/* Axis Selectors */}
+      <div className="chart-controls" style={{ marginBottom: '15px' }}>
+        <label htmlFor="scatter-x" style={{ fontWeight: 'bold' }}>X axis:</label>
+        <select id="scatter-x" value={xVariable} onChange={(e) => onSettingsChange({ xVariable: e.target.value })}>
+          {CHART_SETTING_OPTIONS.scatter.xVariable.map(key => <option key={key} value={key}>{NUMERIC_FIELDS[key].label}</option>)}
+        </select>
+        <label htmlFor="scatter-y" style={{ fontWeight: 'bold', marginLeft: '10px' }}>Y axis:</label>
+        <select id="scatter-y" value={yVariable} onChange={(e) => onSettingsChange({ yVariable: e.target.value })}>
+          {CHART_SETTING_OPTIONS.scatter.yVariable.map(key => <option key={key} value={key}>{NUMERIC_FIELDS[key].label}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={() => onSettingsChange({ xVariable: yVariable, yVariable: xVariable })}
+          title="Swap the axes"
+          style={{ padding: '5px 10px', fontSize: '12px' }}
+        >
+          ⇄ Swap
+        </button>
+      </div>
+
+      {/* Trend Model */}
+      <div className="chart-controls" style={{ marginBottom: '15px' }}>
+        <label htmlFor="scatter-trend-model" style={{ fontWeight: 'bold' }}>Trend:</label>
+        <select id="scatter-trend-model" value={trendModel} onChange={(e) => onSettingsChange({ trendModel: e.target.value })}>
+          {CHART_SETTING_OPTIONS.scatter.trendModel.map(key => <option key={key} value={key}>{TREND_MODELS[key].label}</option>)}
+        </select>
+        <label htmlFor="scatter-trend-band" style={{ fontWeight: 'bold', marginLeft: '10px' }}>Band:</label>
+        <select id="scatter-trend-band" value={trendBand} onChange={(e) => onSettingsChange({ trendBand: e.target.value })}>
+          {CHART_SETTING_OPTIONS.scatter.trendBand.map(key => <option key={key} value={key}>{TREND_BAND_LABELS[key]}</option>)}
+        </select>
+        <label style={{ marginLeft: '10px' }}>
+          <input
+            type="checkbox"
+            checked={trendScope === 'group'}
+            onChange={(e) => onSettingsChange({ trendScope: e.target.checked ? 'group' : 'all' })}
+          /> One line per color group
+        </label>
+        <label style={{ marginLeft: '10px' }}>
+          <input
+            type="checkbox"
+            checked={residualMode === 'on'}
+            onChange={(e) => onSettingsChange({ residualMode: e.target.checked ? 'on' : 'off' })}
+          /> Residual analysis
+        </label>
+      </div>
+
+      {/* Interaction Mode Toggle */}
+      <div className="chart-controls" style={{ marginBottom: '15px' }}>
+        <label style={{ fontWeight: 'bold' }}>Drag to:</label>
+        <label><input type="radio" name="scatter-mode" value="zoom" checked={interactionMode === 'zoom'} onChange={(e) => setInteractionMode(e.target.value)} /> Pan &amp; Zoom</label>
+        <label><input type="radio" name="scatter-mode" value="brush" checked={interactionMode === 'brush'} onChange={(e) => setInteractionMode(e.target.value)} /> Brush Select</label>
+        <label><input type="radio" name="scatter-mode" value="lasso" checked={interactionMode === 'lasso'} onChange={(e) => setInteractionMode(e.target.value)} /> Lasso Select</label>
+        {selectedIds && (
+          <button
+            type="button"
+            onClick={() => onSelectionChange(null)}
+            style={{ marginLeft: 'auto', padding: '5px 10px', fontSize: '12px' }}
+          >
+            Clear selection ({selectedIds.size})
+          </button>
+        )}
+      </div>
+      {renderer === 'canvas' && (
+        <p style={{ fontSize: '12px', color: '#666', margin: '0 0 10px' }}>
+          Drawing {points.length.toLocaleString()} properties on a canvas for speed.
+        </p>
+      )}
+
       <div style={{ position: 'relative' }}>
-        <svg ref={svgRef} width={width} height={height} style={{ border: '1px solid #ddd', borderRadius: '5px' }}></svg>
+        {renderer === 'canvas' && <canvas ref={canvasRef} style={{ position: 'absolute', pointerEvents: 'none' }} />}
+        <svg ref={svgRef} width={width} height={height} style={{ position: 'relative', border: '1px solid #ddd', borderRadius: '5px' }}></svg>
         
         {/* Zoom Controls */}
         <div style={{ position: 'absolute', top: '10px', right: '10px', display: 'flex', flexDirection: 'column', gap: '5px' }}>
@@ -313,6 +839,54 @@ const ScatterPlot = ({ data, width = 600, height = 400 }) => {
         </div>
       </div>
 
+      {/* Fit Statistics */}
+      <table className="fit-stats">
+        <thead>
+          <tr>
+            <th>{trendScope === 'group' ? 'Group' : 'Fit'}</th>
+            <th>Properties</th>
+            <th>R²</th>
+            <th>RMSE</th>
+            <th>Slope (95% CI)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fits.map(({ group, fit }) => (
+            <tr key={String(group)}>
+              <th scope="row">
+                {group === null ? TREND_MODELS[trendModel].label : (
+                  <><span className="fit-swatch" style={{ backgroundColor: getColorForScatter(group, colorBy) }} />{String(group)}</>
+                )}
+              </th>
+              {fit ? (
+                <>
+                  <td>{fit.n}{fit.excluded > 0 && <small title="Zero or negative values can't be logged"> ({fit.excluded} left out)</small>}</td>
+                  <td>{fit.r2 === undefined ? '-' : fit.r2.toFixed(3)}</td>
+                  <td>{formatFieldChange(yVariable, fit.rmse)}</td>
+                  <td>{describeSlope(fit.slope, xVariable, yVariable)}</td>
+                </>
+              ) : (
+                <td colSpan={4}>Too few properties to fit</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {residualMode === 'on' && (
+        <ResidualAnalysis
+          residuals={residuals}
+          xVariable={xVariable}
+          yVariable={yVariable}
+          colorScale={residualColor}
+          count={residualCount}
+          onCountChange={(value) => onSettingsChange({ residualCount: value })}
+          highlightedIds={highlightedIds}
+          onHighlight={onHighlight}
+          width={width}
+        />
+      )}
+
       {/* Trend Line Explanation Box */}
       <div style={{ 
         fontSize: '12px', 
@@ -328,15 +902,35 @@ const ScatterPlot = ({ data, width = 600, height = 400 }) => {
           📊 Understanding the Trend Line
         </div>
         <div style={{ marginBottom: '6px' }}>
-          <strong>What it shows:</strong> The black dashed line represents the average relationship between property size (area) and price across all properties.
+          <strong>What it shows:</strong> The dashed {trendScope === 'group' ? 'lines represent' : 'line represents'} the average relationship between {xField.label.toLowerCase()} and {yField.label.toLowerCase()} across the properties shown{trendScope === 'group' ? ', one per color group' : ''}.
+          {trendBand === 'confidence' && ' The shaded band is where the average is likely to lie (95% confidence).'}
+          {trendBand === 'prediction' && ' The shaded band is where 95% of individual properties are expected to fall.'}
         </div>
         <div style={{ marginBottom: '6px' }}>
-          <strong>How to use it:</strong> Properties <span style={{color: '#28a745', fontWeight: 'bold'}}>below the line</span> may be underpriced (potential bargains), 
-          while properties <span style={{color: '#dc3545', fontWeight: 'bold'}}>above the line</span> may be premium or overpriced.
-        </div>
-        <div>
-          <strong>Investment insight:</strong> Look for properties significantly below the trend line for the best value opportunities!
+          <strong>Fit quality:</strong> R² is the share of the variation in {yField.label.toLowerCase()} the trend explains; RMSE is the typical distance of a property from it.
+          {' '}{TREND_MODEL_NOTES[trendModel]}
         </div>
+        {/* Above and below the line only mean over- and underpriced when price is on the Y axis */}
+        {PRICE_VARIABLES.includes(yVariable) ? (
+          <>
+            <div style={{ marginBottom: '6px' }}>
+              <strong>How to use it:</strong> Properties <span style={{color: '#28a745', fontWeight: 'bold'}}>below the line</span> may be underpriced (potential bargains), 
+              while properties <span style={{color: '#dc3545', fontWeight: 'bold'}}>above the line</span> may be premium or overpriced.
+            </div>
+            <div>
+              <strong>Investment insight:</strong> Look for properties significantly below the trend line for the best value opportunities!
+            </div>
+          </>
+        ) : (
+          <div>
+            <strong>How to use it:</strong> Properties above the line have more {yField.label.toLowerCase()} than is typical for their {xField.label.toLowerCase()}, those below have less.
+          </div>
+        )}
+        {(xField.discrete || yField.discrete) && (
+          <div style={{ marginTop: '6px', color: '#666' }}>
+            Points on whole-number axes are spread slightly around their value so stacked properties can be told apart.
+          </div>
+        )}
       </div>
       
       <div style={{ fontSize: '12px', marginTop: '10px', color: '#666', backgroundColor: '#f8f9fa', padding: '10px', borderRadius: '5px' }}>
@@ -0,0 +1,134 @@
+import React from 'react';
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { relativeChange } from '../utils/stats';
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+// Change against the full dataset, e.g. "+12% vs all"; nothing when there is no reference
+const Delta = ({ value, reference }) => {
+  const change = relativeChange(value, reference);
+  if (change === undefined) return null;
+  const rounded = Math.round(change * 100);
+  const direction = rounded > 0 ? 'up' : rounded < 0 ? 'down' : 'flat';
+  return (
+    <span className={`stat-delta ${direction}`} title="Compared with the full dataset">
+      {rounded > 0 ? '+' : rounded < 0 ? '-' : '±'}{Math.abs(rounded)}% vs all
+    </span>
+  );
+};
+
+const HEADLINE_METRICS = [
+  { key: 'price', label: 'Median Price' },
+  { key: 'area', label: 'Median Area' },
+  { key: 'pricePerSqFt', label: 'Median Price / Sq Ft' }
+];
+
+// Headline figures, spread and per-field distributions for the properties currently shown.
+// When filters narrow the data, each figure is compared with the full dataset.
+const StatsPanel = ({ stats, title = 'Dataset Overview' }) => {
+  const isFiltered = stats.count !== stats.fullCount;
+  const metric = (key) => stats.metrics.find(m => m.key === key);
+
+  if (stats.count === 0) {
+    return (
+      <div className="stats-panel">
+        <h2>{title}</h2>
+        <p className="stats-empty">
+          No properties match the active filters{stats.fullCount > 0 ? ` (0 of ${stats.fullCount})` : ''}.
+          Loosen or reset the filters to see statistics.
+        </p>
+      </div>
+    );
+  }
+
+  const price = metric('price');
+
+  return (
+    <div className="stats-panel">
+      <h2>{title}</h2>
+      <div className="stats-grid">
+        <div className="stat-item">
+          <span className="stat-label">Total Houses:</span>
+          <span className="stat-value">{stats.count}</span>
+          {isFiltered && <span className="stat-delta">{formatShare(stats.count / stats.fullCount)} of {stats.fullCount}</span>}
+        </div>
+        {HEADLINE_METRICS.map(({ key, label }) => {
+          const { summary, full } = metric(key);
+          return (
+            <div key={key} className="stat-item">
+              <span className="stat-label">{label}:</span>
+              <span className="stat-value">{summary ? NUMERIC_FIELDS[key].format(summary.median) : '-'}</span>
+              {isFiltered && summary && full && <Delta value={summary.median} reference={full.median} />}
+            </div>
+          );
+        })}
+        <div className="stat-item">
+          <span className="stat-label">Price Range:</span>
+          <span className="stat-value">
+            {price.summary ? `${NUMERIC_FIELDS.price.format(price.summary.min)} - ${NUMERIC_FIELDS.price.format(price.summary.max)}` : '-'}
+          </span>
+        </div>
+      </div>
+
+      <table className="stats-table">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Mean</th>
+            <th>Median</th>
+            <th>Middle 50% (Q1 - Q3)</th>
+            <th>Std Dev</th>
+            <th>Min - Max</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.metrics.map(({ key, summary, full }) => {
+            const { label, format } = NUMERIC_FIELDS[key];
+            const cell = (stat) => (
+              <td>
+                {summary && Number.isFinite(summary[stat]) ? format(summary[stat]) : '-'}
+                {isFiltered && summary && full && <Delta value={summary[stat]} reference={full[stat]} />}
+              </td>
+            );
+            return (
+              <tr key={key}>
+                <th scope="row">{label}</th>
+                {cell('mean')}
+                {cell('median')}
+                <td>{summary ? `${format(summary.q1)} - ${format(summary.q3)}` : '-'}</td>
+                {cell('std')}
+                <td>{summary ? `${format(summary.min)} - ${format(summary.max)}` : '-'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="stats-distributions">
+        {stats.distributions.map(({ key, values }) => (
+          <div key={key} className="stats-distribution">
+            <h4>{NUMERIC_FIELDS[key].label}</h4>
+            {values.map(({ value, count, share, fullShare }) => (
+              <div key={value} className="distribution-row" title={`${count} properties`}>
+                <span className="distribution-value">{value}</span>
+                <span className="distribution-bar">
+                  <span className="distribution-fill" style={{ width: formatShare(share) }} />
+                  {isFiltered && <span className="distribution-marker" style={{ left: formatShare(fullShare) }} />}
+                </span>
+                <span className="distribution-share">
+                  {formatShare(share)}
+                  {isFiltered && <small> / {formatShare(fullShare)}</small>}
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      {isFiltered && (
+        <p className="stats-note">Deltas, the second share and the bar markers refer to all {stats.fullCount} properties.</p>
+      )}
+    </div>
+  );
+};
+
+export default StatsPanel;
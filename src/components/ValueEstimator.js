@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+import { formatFieldChange } from '../constants/fields';
+import { CHART_SETTING_OPTIONS } from '../constants/chartViews';
+import { COLOR_SCHEMES, ESTIMATE_COLOR } from '../constants/colors';
+
+const formatPrice = value => formatFieldChange('price', value);
+const rangeOptions = ({ min, max }) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+
+const COUNT_INPUTS = [
+  { key: 'bedrooms', label: 'Bedrooms' },
+  { key: 'bathrooms', label: 'Bathrooms' },
+  { key: 'stories', label: 'Stories' },
+  { key: 'parking', label: 'Parking Spaces' }
+];
+
+const AMENITY_INPUTS = [
+  { key: 'airconditioning', label: 'Air Conditioning' },
+  { key: 'prefarea', label: 'Preferred Area' },
+  { key: 'hotwaterheating', label: 'Hot Water Heating' },
+  { key: 'guestroom', label: 'Guest Room' },
+  { key: 'basement', label: 'Basement' },
+  { key: 'mainroad', label: 'Main Road Access' }
+];
+
+// How each attribute reads in the explanation, given the estimator settings
+const ATTRIBUTE_LABELS = {
+  area: settings => `Area: ${settings.area.toLocaleString()} sq ft`,
+  ...Object.fromEntries(COUNT_INPUTS.map(({ key, label }) => [key, settings => `${label}: ${settings[key]}`])),
+  ...Object.fromEntries(AMENITY_INPUTS.map(({ key, label }) => [key, settings => `${settings[key] === 'yes' ? 'With' : 'No'} ${label.toLowerCase()}`])),
+  furnishingstatus: settings => settings.furnishingstatus.replace(/^\w/, letter => letter.toUpperCase())
+};
+
+const formatEffect = effect => `${effect >= 0 ? '+' : '-'}${Math.abs(effect * 100).toFixed(1)}%`;
+
+// Price estimate for a described property from a log-price model over every feature
+// (buildValueEstimator), fitted on the whole loaded dataset rather than the filtered view.
+// `estimate` is the estimator's result for the current settings, or null when there is no model.
+const ValueEstimator = ({ estimator, estimate, settings, onSettingsChange }) => {
+  const { area: areaBounds } = CHART_SETTING_OPTIONS.estimator;
+
+  // The area is typed, so keep the text until it is a valid whole number of square feet
+  const [areaText, setAreaText] = useState(String(settings.area));
+  useEffect(() => setAreaText(String(settings.area)), [settings.area]);
+  const changeArea = (text) => {
+    setAreaText(text);
+    const value = Number(text);
+    if (Number.isInteger(value) && value >= areaBounds.min && value <= areaBounds.max) onSettingsChange({ area: value });
+  };
+
+  const largestEffect = estimate
+    ? Math.max(...estimate.contributions.map(c => Math.abs(Math.log1p(c.effect))), 0.01)
+    : 1;
+
+  return (
+    <div className="value-estimator">
+      <h3>Value Estimator</h3>
+      <p className="chart-description">
+        Describe a property to estimate its price from the {estimator.n ? `${estimator.n} ` : ''}properties in the loaded dataset.
+        The estimate comes from one regression of log price on every attribute, so each attribute is weighed with the others held fixed.
+      </p>
+
+      <div className="estimator-layout">
+        <div className="estimator-inputs">
+          <label htmlFor="estimator-area">
+            Area (sq ft)
+            <input
+              id="estimator-area"
+              type="number"
+              min={areaBounds.min}
+              max={areaBounds.max}
+              step={10}
+              value={areaText}
+              onChange={(e) => changeArea(e.target.value)}
+              onBlur={() => setAreaText(String(settings.area))}
+            />
+          </label>
+          {COUNT_INPUTS.map(({ key, label }) => (
+            <label key={key} htmlFor={`estimator-${key}`}>
+              {label}
+              <select
+                id={`estimator-${key}`}
+                value={settings[key]}
+                onChange={(e) => onSettingsChange({ [key]: Number(e.target.value) })}
+              >
+                {rangeOptions(CHART_SETTING_OPTIONS.estimator[key]).map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+            </label>
+          ))}
+          <label htmlFor="estimator-furnishing">
+            Furnishing
+            <select
+              id="estimator-furnishing"
+              value={settings.furnishingstatus}
+              onChange={(e) => onSettingsChange({ furnishingstatus: e.target.value })}
+            >
+              {CHART_SETTING_OPTIONS.estimator.furnishingstatus.map(status => (
+                <option key={status} value={status}>{ATTRIBUTE_LABELS.furnishingstatus({ furnishingstatus: status })}</option>
+              ))}
+            </select>
+          </label>
+          <div className="estimator-amenities">
+            {AMENITY_INPUTS.map(({ key, label }) => (
+              <label key={key}>
+                <input
+                  type="checkbox"
+                  checked={settings[key] === 'yes'}
+                  onChange={(e) => onSettingsChange({ [key]: e.target.checked ? 'yes' : 'no' })}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <label className="estimator-toggle">
+            <input
+              type="checkbox"
+              checked={settings.showOnCharts === 'on'}
+              onChange={(e) => onSettingsChange({ showOnCharts: e.target.checked ? 'on' : 'off' })}
+            />
+            Mark the estimate on the scatter plot and histogram
+          </label>
+        </div>
+
+        <div className="estimator-result">
+          {!estimate ? (
+            <p className="residual-empty">{estimator.message || 'This property cannot be estimated from the loaded data.'}</p>
+          ) : (
+            <>
+              <div className="estimator-price" style={{ borderColor: ESTIMATE_COLOR }}>
+                <span className="estimator-price-value">{formatPrice(estimate.price)}</span>
+                <span>
+                  {Math.round(estimate.level * 100)}% range: {formatPrice(estimate.lower)} - {formatPrice(estimate.upper)}
+                </span>
+              </div>
+              {estimate.outOfRange.length > 0 && (
+                <p className="insight-warning" role="note">
+                  ⚠️ {estimate.outOfRange.map(key => ATTRIBUTE_LABELS[key](settings)).join(', ')}
+                  {estimate.outOfRange.length === 1 ? ' is' : ' are'} outside the range of the properties in the data,
+                  so the estimate is an extrapolation.
+                </p>
+              )}
+
+              <h4>What moves the estimate</h4>
+              <p className="residual-note">
+                Compared with a property that is average in every respect ({formatPrice(estimate.typicalPrice)}):
+              </p>
+              <ul className="estimator-contributions">
+                {estimate.contributions.map(({ key, effect }) => (
+                  <li key={key}>
+                    <span className="estimator-attribute">{ATTRIBUTE_LABELS[key](settings)}</span>
+                    <span className="estimator-bar">
+                      <span
+                        style={{
+                          width: `${(Math.abs(Math.log1p(effect)) / largestEffect) * 50}%`,
+                          [effect >= 0 ? 'left' : 'right']: '50%',
+                          backgroundColor: COLOR_SCHEMES.booleanFeatures[effect >= 0]
+                        }}
+                      />
+                    </span>
+                    <span className="estimator-effect">{formatEffect(effect)}</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="residual-note">
+                The estimate is the typical (median) price of properties like this one; the range is where
+                {' '}{Math.round(estimate.level * 100)}% of their prices would fall. Effects multiply rather than add, and
+                the model fits {estimator.r2 === undefined ? 'an unknown share' : `${Math.round(estimator.r2 * 100)}%`} of
+                the variation in log price, so condition and exact location can still move a real price outside the range.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValueEstimator;
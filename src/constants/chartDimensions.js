@@ -0,0 +1,40 @@
+// Category and axis definitions shared by the charts and the click-to-filter model,
+// so a clicked mark and the filter it creates always select the same properties.
+
+// Slice label of a property in the donut chart for each analysis type
+export const getDonutCategory = (d, analysisType) => {
+  switch(analysisType) {
+    case 'stories': return `${d.stories} ${d.stories === 1 ? 'Story' : 'Stories'}`;
+    case 'bedrooms': return `${d.bedrooms} ${d.bedrooms === 1 ? 'Bedroom' : 'Bedrooms'}`;
+    case 'location': return d.prefarea ? 'Preferred Area' : 'Standard Area';
+    case 'furnishingstatus':
+    default: return d.furnishingstatus;
+  }
+};
+
+// Heatmap view modes: cell coordinates, fixed domains and labels
+export const HEATMAP_VIEWS = {
+  bedrooms: {
+    x: d => d.bedrooms,
+    y: d => d.bathrooms,
+    xLabel: 'Number of Bedrooms',
+    yLabel: 'Number of Bathrooms',
+    cellTitle: (x, y) => `${x} bed, ${y} bath`
+  },
+  bathrooms: {
+    x: d => d.bathrooms,
+    y: d => d.stories,
+    xLabel: 'Number of Bathrooms',
+    yLabel: 'Number of Stories',
+    cellTitle: (x, y) => `${x} bath, ${y} ${y === 1 ? 'story' : 'stories'}`
+  },
+  stories: {
+    x: d => d.stories,
+    y: d => Math.min(d.parking, 3), // Cap parking at 3+ for better visualization
+    yDomain: [0, 1, 2, 3], // 0, 1, 2, 3+ parking spaces
+    formatY: y => (y === 3 ? '3+' : String(y)),
+    xLabel: 'Number of Stories',
+    yLabel: 'Parking Spaces',
+    cellTitle: (x, y) => `${x} ${x === 1 ? 'story' : 'stories'}, ${y === 3 ? '3+' : y} parking`
+  }
+};
@@ -0,0 +1,95 @@
+// Views offered by the chart selector, in display order
+export const CHART_VIEWS = [
+  { key: 'all', label: 'All Charts' },
+  { key: 'scatter', label: 'Price vs Area' },
+  { key: 'histogram', label: 'Price Distribution' },
+  { key: 'donut', label: 'Investment Readiness' },
+  { key: 'heatmap', label: 'Configuration Analysis' },
+  { key: 'featurePremium', label: 'ROI Calculator' },
+  { key: 'table', label: 'Data Table' }
+];
+
+// Whether a chart is shown in the selected view. The data table keeps the scatter plot next to it,
+// so a clicked row can be found on the plot.
+export const isChartInView = (chart, view) =>
+  view === 'all' || view === chart || (view === 'table' && chart === 'scatter');
+
+// Numeric fields (see constants/fields) the scatter plot can put on either axis
+const SCATTER_AXIS_OPTIONS = ['price', 'area', 'pricePerSqFt', 'bedrooms', 'bathrooms', 'stories', 'parking', 'totalRooms'];
+
+// Per-chart control state, lifted out of the components so it can be shared and restored.
+// Each entry lists the accepted values: an array of options or an inclusive integer range.
+export const CHART_SETTING_OPTIONS = {
+  scatter: {
+    colorBy: ['bedrooms', 'bathrooms', 'stories', 'furnishingstatus', 'airconditioning', 'parking'],
+    xVariable: SCATTER_AXIS_OPTIONS,
+    yVariable: SCATTER_AXIS_OPTIONS,
+    trendModel: ['linear', 'loglog', 'poly2', 'poly3', 'loess', 'robust'],
+    trendBand: ['none', 'confidence', 'prediction'],
+    trendScope: ['all', 'group'],
+    residualMode: ['off', 'on'],
+    residualCount: { min: 5, max: 25 }
+  },
+  histogram: {
+    variable: ['price', 'area', 'pricePerSqFt', 'bedrooms', 'bathrooms', 'totalRooms'],
+    binCount: { min: 5, max: 40 }
+  },
+  heatmap: {
+    viewMode: ['bedrooms', 'bathrooms', 'stories']
+  },
+  donut: {
+    analysisType: ['furnishingstatus', 'stories', 'bedrooms', 'location']
+  },
+  featurePremium: {
+    selectedFeature: { min: 0, max: 6 },
+    hedonicResponse: ['price', 'logPrice']
+  },
+  // Value Estimator panel: the described property, and whether it is marked on the scatter plot and histogram
+  estimator: {
+    area: { min: 500, max: 20000 },
+    bedrooms: { min: 1, max: 6 },
+    bathrooms: { min: 1, max: 4 },
+    stories: { min: 1, max: 4 },
+    parking: { min: 0, max: 3 },
+    mainroad: ['yes', 'no'],
+    guestroom: ['yes', 'no'],
+    basement: ['yes', 'no'],
+    hotwaterheating: ['yes', 'no'],
+    airconditioning: ['yes', 'no'],
+    prefarea: ['yes', 'no'],
+    furnishingstatus: ['furnished', 'semi-furnished', 'unfurnished'],
+    showOnCharts: ['on', 'off']
+  }
+};
+
+export const DEFAULT_CHART_SETTINGS = {
+  scatter: {
+    colorBy: 'bedrooms',
+    xVariable: 'area',
+    yVariable: 'price',
+    trendModel: 'linear',
+    trendBand: 'confidence',
+    trendScope: 'all',
+    residualMode: 'off',
+    residualCount: 10
+  },
+  histogram: { variable: 'price', binCount: 15 },
+  heatmap: { viewMode: 'bedrooms' },
+  donut: { analysisType: 'furnishingstatus' },
+  featurePremium: { selectedFeature: 0, hedonicResponse: 'price' },
+  estimator: {
+    area: 5000,
+    bedrooms: 3,
+    bathrooms: 1,
+    stories: 2,
+    parking: 1,
+    mainroad: 'yes',
+    guestroom: 'no',
+    basement: 'no',
+    hotwaterheating: 'no',
+    airconditioning: 'no',
+    prefarea: 'no',
+    furnishingstatus: 'semi-furnished',
+    showOnCharts: 'on'
+  }
+};
@@ -73,6 +73,15 @@ export const COLOR_SCHEMES = {
   }
 };
 
+// Diverging scale for residuals from the scatter plot trend: below the line, on it, above it
+export const RESIDUAL_COLORS = ['#28a745', '#d0d0d0', '#dc3545'];
+
+// Outline color for properties hovered in any chart (linked highlighting)
+export const HIGHLIGHT_COLOR = '#FF1493';
+
+// Marker for the Value Estimator's property on the scatter plot and histogram
+export const ESTIMATE_COLOR = '#FF6F00';
+
 // Helper function to get color for a category
 export const getColor = (category, value) => {
   const colorMap = COLOR_SCHEMES[category];
@@ -0,0 +1,53 @@
+// Numeric fields shared by filters and charts. Derived fields are computed from the raw record.
+
+const formatMillions = v => `$${(v / 1000000).toFixed(1)}M`;
+
+export const NUMERIC_FIELDS = {
+  price: { label: 'Price', accessor: d => d.price, format: formatMillions, step: 10000 },
+  area: { label: 'Area', accessor: d => d.area, format: v => `${Math.round(v).toLocaleString()} sq ft`, step: 10 },
+  pricePerSqFt: { label: 'Price per Sq Ft', accessor: d => d.price / d.area, format: v => `$${Math.round(v).toLocaleString()}`, step: 1 },
+  bedrooms: { label: 'Bedrooms', accessor: d => d.bedrooms, format: v => Math.round(v), step: 1, discrete: true },
+  bathrooms: { label: 'Bathrooms', accessor: d => d.bathrooms, format: v => Math.round(v), step: 1, discrete: true },
+  stories: { label: 'Stories', accessor: d => d.stories, format: v => Math.round(v), step: 1, discrete: true },
+  parking: { label: 'Parking Spaces', accessor: d => d.parking, format: v => Math.round(v), step: 1, discrete: true },
+  totalRooms: { label: 'Total Rooms', accessor: d => d.bedrooms + d.bathrooms, format: v => Math.round(v), step: 1, discrete: true }
+};
+
+// Step of each field that slopes are quoted per, e.g. "+$0.5M in price per 1,000 sq ft"
+export const SLOPE_STEPS = {
+  price: { size: 1000000, label: '$1M in price' },
+  area: { size: 1000, label: '1,000 sq ft' },
+  pricePerSqFt: { size: 100, label: '$100 per sq ft' },
+  bedrooms: { size: 1, label: 'bedroom' },
+  bathrooms: { size: 1, label: 'bathroom' },
+  stories: { size: 1, label: 'story' },
+  parking: { size: 1, label: 'parking space' },
+  totalRooms: { size: 1, label: 'room' }
+};
+
+// Differences and errors in a field's units. These are smaller than the values themselves, so
+// prices get two decimals of a million and whole-number fields two decimals instead of rounding.
+export const formatFieldChange = (key, value) => {
+  if (key === 'price') return `$${(value / 1000000).toFixed(2)}M`;
+  return NUMERIC_FIELDS[key].discrete ? value.toFixed(2) : NUMERIC_FIELDS[key].format(value);
+};
+
+// Fields offered as dual-handle range sliders in the Interactive Data Explorer
+export const RANGE_FILTER_FIELDS = ['price', 'area', 'pricePerSqFt', 'bathrooms', 'stories', 'parking'];
+
+export const getFieldValue = (d, key) => NUMERIC_FIELDS[key].accessor(d);
+
+// Slider bounds snapped outward to the field's step so every record stays selectable
+export const getFieldBounds = (data, key) => {
+  const { step } = NUMERIC_FIELDS[key];
+  let min = Infinity;
+  let max = -Infinity;
+  data.forEach(d => {
+    const value = getFieldValue(d, key);
+    if (!Number.isFinite(value)) return;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  if (min > max) return [0, 0];
+  return [Math.floor(min / step) * step, Math.ceil(max / step) * step];
+};
@@ -0,0 +1,36 @@
+// Preset filter groups for the Interactive Data Explorer.
+// Options inside a group are OR-ed together, groups are AND-ed with each other.
+
+export const FILTER_GROUPS = [
+  {
+    key: 'bedrooms',
+    id: 'bedroom-filter',
+    label: 'Property Size:',
+    options: [
+      { value: 'small', label: 'Compact (1-2 bedrooms)', test: d => d.bedrooms >= 1 && d.bedrooms <= 2 },
+      { value: 'medium', label: 'Family (3 bedrooms)', test: d => d.bedrooms === 3 },
+      { value: 'large', label: 'Luxury (4+ bedrooms)', test: d => d.bedrooms >= 4 }
+    ]
+  },
+  {
+    key: 'price',
+    id: 'price-filter',
+    label: 'Market Segment:',
+    options: [
+      // Half-open ranges so a $4M or $8M sale belongs to exactly one segment
+      { value: 'affordable', label: 'Affordable (Under $4M)', test: d => d.price < 4000000 },
+      { value: 'premium', label: 'Premium ($4M-$8M)', test: d => d.price >= 4000000 && d.price < 8000000 },
+      { value: 'luxury', label: 'Luxury ($8M+)', test: d => d.price >= 8000000 }
+    ]
+  },
+  {
+    key: 'amenities',
+    id: 'amenity-filter',
+    label: 'Premium Amenities:',
+    options: [
+      { value: 'ac', label: 'With Air Conditioning', test: d => d.airconditioning === true },
+      { value: 'basement', label: 'With Basement', test: d => d.basement === true },
+      { value: 'parking', label: '2+ Parking Spaces', test: d => d.parking >= 2 }
+    ]
+  }
+];
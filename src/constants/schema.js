@@ -0,0 +1,17 @@
+// The 13 columns every dataset must provide, with the type each value is coerced to and the
+// constraints the data-quality check enforces: `positive`, `integer`, `min`/`max` and allowed `values`
+export const DATASET_FIELDS = [
+  { key: 'price', type: 'number', positive: true },
+  { key: 'area', type: 'number', positive: true },
+  { key: 'bedrooms', type: 'number', integer: true, min: 1, max: 20 },
+  { key: 'bathrooms', type: 'number', integer: true, min: 1, max: 20 },
+  { key: 'stories', type: 'number', integer: true, min: 1, max: 10 },
+  { key: 'mainroad', type: 'boolean' },
+  { key: 'guestroom', type: 'boolean' },
+  { key: 'basement', type: 'boolean' },
+  { key: 'hotwaterheating', type: 'boolean' },
+  { key: 'airconditioning', type: 'boolean' },
+  { key: 'parking', type: 'number', integer: true, min: 0, max: 10 },
+  { key: 'prefarea', type: 'boolean' },
+  { key: 'furnishingstatus', type: 'category', values: ['furnished', 'semi-furnished', 'unfurnished'] }
+];
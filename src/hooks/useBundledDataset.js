@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useState } from 'react';
+import { decodeDataset } from '../utils/dataset';
+
+// Served from public/ so data updates don't need a rebuild and the rows stay out of the JS bundle
+export const DATASET_URL = `${process.env.PUBLIC_URL}/data/realEstateData.json`;
+const CACHE_NAME = 'real-estate-dashboard-data';
+
+// Shared between mounts (and React's double-invoked effects) so the file is only requested once
+let pendingRequest = null;
+
+const openCache = async () => {
+  if (!('caches' in window)) return null;
+  try {
+    return await window.caches.open(CACHE_NAME);
+  } catch (error) {
+    return null; // Cache Storage is unavailable on insecure origins and in some private modes
+  }
+};
+
+const fetchAndCache = async (cache) => {
+  // no-cache revalidates with the server, so the cached copy picks up a refreshed dataset
+  const response = await fetch(DATASET_URL, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`The server responded with ${response.status} ${response.statusText}`.trim());
+  if (cache) await cache.put(DATASET_URL, response.clone());
+  return response;
+};
+
+// Stale-while-revalidate: a cached copy makes repeat visits instant and is refreshed in the
+// background for the next visit; the first visit waits for the network.
+const requestDataset = async () => {
+  const cache = await openCache();
+  const cached = cache && await cache.match(DATASET_URL);
+  if (cached) {
+    fetchAndCache(cache).catch(error => console.warn('Could not refresh the cached dataset', error));
+    return decodeDataset(await cached.json());
+  }
+  return decodeDataset(await (await fetchAndCache(cache)).json());
+};
+
+const loadDataset = () => {
+  if (!pendingRequest) {
+    pendingRequest = requestDataset().catch(error => {
+      pendingRequest = null; // Let a retry start over
+      throw error;
+    });
+  }
+  return pendingRequest;
+};
+
+// Fetches the bundled dataset: { status: 'loading' | 'ready' | 'error', data, error, retry }
+const useBundledDataset = () => {
+  const [attempt, setAttempt] = useState(0);
+  const [state, setState] = useState({ status: 'loading', data: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState(current => (current.status === 'loading' ? current : { status: 'loading', data: null, error: null }));
+    loadDataset()
+      .then(data => {
+        if (!cancelled) setState({ status: 'ready', data, error: null });
+      })
+      .catch(error => {
+        if (!cancelled) setState({ status: 'error', data: null, error });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [attempt]);
+
+  const retry = useCallback(() => setAttempt(current => current + 1), []);
+
+  return { ...state, retry };
+};
+
+export default useBundledDataset;
@@ -0,0 +1,97 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { runDashboardComputation } from '../utils/aggregations';
+import createAggregationWorker from '../workers/createAggregationWorker';
+
+const startWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return createAggregationWorker();
+  } catch (error) {
+    console.warn('Could not start the aggregation worker; computing on the main thread', error);
+    return null;
+  }
+};
+
+// Filtering and chart aggregation for the dashboard, run in a Web Worker so large datasets don't
+// block the UI, with a synchronous fallback where workers are unavailable or fail.
+// `params` must be memoized (see computeDashboard). Returns null until the first result is ready,
+// then { filteredData, selectedData, aggregates, pending }. While a newer request is in flight the
+// previous result stays on screen, together with the rows it was computed from.
+const useDashboardData = (rows, params) => {
+  const workerRef = useRef(null);
+  const sentRowsRef = useRef(null);
+  const latestRequestRef = useRef(null); // { requestId, rows }
+  const nextRequestIdRef = useRef(0);
+  const [workerFailed, setWorkerFailed] = useState(false);
+  const [workerResult, setWorkerResult] = useState(null); // { requestId, rows, value }
+  const [requestedId, setRequestedId] = useState(null);
+
+  useEffect(() => {
+    const worker = startWorker();
+    if (!worker) {
+      setWorkerFailed(true);
+      return undefined;
+    }
+
+    worker.onmessage = ({ data: message }) => {
+      const latest = latestRequestRef.current;
+      // Answers to superseded requests are dropped
+      if (!latest || message.requestId !== latest.requestId) return;
+      if (message.type === 'error') {
+        console.warn('Aggregation failed in the worker; computing on the main thread', message.message);
+        setWorkerFailed(true);
+        return;
+      }
+      setWorkerResult({ requestId: message.requestId, rows: latest.rows, value: message.result });
+    };
+    worker.onerror = (event) => {
+      console.warn('The aggregation worker stopped; computing on the main thread', event.message);
+      setWorkerFailed(true);
+    };
+
+    workerRef.current = worker;
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      sentRowsRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!worker || workerFailed) return;
+    // The rows are only copied to the worker when they change, not with every request
+    if (sentRowsRef.current !== rows) {
+      worker.postMessage({ type: 'setData', rows });
+      sentRowsRef.current = rows;
+    }
+    const requestId = ++nextRequestIdRef.current;
+    latestRequestRef.current = { requestId, rows };
+    worker.postMessage({ type: 'compute', requestId, params });
+    setRequestedId(requestId);
+  }, [rows, params, workerFailed]);
+
+  const syncValue = useMemo(
+    () => (workerFailed ? runDashboardComputation(rows, params) : null),
+    [workerFailed, rows, params]
+  );
+
+  const resultRows = workerFailed ? rows : workerResult && workerResult.rows;
+  const resultValue = workerFailed ? syncValue : workerResult && workerResult.value;
+
+  // Results list ids; resolve them against the rows they were computed from
+  const resolved = useMemo(() => {
+    if (!resultValue) return null;
+    const byId = new Map(resultRows.map(d => [d.id, d]));
+    return {
+      filteredData: resultValue.filteredIds.map(id => byId.get(id)),
+      selectedData: resultValue.selectedIds.map(id => byId.get(id)),
+      aggregates: resultValue.aggregates
+    };
+  }, [resultRows, resultValue]);
+
+  if (!resolved) return null;
+  return { ...resolved, pending: !workerFailed && workerResult.requestId !== requestedId };
+};
+
+export default useDashboardData;
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Changes arriving faster than this (e.g. dragging a slider) replace the last history entry
+const COALESCE_MS = 500;
+
+// Keeps a piece of state mirrored in the URL hash. The hash works on static hosting such as
+// GitHub Pages, and each change becomes a history entry so back/forward step through states.
+// The setter takes { replace: true } for temporary changes that shouldn't add an entry.
+const useHashState = (serialize, parse) => {
+  const [state, setState] = useState(() => parse(window.location.hash));
+  const lastPushRef = useRef(0);
+  const fromHistoryRef = useRef(true); // The initial state came from the URL as well
+  const replaceRef = useRef(false);
+
+  useEffect(() => {
+    const hash = serialize(state);
+    const current = window.location.hash.replace(/^#/, '');
+    const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+    const now = Date.now();
+    const replace = replaceRef.current;
+    replaceRef.current = false;
+
+    if (fromHistoryRef.current) {
+      // Normalize the URL we were handed without adding an entry
+      fromHistoryRef.current = false;
+      if (hash !== current) window.history.replaceState(null, '', url);
+    } else if (replace) {
+      if (hash !== current) window.history.replaceState(null, '', url);
+    } else if (hash !== current) {
+      if (now - lastPushRef.current < COALESCE_MS) window.history.replaceState(null, '', url);
+      else window.history.pushState(null, '', url);
+      lastPushRef.current = now;
+    }
+  }, [state, serialize]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      fromHistoryRef.current = true;
+      setState(parse(window.location.hash));
+    };
+    // Pasting a link into the address bar of an open dashboard only fires hashchange
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('hashchange', handlePopState);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+      window.removeEventListener('hashchange', handlePopState);
+    };
+  }, [parse]);
+
+  const setHashState = useCallback((update, { replace = false } = {}) => {
+    if (replace) replaceRef.current = true;
+    setState(update);
+  }, []);
+
+  return [state, setHashState];
+};
+
+export default useHashState;
@@ -1,8180 +0,0 @@
-// Real Estate Dataset from Kaggle
-// Source: https://www.kaggle.com/datasets/wardabilal/real-estate-price-insights
-
-export const realEstateData = [
-  {
-    "price": 13300000,
-    "area": 7420,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 12250000,
-    "area": 8960,
-    "bedrooms": 4,
-    "bathrooms": 4,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 12250000,
-    "area": 9960,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 12215000,
-    "area": 7500,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 3,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 11410000,
-    "area": 7420,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 10850000,
-    "area": 7500,
-    "bedrooms": 3,
-    "bathrooms": 3,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 10150000,
-    "area": 8580,
-    "bedrooms": 4,
-    "bathrooms": 3,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 10150000,
-    "area": 16200,
-    "bedrooms": 5,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 9870000,
-    "area": 8100,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 9800000,
-    "area": 5750,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 9800000,
-    "area": 13200,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 9681000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 9310000,
-    "area": 6550,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 9240000,
-    "area": 3500,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 9240000,
-    "area": 7800,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 9100000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 9100000,
-    "area": 6600,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 8960000,
-    "area": 8500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8890000,
-    "area": 4600,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8855000,
-    "area": 6420,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 8750000,
-    "area": 4320,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 8680000,
-    "area": 7155,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 8645000,
-    "area": 8050,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8645000,
-    "area": 4560,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8575000,
-    "area": 8800,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8540000,
-    "area": 6540,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8463000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 8400000,
-    "area": 8875,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 8400000,
-    "area": 7950,
-    "bedrooms": 5,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 8400000,
-    "area": 5500,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 8400000,
-    "area": 7475,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 8400000,
-    "area": 7000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 8295000,
-    "area": 4880,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8190000,
-    "area": 5960,
-    "bedrooms": 3,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 8120000,
-    "area": 6840,
-    "bedrooms": 5,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8080940,
-    "area": 7000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 8043000,
-    "area": 7482,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7980000,
-    "area": 9000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7962500,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 7910000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7875000,
-    "area": 6550,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7840000,
-    "area": 6360,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7700000,
-    "area": 6480,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 7700000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7560000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7560000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7525000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7490000,
-    "area": 6600,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 3,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7455000,
-    "area": 4300,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 7420000,
-    "area": 7440,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7420000,
-    "area": 7440,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 7420000,
-    "area": 6325,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 7350000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7350000,
-    "area": 5150,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7350000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7350000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 7343000,
-    "area": 11440,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7245000,
-    "area": 9000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7210000,
-    "area": 7680,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7210000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7140000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7070000,
-    "area": 8880,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 7070000,
-    "area": 6240,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7035000,
-    "area": 6360,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 7000000,
-    "area": 11175,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6930000,
-    "area": 8880,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6930000,
-    "area": 13200,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6895000,
-    "area": 7700,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6860000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6790000,
-    "area": 12090,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6790000,
-    "area": 4000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6755000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6720000,
-    "area": 5020,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6685000,
-    "area": 6600,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6650000,
-    "area": 4040,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6650000,
-    "area": 4260,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6650000,
-    "area": 6420,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6650000,
-    "area": 6500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6650000,
-    "area": 5700,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6650000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6629000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6615000,
-    "area": 4000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6615000,
-    "area": 10500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6580000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6510000,
-    "area": 3760,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6510000,
-    "area": 8250,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6510000,
-    "area": 6670,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6475000,
-    "area": 3960,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6475000,
-    "area": 7410,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6440000,
-    "area": 8580,
-    "bedrooms": 5,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6440000,
-    "area": 5000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6419000,
-    "area": 6750,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6405000,
-    "area": 4800,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6300000,
-    "area": 7200,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6300000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6300000,
-    "area": 4100,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6300000,
-    "area": 9000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6300000,
-    "area": 6400,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6293000,
-    "area": 6600,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6265000,
-    "area": 6000,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6230000,
-    "area": 6600,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6230000,
-    "area": 5500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6195000,
-    "area": 5500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6195000,
-    "area": 6350,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6195000,
-    "area": 5500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6160000,
-    "area": 4500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6160000,
-    "area": 5450,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6125000,
-    "area": 6420,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6107500,
-    "area": 3240,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6090000,
-    "area": 6615,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6090000,
-    "area": 6600,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6090000,
-    "area": 8372,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 6083000,
-    "area": 4300,
-    "bedrooms": 6,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6083000,
-    "area": 9620,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6020000,
-    "area": 6800,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 6020000,
-    "area": 8000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 6020000,
-    "area": 6900,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5950000,
-    "area": 3700,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5950000,
-    "area": 6420,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5950000,
-    "area": 7020,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5950000,
-    "area": 6540,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5950000,
-    "area": 7231,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5950000,
-    "area": 6254,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5950000,
-    "area": 7320,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5950000,
-    "area": 6525,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5943000,
-    "area": 15600,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5880000,
-    "area": 7160,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5880000,
-    "area": 6500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5873000,
-    "area": 5500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5873000,
-    "area": 11460,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5866000,
-    "area": 4800,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5810000,
-    "area": 5828,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5810000,
-    "area": 5200,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5810000,
-    "area": 4800,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5803000,
-    "area": 7000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5775000,
-    "area": 6000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5740000,
-    "area": 5400,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5740000,
-    "area": 4640,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5740000,
-    "area": 5000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5740000,
-    "area": 6360,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5740000,
-    "area": 5800,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5652500,
-    "area": 6660,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 10500,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 4800,
-    "bedrooms": 5,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5600000,
-    "area": 4700,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 5000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 10500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 5500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 6360,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 6600,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5600000,
-    "area": 5136,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5565000,
-    "area": 4400,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5565000,
-    "area": 5400,
-    "bedrooms": 5,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5530000,
-    "area": 3300,
-    "bedrooms": 3,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5530000,
-    "area": 3650,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5530000,
-    "area": 6100,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5523000,
-    "area": 6900,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5495000,
-    "area": 2817,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5495000,
-    "area": 7980,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5460000,
-    "area": 3150,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5460000,
-    "area": 6210,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5460000,
-    "area": 6100,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5460000,
-    "area": 6600,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5425000,
-    "area": 6825,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5390000,
-    "area": 6710,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5383000,
-    "area": 6450,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5320000,
-    "area": 7800,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5285000,
-    "area": 4600,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5250000,
-    "area": 4260,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5250000,
-    "area": 6540,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5250000,
-    "area": 5500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5250000,
-    "area": 10269,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5250000,
-    "area": 8400,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5250000,
-    "area": 5300,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5250000,
-    "area": 3800,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5250000,
-    "area": 9800,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5250000,
-    "area": 8520,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5243000,
-    "area": 6050,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5229000,
-    "area": 7085,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5215000,
-    "area": 3180,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5215000,
-    "area": 4500,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5215000,
-    "area": 7200,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5145000,
-    "area": 3410,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5145000,
-    "area": 7980,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5110000,
-    "area": 3000,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5110000,
-    "area": 3000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5110000,
-    "area": 11410,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5110000,
-    "area": 6100,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5075000,
-    "area": 5720,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 5040000,
-    "area": 3540,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5040000,
-    "area": 7600,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5040000,
-    "area": 10700,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5040000,
-    "area": 6600,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 5033000,
-    "area": 4800,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 5005000,
-    "area": 8150,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4970000,
-    "area": 4410,
-    "bedrooms": 4,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4970000,
-    "area": 7686,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4956000,
-    "area": 2800,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4935000,
-    "area": 5948,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4907000,
-    "area": 4200,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 4520,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 4095,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 4120,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 5400,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 4770,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 6300,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 5800,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 3000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 2970,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 6720,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4900000,
-    "area": 4646,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4900000,
-    "area": 12900,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4893000,
-    "area": 3420,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4893000,
-    "area": 4995,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4865000,
-    "area": 4350,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4830000,
-    "area": 4160,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4830000,
-    "area": 6040,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4830000,
-    "area": 6862,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4830000,
-    "area": 4815,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4795000,
-    "area": 7000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4795000,
-    "area": 8100,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4767000,
-    "area": 3420,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4760000,
-    "area": 9166,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4760000,
-    "area": 6321,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4760000,
-    "area": 10240,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4753000,
-    "area": 6440,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4690000,
-    "area": 5170,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4690000,
-    "area": 6000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4690000,
-    "area": 3630,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4690000,
-    "area": 9667,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4690000,
-    "area": 5400,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4690000,
-    "area": 4320,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4655000,
-    "area": 3745,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4620000,
-    "area": 4160,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4620000,
-    "area": 3880,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4620000,
-    "area": 5680,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4620000,
-    "area": 2870,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4620000,
-    "area": 5010,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4613000,
-    "area": 4510,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4585000,
-    "area": 4000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4585000,
-    "area": 3840,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4550000,
-    "area": 3760,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4550000,
-    "area": 3640,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4550000,
-    "area": 2550,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4550000,
-    "area": 5320,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4550000,
-    "area": 5360,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4550000,
-    "area": 3520,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4550000,
-    "area": 8400,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 4,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4543000,
-    "area": 4100,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4543000,
-    "area": 4990,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4515000,
-    "area": 3510,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4515000,
-    "area": 3450,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4515000,
-    "area": 9860,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4515000,
-    "area": 3520,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4480000,
-    "area": 4510,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4480000,
-    "area": 5885,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4480000,
-    "area": 4000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4480000,
-    "area": 8250,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4480000,
-    "area": 4040,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4473000,
-    "area": 6360,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4473000,
-    "area": 3162,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4473000,
-    "area": 3510,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4445000,
-    "area": 3750,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4410000,
-    "area": 3968,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4410000,
-    "area": 4900,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4403000,
-    "area": 2880,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4403000,
-    "area": 4880,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4403000,
-    "area": 4920,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4382000,
-    "area": 4950,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4375000,
-    "area": 3900,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4340000,
-    "area": 4500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4340000,
-    "area": 1905,
-    "bedrooms": 5,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4340000,
-    "area": 4075,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4340000,
-    "area": 3500,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4340000,
-    "area": 6450,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4319000,
-    "area": 4032,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4305000,
-    "area": 4400,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4305000,
-    "area": 10360,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4277000,
-    "area": 3400,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4270000,
-    "area": 6360,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4270000,
-    "area": 6360,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4270000,
-    "area": 4500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4270000,
-    "area": 2175,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4270000,
-    "area": 4360,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4270000,
-    "area": 7770,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4235000,
-    "area": 6650,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4235000,
-    "area": 2787,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 5500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4200000,
-    "area": 5040,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4200000,
-    "area": 5850,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 2610,
-    "bedrooms": 4,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 2953,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4200000,
-    "area": 2747,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 4410,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4200000,
-    "area": 4000,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 2325,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 4600,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 3640,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4200000,
-    "area": 5800,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 7000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 4079,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 3520,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4200000,
-    "area": 2145,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4200000,
-    "area": 4500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4193000,
-    "area": 8250,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4193000,
-    "area": 3450,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4165000,
-    "area": 4840,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4165000,
-    "area": 4080,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4165000,
-    "area": 4046,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4130000,
-    "area": 4632,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4130000,
-    "area": 5985,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4123000,
-    "area": 6060,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4098500,
-    "area": 3600,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4095000,
-    "area": 3680,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4095000,
-    "area": 4040,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4095000,
-    "area": 5600,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4060000,
-    "area": 5900,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4060000,
-    "area": 4992,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 4060000,
-    "area": 4340,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4060000,
-    "area": 3000,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4060000,
-    "area": 4320,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4025000,
-    "area": 3630,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4025000,
-    "area": 3460,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 4025000,
-    "area": 5400,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4007500,
-    "area": 4500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 4007500,
-    "area": 3460,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3990000,
-    "area": 4100,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3990000,
-    "area": 6480,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3990000,
-    "area": 4500,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3990000,
-    "area": 3960,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3990000,
-    "area": 4050,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3920000,
-    "area": 7260,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3920000,
-    "area": 5500,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3920000,
-    "area": 3000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3920000,
-    "area": 3290,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3920000,
-    "area": 3816,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3920000,
-    "area": 8080,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3920000,
-    "area": 2145,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3885000,
-    "area": 3780,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3885000,
-    "area": 3180,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3850000,
-    "area": 5300,
-    "bedrooms": 5,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3850000,
-    "area": 3180,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3850000,
-    "area": 7152,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3850000,
-    "area": 4080,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3850000,
-    "area": 3850,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3850000,
-    "area": 2015,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3850000,
-    "area": 2176,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3836000,
-    "area": 3350,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3815000,
-    "area": 3150,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3780000,
-    "area": 4820,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3780000,
-    "area": 3420,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3780000,
-    "area": 3600,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3780000,
-    "area": 5830,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3780000,
-    "area": 2856,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3780000,
-    "area": 8400,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3773000,
-    "area": 8250,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3773000,
-    "area": 2520,
-    "bedrooms": 5,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3773000,
-    "area": 6930,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3745000,
-    "area": 3480,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3710000,
-    "area": 3600,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3710000,
-    "area": 4040,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3710000,
-    "area": 6020,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3710000,
-    "area": 4050,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3710000,
-    "area": 3584,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3703000,
-    "area": 3120,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3703000,
-    "area": 5450,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3675000,
-    "area": 3630,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3675000,
-    "area": 3630,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3675000,
-    "area": 5640,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3675000,
-    "area": 3600,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3640000,
-    "area": 4280,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3640000,
-    "area": 3570,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3640000,
-    "area": 3180,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3640000,
-    "area": 3000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3640000,
-    "area": 3520,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3640000,
-    "area": 5960,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3640000,
-    "area": 4130,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3640000,
-    "area": 2850,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3640000,
-    "area": 2275,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3633000,
-    "area": 3520,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3605000,
-    "area": 4500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3605000,
-    "area": 4000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3570000,
-    "area": 3150,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3570000,
-    "area": 4500,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3570000,
-    "area": 4500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3570000,
-    "area": 3640,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3535000,
-    "area": 3850,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 4240,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3650,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 4600,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3500000,
-    "area": 2135,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3036,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3990,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3500000,
-    "area": 7424,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3480,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3600,
-    "bedrooms": 6,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3640,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3500000,
-    "area": 5900,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3120,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 7350,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3500000,
-    "area": 3512,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 9500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 3,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 5880,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3500000,
-    "area": 12944,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3493000,
-    "area": 4900,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3465000,
-    "area": 3060,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3465000,
-    "area": 5320,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3465000,
-    "area": 2145,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3430000,
-    "area": 4000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3430000,
-    "area": 3185,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3430000,
-    "area": 3850,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3430000,
-    "area": 2145,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3430000,
-    "area": 2610,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3430000,
-    "area": 1950,
-    "bedrooms": 3,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3423000,
-    "area": 4040,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3395000,
-    "area": 4785,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3395000,
-    "area": 3450,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3395000,
-    "area": 3640,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3360000,
-    "area": 3500,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3360000,
-    "area": 4960,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3360000,
-    "area": 4120,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3360000,
-    "area": 4750,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3360000,
-    "area": 3720,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3360000,
-    "area": 3750,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3360000,
-    "area": 3100,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3360000,
-    "area": 3185,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3353000,
-    "area": 2700,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3332000,
-    "area": 2145,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3325000,
-    "area": 4040,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3325000,
-    "area": 4775,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3290000,
-    "area": 2500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3290000,
-    "area": 3180,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3290000,
-    "area": 6060,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3290000,
-    "area": 3480,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3290000,
-    "area": 3792,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3290000,
-    "area": 4040,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3290000,
-    "area": 2145,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3290000,
-    "area": 5880,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3255000,
-    "area": 4500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3255000,
-    "area": 3930,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3234000,
-    "area": 3640,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3220000,
-    "area": 4370,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3220000,
-    "area": 2684,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3220000,
-    "area": 4320,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3220000,
-    "area": 3120,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3150000,
-    "area": 3450,
-    "bedrooms": 1,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3150000,
-    "area": 3986,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3150000,
-    "area": 3500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3150000,
-    "area": 4095,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3150000,
-    "area": 1650,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3150000,
-    "area": 3450,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3150000,
-    "area": 6750,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3150000,
-    "area": 9000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3150000,
-    "area": 3069,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3143000,
-    "area": 4500,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3129000,
-    "area": 5495,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3118850,
-    "area": 2398,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3115000,
-    "area": 3000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3115000,
-    "area": 3850,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3115000,
-    "area": 3500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3087000,
-    "area": 8100,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3080000,
-    "area": 4960,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3080000,
-    "area": 2160,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3080000,
-    "area": 3090,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3080000,
-    "area": 4500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3045000,
-    "area": 3800,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3010000,
-    "area": 3090,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3010000,
-    "area": 3240,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3010000,
-    "area": 2835,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3010000,
-    "area": 4600,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 3010000,
-    "area": 5076,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3010000,
-    "area": 3750,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 3010000,
-    "area": 3630,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 3,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 3003000,
-    "area": 8050,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2975000,
-    "area": 4352,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2961000,
-    "area": 3000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2940000,
-    "area": 5850,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2940000,
-    "area": 4960,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2940000,
-    "area": 3600,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2940000,
-    "area": 3660,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2940000,
-    "area": 3480,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2940000,
-    "area": 2700,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 2940000,
-    "area": 3150,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2940000,
-    "area": 6615,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2870000,
-    "area": 3040,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2870000,
-    "area": 3630,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2870000,
-    "area": 6000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2870000,
-    "area": 5400,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2852500,
-    "area": 5200,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 3,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2835000,
-    "area": 3300,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2835000,
-    "area": 4350,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2835000,
-    "area": 2640,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 2800000,
-    "area": 2650,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2800000,
-    "area": 3960,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 2730000,
-    "area": 6800,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2730000,
-    "area": 4000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2695000,
-    "area": 4000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2660000,
-    "area": 3934,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2660000,
-    "area": 2000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2660000,
-    "area": 3630,
-    "bedrooms": 3,
-    "bathrooms": 3,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2660000,
-    "area": 2800,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2660000,
-    "area": 2430,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2660000,
-    "area": 3480,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2660000,
-    "area": 4000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2653000,
-    "area": 3185,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2653000,
-    "area": 4000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2604000,
-    "area": 2910,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2590000,
-    "area": 3600,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2590000,
-    "area": 4400,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2590000,
-    "area": 3600,
-    "bedrooms": 2,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 2520000,
-    "area": 2880,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2520000,
-    "area": 3180,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2520000,
-    "area": 3000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 2485000,
-    "area": 4400,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2485000,
-    "area": 3000,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2450000,
-    "area": 3210,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2450000,
-    "area": 3240,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2450000,
-    "area": 3000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2450000,
-    "area": 3500,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": true,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2450000,
-    "area": 4840,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2450000,
-    "area": 7700,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2408000,
-    "area": 3635,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2380000,
-    "area": 2475,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 2380000,
-    "area": 2787,
-    "bedrooms": 4,
-    "bathrooms": 2,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 2380000,
-    "area": 3264,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2345000,
-    "area": 3640,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2310000,
-    "area": 3180,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2275000,
-    "area": 1836,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 2275000,
-    "area": 3970,
-    "bedrooms": 1,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2275000,
-    "area": 3970,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2240000,
-    "area": 1950,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": true,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2233000,
-    "area": 5300,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": true,
-    "parking": 0,
-    "prefarea": true,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2135000,
-    "area": 3000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2100000,
-    "area": 2400,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2100000,
-    "area": 3000,
-    "bedrooms": 4,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 2100000,
-    "area": 3360,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 1960000,
-    "area": 3420,
-    "bedrooms": 5,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 1890000,
-    "area": 1700,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 1890000,
-    "area": 3649,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 1855000,
-    "area": 2990,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 1,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 1820000,
-    "area": 3000,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": true,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 2,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 1767150,
-    "area": 2400,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "semi-furnished"
-  },
-  {
-    "price": 1750000,
-    "area": 3620,
-    "bedrooms": 2,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  },
-  {
-    "price": 1750000,
-    "area": 2910,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 1,
-    "mainroad": false,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "furnished"
-  },
-  {
-    "price": 1750000,
-    "area": 3850,
-    "bedrooms": 3,
-    "bathrooms": 1,
-    "stories": 2,
-    "mainroad": true,
-    "guestroom": false,
-    "basement": false,
-    "hotwaterheating": false,
-    "airconditioning": false,
-    "parking": 0,
-    "prefarea": false,
-    "furnishingstatus": "unfurnished"
-  }
-];
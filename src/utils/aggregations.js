@@ -0,0 +1,208 @@
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { getDonutCategory, HEATMAP_VIEWS } from '../constants/chartDimensions';
+import { getColor } from '../constants/colors';
+import { applyFilters } from './filters';
+import { applySelection } from './dataset';
+import { fitHedonicModel } from './hedonic';
+
+// Filtering and per-chart aggregation, free of DOM and d3 so the same code runs in the
+// aggregation worker and, as a fallback, on the main thread. Aggregates refer to properties
+// by id rather than carrying the records, which keeps worker messages small.
+
+const mean = (values) => {
+  const finite = values.filter(Number.isFinite);
+  return finite.length > 0 ? finite.reduce((a, b) => a + b, 0) / finite.length : undefined;
+};
+
+const median = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return undefined;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const sortNumeric = (values) => [...new Set(values)].sort((a, b) => a - b);
+
+// Equal-width bins over the value range. Bins are half-open except the last, which is closed
+// at its upper edge; `item` is the click-to-filter definition of the bin.
+export const computeHistogram = (rows, { variable, binCount }) => {
+  const field = NUMERIC_FIELDS[variable];
+  const values = [];
+  const ids = [];
+  rows.forEach(d => {
+    const value = field.accessor(d);
+    // Rows kept despite failing validation (e.g. a zero area) have no finite value to bin
+    if (!Number.isFinite(value)) return;
+    values.push(value);
+    ids.push(d.id);
+  });
+  if (values.length === 0) return { variable, binCount, extent: [0, 0], bins: [] };
+
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+
+  const binWidth = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => {
+    const x0 = min + i * binWidth;
+    const x1 = x0 + binWidth;
+    return { x0, x1, count: 0, ids: [], item: [x0, x1, i === binCount - 1] };
+  });
+
+  values.forEach((value, i) => {
+    let index = binWidth > 0 ? Math.min(binCount - 1, Math.floor((value - min) / binWidth)) : binCount - 1;
+    // Floating point can put a value on the wrong side of an edge; the edges are authoritative
+    while (index > 0 && value < bins[index].x0) index--;
+    while (index < binCount - 1 && value >= bins[index].x1) index++;
+    bins[index].count++;
+    bins[index].ids.push(ids[i]);
+  });
+
+  return { variable, binCount, extent: [min, max], bins };
+};
+
+// Where a value falls along the histogram's bars: the bar index and the fraction of the way
+// across it. Values beyond either end sit at the outer edge; null when there are no bins.
+export const locateInBins = (bins, value) => {
+  if (bins.length === 0) return null;
+  if (value <= bins[0].x0) return { index: 0, fraction: 0 };
+  const index = bins.findIndex(bin => value <= bin.x1);
+  if (index < 0) return { index: bins.length - 1, fraction: 1 };
+  const { x0, x1 } = bins[index];
+  return { index, fraction: x1 > x0 ? (value - x0) / (x1 - x0) : 0.5 };
+};
+
+// Bedroom slices are ordered to keep small neighbouring slices apart
+const BEDROOM_SLICE_ORDER = ['2 Bedrooms', '1 Bedroom', '3 Bedrooms', '6 Bedrooms', '4 Bedrooms', '5 Bedrooms'];
+
+// One slice per category, in order of first appearance
+export const computeDonut = (rows, { analysisType }) => {
+  const groups = new Map();
+  rows.forEach(d => {
+    const status = getDonutCategory(d, analysisType);
+    if (!groups.has(status)) groups.set(status, []);
+    groups.get(status).push(d.id);
+  });
+
+  let slices = Array.from(groups, ([status, ids]) => ({ status, count: ids.length, ids }));
+  if (analysisType === 'bedrooms') {
+    const rank = status => {
+      const index = BEDROOM_SLICE_ORDER.indexOf(status);
+      return index === -1 ? 999 : index;
+    };
+    slices = slices.sort((a, b) => rank(a.status) - rank(b.status));
+  }
+
+  return { analysisType, total: rows.length, slices };
+};
+
+// Count and average price per (x, y) cell of the selected heatmap view
+export const computeHeatmap = (rows, { viewMode }) => {
+  const view = HEATMAP_VIEWS[viewMode];
+  const columns = new Map();
+  rows.forEach(d => {
+    const x = view.x(d);
+    const y = view.y(d);
+    if (!columns.has(x)) columns.set(x, new Map());
+    const column = columns.get(x);
+    if (!column.has(y)) column.set(y, []);
+    column.get(y).push(d);
+  });
+
+  const cells = [];
+  columns.forEach((column, x) => {
+    column.forEach((members, y) => {
+      cells.push({ x, y, count: members.length, avgPrice: mean(members.map(d => d.price)), ids: members.map(d => d.id) });
+    });
+  });
+
+  return {
+    viewMode,
+    xDomain: sortNumeric(rows.map(view.x)),
+    yDomain: view.yDomain || sortNumeric(rows.map(view.y)),
+    cells
+  };
+};
+
+export const PREMIUM_FEATURES = [
+  { key: 'airconditioning', name: 'Air Conditioning' },
+  { key: 'parking', name: 'Parking Available' },
+  { key: 'prefarea', name: 'Preferred Area' },
+  { key: 'hotwaterheating', name: 'Hot Water Heating' },
+  { key: 'guestroom', name: 'Guest Room' },
+  { key: 'basement', name: 'Basement' },
+  { key: 'mainroad', name: 'Main Road Access' }
+];
+
+// Feature premiums by comparing the median price per sq ft of properties with and without
+// each feature, scaled to the median house size. Features missing on either side are skipped.
+export const computeFeaturePremiums = (rows) => {
+  const avgHouseSize = median(rows.map(d => d.area));
+  const premiums = {};
+
+  PREMIUM_FEATURES.forEach(feature => {
+    const withFeature = rows.filter(d => d[feature.key] === true);
+    const withoutFeature = rows.filter(d => d[feature.key] === false);
+    if (withFeature.length === 0 || withoutFeature.length === 0) return;
+
+    const pricePerSqFtWith = median(withFeature.map(d => d.price / d.area));
+    const pricePerSqFtWithout = median(withoutFeature.map(d => d.price / d.area));
+    const premiumPerSqFt = pricePerSqFtWith - pricePerSqFtWithout;
+
+    premiums[feature.key] = {
+      ...feature,
+      color: getColor('featurePremium', feature.key),
+      premium: premiumPerSqFt * avgHouseSize,
+      premiumPercent: (premiumPerSqFt / pricePerSqFtWithout) * 100,
+      basePrice: pricePerSqFtWithout * avgHouseSize,
+      withFeaturePrice: pricePerSqFtWith * avgHouseSize,
+      premiumPerSqFt,
+      pricePerSqFtWith,
+      pricePerSqFtWithout,
+      sampleSize: withFeature.length,
+      avgHouseSize,
+      ids: withFeature.map(d => d.id)
+    };
+  });
+
+  return premiums;
+};
+
+const toIds = (rows) => rows.map(d => d.id);
+
+// Everything the dashboard derives from the data for one combination of filters, scatter
+// selection and chart settings. Written as a generator that pauses between steps, so the worker
+// can drop a request as soon as a newer one arrives; runDashboardComputation runs it in one go.
+//   params: { filters, selectedIds: Set | null, histogram: { variable, binCount },
+//             donut: { analysisType }, heatmap: { viewMode }, hedonic: { response } }
+export function* computeDashboard(rows, params) {
+  const { filters, selectedIds } = params;
+  const filtered = applyFilters(rows, filters);
+  const selected = applySelection(filtered, selectedIds);
+  const result = { filteredIds: toIds(filtered), selectedIds: toIds(selected), aggregates: {} };
+  yield;
+
+  // Clickable charts ignore their own clicked marks so every mark stays visible and clickable
+  const chartRows = chart => applySelection(applyFilters(rows, filters, { excludeMark: chart }), selectedIds);
+  result.aggregates.histogram = computeHistogram(chartRows('histogram'), params.histogram);
+  yield;
+  result.aggregates.donut = computeDonut(chartRows('donut'), params.donut);
+  yield;
+  result.aggregates.heatmap = computeHeatmap(chartRows('heatmap'), params.heatmap);
+  yield;
+  result.aggregates.featurePremium = computeFeaturePremiums(selected);
+  yield;
+  result.aggregates.hedonic = fitHedonicModel(selected, params.hedonic);
+
+  return result;
+}
+
+export const runDashboardComputation = (rows, params) => {
+  const steps = computeDashboard(rows, params);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
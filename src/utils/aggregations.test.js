@@ -0,0 +1,110 @@
+import {
+  computeHistogram,
+  locateInBins,
+  computeDonut,
+  computeHeatmap,
+  computeFeaturePremiums,
+  computeDashboard,
+  runDashboardComputation
+} from './aggregations';
+import { createEmptyFilters, toggleMarkFilter, MARK_FILTERS } from './filters';
+
+const house = (id, overrides = {}) => ({
+  id, price: 4000000, area: 4000, bedrooms: 3, bathrooms: 1, stories: 2,
+  mainroad: true, guestroom: false, basement: false, hotwaterheating: false, airconditioning: false,
+  parking: 1, prefarea: false, furnishingstatus: 'furnished',
+  ...overrides
+});
+
+const rows = [
+  house(0, { price: 1750000, bedrooms: 2, airconditioning: true }),
+  house(1, { price: 3000000, bedrooms: 1, furnishingstatus: 'unfurnished' }),
+  house(2, { price: 4550000, bathrooms: 2, airconditioning: true }),
+  house(3, { price: 6100000, bedrooms: 2, stories: 3 }),
+  house(4, { price: 13300000, bedrooms: 4, area: 0 })
+];
+
+test('bins match the click-to-filter test of each bin', () => {
+  const { bins, extent } = computeHistogram(rows, { variable: 'price', binCount: 5 });
+  expect(extent).toEqual([1750000, 13300000]);
+  expect(bins).toHaveLength(5);
+  bins.forEach(bin => {
+    const expected = rows.filter(d => MARK_FILTERS.histogram.test(d, 'price', bin.item)).map(d => d.id);
+    expect(bin.ids).toEqual(expected);
+    expect(bin.count).toBe(expected.length);
+  });
+  expect(bins[4].ids).toEqual([4]);
+});
+
+test('skips values that cannot be binned and handles a single distinct value', () => {
+  const { bins } = computeHistogram(rows, { variable: 'pricePerSqFt', binCount: 4 });
+  expect(bins.flatMap(bin => bin.ids).sort()).toEqual([0, 1, 2, 3]);
+
+  const flat = computeHistogram(rows.slice(0, 1), { variable: 'price', binCount: 3 });
+  expect(flat.bins.map(bin => bin.count)).toEqual([0, 0, 1]);
+  expect(computeHistogram([], { variable: 'price', binCount: 3 }).bins).toEqual([]);
+});
+
+test('places estimate values along the bars, and nowhere when no properties match', () => {
+  const { bins } = computeHistogram([house(0, { price: 1000000 }), house(1, { price: 5000000 })], { variable: 'price', binCount: 4 });
+  expect(locateInBins(bins, 500000)).toEqual({ index: 0, fraction: 0 });
+  expect(locateInBins(bins, 2500000)).toEqual({ index: 1, fraction: 0.5 });
+  expect(locateInBins(bins, 9000000)).toEqual({ index: 3, fraction: 1 });
+
+  const flat = computeHistogram([house(0)], { variable: 'price', binCount: 3 });
+  expect(locateInBins(flat.bins, 4000000)).toEqual({ index: 0, fraction: 0 });
+  expect(locateInBins(computeHistogram([], { variable: 'price', binCount: 3 }).bins, 4000000)).toBeNull();
+});
+
+test('groups donut slices and orders bedroom slices', () => {
+  const furnishing = computeDonut(rows, { analysisType: 'furnishingstatus' });
+  expect(furnishing.total).toBe(5);
+  expect(furnishing.slices).toEqual([
+    { status: 'furnished', count: 4, ids: [0, 2, 3, 4] },
+    { status: 'unfurnished', count: 1, ids: [1] }
+  ]);
+  expect(computeDonut(rows, { analysisType: 'bedrooms' }).slices.map(d => d.status))
+    .toEqual(['2 Bedrooms', '1 Bedroom', '3 Bedrooms', '4 Bedrooms']);
+});
+
+test('aggregates heatmap cells with sorted domains', () => {
+  const { xDomain, yDomain, cells } = computeHeatmap(rows, { viewMode: 'bedrooms' });
+  expect(xDomain).toEqual([1, 2, 3, 4]);
+  expect(yDomain).toEqual([1, 2]);
+  expect(cells.find(cell => cell.x === 2 && cell.y === 1)).toEqual({
+    x: 2, y: 1, count: 2, avgPrice: (1750000 + 6100000) / 2, ids: [0, 3]
+  });
+});
+
+test('compares median price per sq ft with and without each feature', () => {
+  const premiums = computeFeaturePremiums(rows.slice(0, 4));
+  expect(Object.keys(premiums)).toEqual(['airconditioning']);
+  const ac = premiums.airconditioning;
+  expect(ac.pricePerSqFtWith).toBe((1750000 + 4550000) / 2 / 4000);
+  expect(ac.pricePerSqFtWithout).toBe((3000000 + 6100000) / 2 / 4000);
+  expect(ac.sampleSize).toBe(2);
+  expect(ac.ids).toHaveLength(2);
+  expect(ac.name).toBe('Air Conditioning');
+});
+
+test('each clickable chart ignores its own marks and pauses between steps', () => {
+  const filters = toggleMarkFilter(createEmptyFilters(), 'donut', 'furnishingstatus', 'unfurnished', false);
+  const params = {
+    filters,
+    selectedIds: null,
+    histogram: { variable: 'price', binCount: 5 },
+    donut: { analysisType: 'furnishingstatus' },
+    heatmap: { viewMode: 'bedrooms' }
+  };
+
+  const result = runDashboardComputation(rows, params);
+  expect(result.filteredIds).toEqual([1]);
+  expect(result.aggregates.donut.total).toBe(5);
+  expect(result.aggregates.heatmap.cells.map(cell => cell.ids)).toEqual([[1]]);
+  expect(result.aggregates.hedonic.message).toMatch(/^Too few properties/);
+
+  const steps = computeDashboard(rows, { ...params, selectedIds: new Set([2]) });
+  let count = 0;
+  while (!steps.next().done) count++;
+  expect(count).toBeGreaterThan(1);
+});
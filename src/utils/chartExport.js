@@ -0,0 +1,267 @@
+import { describeFilters } from './filters';
+import { createPdf, A4_LANDSCAPE } from './pdf';
+
+// Turn the charts on screen into standalone SVG, PNG and PDF files. Each chart wrapper in App
+// carries a data-chart attribute and holds one chart <svg> (plus a <canvas> when the scatter plot
+// draws its points on a canvas).
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Presentation properties copied from the computed style, so rules from App.css and inline
+// styles survive outside the page
+const STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'stroke-linecap',
+  'stroke-linejoin', 'opacity', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor',
+  'dominant-baseline', 'visibility', 'display'
+];
+
+// Hover feedback that shouldn't end up in an exported picture
+const TRANSIENT_ELEMENTS = '.tooltip, .hover-point';
+
+const TITLE_SIZE = 18;
+const CAPTION_SIZE = 12;
+const LINE_GAP = 4;
+const HEADER_PADDING = 16;
+
+// Break text into lines of at most maxChars characters, at spaces where possible
+export const wrapText = (text, maxChars) => {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+// One-line description of what the charts show, e.g.
+// "140 of 545 properties. Filters: Donut: furnished. Scatter plot selection: 12 properties."
+export const getChartCaption = ({ filters, filteredCount, totalCount, selectedCount = null }) => {
+  const active = describeFilters(filters).map(entry => `${entry.label}: ${entry.values.map(v => v.label).join(' or ')}`);
+  return [
+    `${filteredCount} of ${totalCount} properties.`,
+    active.length > 0 ? `Filters: ${active.join('; ')}.` : 'No filters applied.',
+    selectedCount !== null ? `Scatter plot selection: ${selectedCount} properties.` : ''
+  ].filter(Boolean).join(' ');
+};
+
+export const getChartTitle = (wrapper) => {
+  const heading = wrapper.querySelector('h3');
+  return heading ? heading.textContent.trim() : '';
+};
+
+const getChartSvg = (wrapper) => {
+  const svg = wrapper.querySelector('svg');
+  if (!svg) throw new Error('This chart has nothing to export yet.');
+  return svg;
+};
+
+const getSize = (svg) => ({
+  width: Number(svg.getAttribute('width')) || svg.clientWidth,
+  height: Number(svg.getAttribute('height')) || svg.clientHeight
+});
+
+const cloneWithInlineStyles = (svg) => {
+  const clone = svg.cloneNode(true);
+  const sources = [svg, ...svg.querySelectorAll('*')];
+  const targets = [clone, ...clone.querySelectorAll('*')];
+  sources.forEach((source, i) => {
+    const computed = window.getComputedStyle(source);
+    const style = STYLE_PROPERTIES
+      .map(property => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`)
+      .join(';');
+    targets[i].setAttribute('style', style);
+  });
+  clone.querySelectorAll(TRANSIENT_ELEMENTS).forEach(node => node.remove());
+  return clone;
+};
+
+// The chart alone (for the PDF pages, which set the title as text) or with its title and
+// caption above it (for SVG and PNG files): { svg: element, width, height }
+export const buildChartSvg = (wrapper, { title, caption, header = true } = {}) => {
+  const source = getChartSvg(wrapper);
+  const { width, height } = getSize(source);
+  const chart = cloneWithInlineStyles(source);
+
+  // Canvas-rendered scatter points sit under the SVG; embed them as an image in the same place
+  const canvas = wrapper.querySelector('canvas');
+  if (canvas && canvas.width > 0) {
+    const image = document.createElementNS(SVG_NS, 'image');
+    const border = 1;
+    image.setAttribute('x', parseFloat(canvas.style.left) - border);
+    image.setAttribute('y', parseFloat(canvas.style.top) - border);
+    image.setAttribute('width', parseFloat(canvas.style.width));
+    image.setAttribute('height', parseFloat(canvas.style.height));
+    image.setAttributeNS(XLINK_NS, 'xlink:href', canvas.toDataURL('image/png'));
+    chart.insertBefore(image, chart.firstChild);
+  }
+
+  const titleLines = header && title ? wrapText(title, Math.floor(width / (TITLE_SIZE * 0.6))) : [];
+  const captionLines = header && caption ? wrapText(caption, Math.floor(width / (CAPTION_SIZE * 0.55))) : [];
+  const headerHeight = titleLines.length + captionLines.length > 0
+    ? HEADER_PADDING * 1.5
+      + titleLines.length * (TITLE_SIZE + LINE_GAP)
+      + captionLines.length * (CAPTION_SIZE + LINE_GAP)
+    : 0;
+
+  // XMLSerializer adds the namespace declarations
+  const root = document.createElementNS(SVG_NS, 'svg');
+  root.setAttribute('width', width);
+  root.setAttribute('height', height + headerHeight);
+  root.setAttribute('viewBox', `0 0 ${width} ${height + headerHeight}`);
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', 'white');
+  root.appendChild(background);
+
+  let y = HEADER_PADDING;
+  const addLine = (text, size, attributes) => {
+    y += size;
+    const element = document.createElementNS(SVG_NS, 'text');
+    element.setAttribute('x', HEADER_PADDING);
+    element.setAttribute('y', y);
+    element.setAttribute('font-family', 'Helvetica, Arial, sans-serif');
+    element.setAttribute('font-size', size);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    element.textContent = text;
+    root.appendChild(element);
+    y += LINE_GAP;
+  };
+  titleLines.forEach(line => addLine(line, TITLE_SIZE, { 'font-weight': 'bold', fill: '#333' }));
+  captionLines.forEach(line => addLine(line, CAPTION_SIZE, { fill: '#555' }));
+
+  chart.setAttribute('x', 0);
+  chart.setAttribute('y', headerHeight);
+  root.appendChild(chart);
+
+  return { svg: root, width, height: height + headerHeight };
+};
+
+export const serializeSvg = (svg) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+
+// Rasterize an SVG document onto a white canvas at `scale` device pixels per CSS pixel
+export const renderToCanvas = ({ svg, width, height }, scale = 1) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    resolve(canvas);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The chart could not be drawn as an image.'));
+  };
+  image.src = url;
+});
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be created.'))), type, quality);
+});
+
+const canvasToJpeg = (canvas) => {
+  const base64 = canvas.toDataURL('image/jpeg', 0.92).split(',')[1];
+  const binary = atob(base64);
+  return { data: Uint8Array.from(binary, char => char.charCodeAt(0)), pixelWidth: canvas.width, pixelHeight: canvas.height };
+};
+
+const PAGE_MARGIN = 40;
+const PDF_SCALE = 2;
+// Chart page header: title and caption sizes, and the space between the header parts and the chart
+const PAGE_TITLE_SIZE = 16;
+const PAGE_CAPTION_SIZE = 10;
+const PAGE_SECTION_GAP = 8;
+
+const textItems = (lines, x, startY, size, options = {}) =>
+  lines.map((text, i) => ({ type: 'text', text, x, y: startY + i * (size + LINE_GAP), size, ...options }));
+
+// An A4 landscape page with the chart title, the caption and the chart scaled to fit below them
+const buildChartPage = async (wrapper, { title, caption }) => {
+  const { width: pageWidth, height: pageHeight } = A4_LANDSCAPE;
+  const contentWidth = pageWidth - 2 * PAGE_MARGIN;
+  const titleLines = wrapText(title, Math.floor(contentWidth / (PAGE_TITLE_SIZE * 0.55)));
+  const captionLines = caption ? wrapText(caption, Math.floor(contentWidth / (PAGE_CAPTION_SIZE * 0.5))) : [];
+  const titleHeight = titleLines.length * (PAGE_TITLE_SIZE + LINE_GAP);
+  const captionHeight = captionLines.length * (PAGE_CAPTION_SIZE + LINE_GAP);
+
+  const items = [
+    ...textItems(titleLines, PAGE_MARGIN, PAGE_MARGIN + PAGE_TITLE_SIZE, PAGE_TITLE_SIZE, { bold: true }),
+    ...textItems(captionLines, PAGE_MARGIN, PAGE_MARGIN + PAGE_TITLE_SIZE + titleHeight + PAGE_SECTION_GAP, PAGE_CAPTION_SIZE, { color: [85, 85, 85] })
+  ];
+  const top = PAGE_MARGIN + titleHeight + captionHeight + PAGE_TITLE_SIZE + PAGE_SECTION_GAP;
+
+  const chart = buildChartSvg(wrapper, { header: false });
+  const image = canvasToJpeg(await renderToCanvas(chart, PDF_SCALE));
+  const fit = Math.min(contentWidth / chart.width, (pageHeight - top - PAGE_MARGIN) / chart.height);
+  const width = chart.width * fit;
+  const height = chart.height * fit;
+  items.push({ type: 'image', ...image, x: (pageWidth - width) / 2, y: top, width, height });
+
+  return { ...A4_LANDSCAPE, items };
+};
+
+const toFileName = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+
+// Build one chart as a file: { blob, fileName }
+export const exportChart = async (wrapper, format, { caption, scale = 2 }) => {
+  const title = getChartTitle(wrapper);
+  const name = toFileName(title);
+
+  if (format === 'svg') {
+    const chart = buildChartSvg(wrapper, { title, caption });
+    return { blob: new Blob([serializeSvg(chart.svg)], { type: 'image/svg+xml' }), fileName: `${name}.svg` };
+  }
+  if (format === 'png') {
+    const canvas = await renderToCanvas(buildChartSvg(wrapper, { title, caption }), scale);
+    return { blob: await canvasToBlob(canvas), fileName: `${name}@${scale}x.png` };
+  }
+  const page = await buildChartPage(wrapper, { title, caption });
+  return { blob: new Blob([createPdf([page], { title })], { type: 'application/pdf' }), fileName: `${name}.pdf` };
+};
+
+// Multi-page report: a cover page with the data source and filters, then one page per chart
+export const exportChartsReport = async (wrappers, { caption, sourceName, date = new Date() }) => {
+  const title = 'Real Estate Market Intelligence Dashboard';
+  const contentWidth = A4_LANDSCAPE.width - 2 * PAGE_MARGIN;
+  const coverLines = [
+    `Data source: ${sourceName}`,
+    `Generated: ${date.toLocaleString()}`,
+    ...wrapText(caption, Math.floor(contentWidth / (12 * 0.5)))
+  ];
+  const cover = {
+    ...A4_LANDSCAPE,
+    items: [
+      { type: 'text', text: title, x: PAGE_MARGIN, y: 180, size: 26, bold: true },
+      { type: 'text', text: 'Chart report', x: PAGE_MARGIN, y: 215, size: 16, color: [102, 126, 234] },
+      ...textItems(coverLines, PAGE_MARGIN, 260, 12, { color: [85, 85, 85] })
+    ]
+  };
+
+  const pages = [cover];
+  for (const wrapper of wrappers) {
+    pages.push(await buildChartPage(wrapper, { title: getChartTitle(wrapper), caption }));
+  }
+  return {
+    blob: new Blob([createPdf(pages, { title })], { type: 'application/pdf' }),
+    fileName: `dashboard-report-${date.toISOString().slice(0, 10)}.pdf`
+  };
+};
@@ -0,0 +1,122 @@
+import { wrapText, getChartCaption, buildChartSvg, serializeSvg, exportChart, exportChartsReport } from './chartExport';
+import { createEmptyFilters, toggleFilterValue } from './filters';
+
+test('wraps text at spaces and keeps long words whole', () => {
+  expect(wrapText('Price per square foot by bedroom count', 16)).toEqual(['Price per square', 'foot by bedroom', 'count']);
+  expect(wrapText('Supercalifragilistic word', 10)).toEqual(['Supercalifragilistic', 'word']);
+  expect(wrapText('', 10)).toEqual([]);
+});
+
+test('describes the counts, filters and selection behind the charts', () => {
+  expect(getChartCaption({ filters: createEmptyFilters(), filteredCount: 545, totalCount: 545 }))
+    .toBe('545 of 545 properties. No filters applied.');
+
+  const filters = toggleFilterValue(toggleFilterValue(createEmptyFilters(), 'price', 'luxury'), 'amenities', 'ac');
+  expect(getChartCaption({ filters, filteredCount: 20, totalCount: 545, selectedCount: 4 }))
+    .toBe('20 of 545 properties. Filters: Market Segment: Luxury ($8M+); Premium Amenities: With Air Conditioning. Scatter plot selection: 4 properties.');
+});
+
+// A chart wrapper as App renders it: title, chart <svg> with hover leftovers, and a points canvas
+const createWrapper = (title) => {
+  const wrapper = document.createElement('div');
+  wrapper.setAttribute('data-chart', 'scatter');
+  wrapper.innerHTML = `
+    <h3>${title}</h3>
+    <canvas style="left: 71px; top: 21px; width: 160px; height: 60px"></canvas>
+    <svg width="200" height="100">
+      <rect class="bar" width="50" height="40" style="fill: red; stroke-width: 2px"></rect>
+      <g class="tooltip"><text>Price: $4M</text></g>
+      <circle class="hover-point" r="6"></circle>
+      <text>Area</text>
+    </svg>`;
+  wrapper.querySelector('canvas').toDataURL = () => 'data:image/png;base64,cG9pbnRz';
+  document.body.appendChild(wrapper);
+  return wrapper;
+};
+
+afterEach(() => { document.body.innerHTML = ''; });
+
+test('builds a standalone SVG with inlined styles, a header and the canvas points', () => {
+  const { svg, width, height } = buildChartSvg(createWrapper('Price vs Area'), { title: 'Price vs Area', caption: 'No filters applied.' });
+
+  // One title and one caption line: 1.5 × 16 padding + (18 + 4) + (12 + 4)
+  expect(width).toBe(200);
+  expect(height).toBe(162);
+  expect(svg.getAttribute('viewBox')).toBe('0 0 200 162');
+  const children = [...svg.children];
+  expect(children.filter(node => node.tagName === 'text').map(node => node.textContent)).toEqual(['Price vs Area', 'No filters applied.']);
+
+  const chart = children.find(node => node.tagName === 'svg');
+  expect(chart.getAttribute('y')).toBe('62');
+  expect(chart.querySelector('rect.bar').getAttribute('style')).toContain('fill:red');
+  expect(chart.querySelector('rect.bar').getAttribute('style')).toContain('stroke-width:2px');
+  expect(chart.querySelector('.tooltip')).toBeNull();
+  expect(chart.querySelector('.hover-point')).toBeNull();
+
+  // The canvas is embedded first, under the SVG marks, less the plot border
+  const image = chart.firstChild;
+  expect(image.tagName).toBe('image');
+  expect(image.getAttribute('x')).toBe('70');
+  expect(image.getAttribute('y')).toBe('20');
+  expect(image.getAttribute('width')).toBe('160');
+  expect(image.getAttributeNS('http://www.w3.org/1999/xlink', 'href')).toBe('data:image/png;base64,cG9pbnRz');
+
+  const markup = serializeSvg(svg);
+  expect(markup.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+
+  expect(buildChartSvg(createWrapper('Price vs Area'), { header: false }).height).toBe(100);
+  expect(() => buildChartSvg(document.createElement('div'))).toThrow('This chart has nothing to export yet.');
+});
+
+const readBlob = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+test('exports single charts and the multi-page report', async () => {
+  const originalImage = window.Image;
+  const originalUrl = { create: URL.createObjectURL, revoke: URL.revokeObjectURL };
+  const canvasMethods = ['getContext', 'toBlob', 'toDataURL'].map(name => [name, HTMLCanvasElement.prototype[name]]);
+  // jsdom doesn't load images or draw on canvases: stand in for both
+  window.Image = class {
+    set src(url) { setTimeout(() => this.onload(), 0); }
+  };
+  URL.createObjectURL = () => 'blob:chart';
+  URL.revokeObjectURL = () => {};
+  HTMLCanvasElement.prototype.getContext = () => ({ scale() {}, fillRect() {}, drawImage() {} });
+  HTMLCanvasElement.prototype.toBlob = function toBlob(callback) { callback(new Blob(['png'], { type: 'image/png' })); };
+  HTMLCanvasElement.prototype.toDataURL = () => `data:image/jpeg;base64,${btoa('jpeg')}`;
+
+  try {
+    const wrapper = createWrapper('Price vs Area');
+    const svgFile = await exportChart(wrapper, 'svg', { caption: 'No filters applied.' });
+    expect(svgFile.fileName).toBe('price-vs-area.svg');
+    expect(svgFile.blob.type).toBe('image/svg+xml');
+    expect(await readBlob(svgFile.blob)).toContain('No filters applied.');
+
+    const pngFile = await exportChart(wrapper, 'png', { caption: 'No filters applied.', scale: 3 });
+    expect(pngFile.fileName).toBe('price-vs-area@3x.png');
+    expect(pngFile.blob.type).toBe('image/png');
+
+    const pdfFile = await exportChart(wrapper, 'pdf', { caption: 'No filters applied.' });
+    expect(pdfFile.fileName).toBe('price-vs-area.pdf');
+    const pdf = await readBlob(pdfFile.blob);
+    expect(pdf).toContain('/Count 1');
+    expect(pdf).toContain('(Price vs Area) Tj');
+
+    const report = await exportChartsReport([wrapper, createWrapper('Price Distribution')], {
+      caption: 'No filters applied.', sourceName: 'Test data', date: new Date('2024-03-05T12:00:00Z')
+    });
+    expect(report.fileName).toBe('dashboard-report-2024-03-05.pdf');
+    const reportPdf = await readBlob(report.blob);
+    expect(reportPdf).toContain('/Count 3');
+    expect(reportPdf).toContain('(Data source: Test data) Tj');
+    expect(reportPdf).toContain('(Price Distribution) Tj');
+  } finally {
+    window.Image = originalImage;
+    URL.createObjectURL = originalUrl.create;
+    URL.revokeObjectURL = originalUrl.revoke;
+    canvasMethods.forEach(([name, method]) => { HTMLCanvasElement.prototype[name] = method; });
+  }
+});
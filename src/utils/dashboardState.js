@@ -0,0 +1,143 @@
+import { FILTER_GROUPS } from '../constants/filters';
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { CHART_VIEWS, CHART_SETTING_OPTIONS, DEFAULT_CHART_SETTINGS } from '../constants/chartViews';
+import { createEmptyFilters, MARK_FILTERS } from './filters';
+
+// The complete, serializable dashboard state: selected view, filters, every chart's controls and
+// whether the printable report is open
+export const createDefaultDashboardState = () => ({
+  selectedChart: 'all',
+  report: false,
+  filters: createEmptyFilters(),
+  chartSettings: JSON.parse(JSON.stringify(DEFAULT_CHART_SETTINGS))
+});
+
+const isValidSetting = (allowed, value) =>
+  Array.isArray(allowed)
+    ? allowed.includes(value)
+    : Number.isInteger(value) && value >= allowed.min && value <= allowed.max;
+
+// Clicked chart marks are written as `setting:item,item`; numeric tuples are joined with `~`
+const serializeMarkItem = (item) =>
+  Array.isArray(item) ? item.map(Number).join('~') : encodeURIComponent(item);
+
+const parseMarkItem = (chart, raw) => {
+  if (chart === 'donut') return raw;
+  const values = raw.split('~').map(Number);
+  if (!values.every(Number.isFinite)) return null;
+  if (chart === 'histogram' && values.length === 3) return [values[0], values[1], values[2] === 1];
+  if (chart === 'heatmap' && values.length === 2) return values;
+  return null;
+};
+
+// Only parameters that differ from the defaults are written, so a fresh dashboard has an empty hash:
+// chart=scatter&report=1&bedrooms=small,medium&range.area=3000~6000&mark.donut=location:Preferred%20Area&scatter.colorBy=stories
+export const serializeDashboardState = (state) => {
+  const params = [];
+  const add = (key, value) => params.push(`${key}=${value}`);
+
+  if (state.selectedChart !== 'all') add('chart', encodeURIComponent(state.selectedChart));
+  if (state.report) add('report', 1);
+
+  FILTER_GROUPS.forEach(group => {
+    const values = state.filters[group.key] || [];
+    if (values.length > 0) add(group.key, values.map(encodeURIComponent).join(','));
+  });
+
+  Object.entries(state.filters.ranges || {}).forEach(([key, range]) => {
+    if (range) add(`range.${key}`, `${range[0]}~${range[1]}`);
+  });
+
+  Object.entries(state.filters.marks || {}).forEach(([chart, mark]) => {
+    if (mark && mark.items.length > 0) {
+      add(`mark.${chart}`, `${encodeURIComponent(mark.setting)}:${mark.items.map(serializeMarkItem).join(',')}`);
+    }
+  });
+
+  Object.entries(state.chartSettings).forEach(([chart, settings]) => {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (DEFAULT_CHART_SETTINGS[chart] && value !== DEFAULT_CHART_SETTINGS[chart][key]) {
+        add(`${chart}.${key}`, encodeURIComponent(value));
+      }
+    });
+  });
+
+  return params.join('&');
+};
+
+// Malformed escapes (e.g. in a hand-edited link) decode to null instead of throwing
+const decode = (text) => {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query parameters as a Map of key to value, with the values still percent-encoded so lists are
+// split on `,` before decoding and a comma inside a value stays part of it. The first of repeated
+// keys wins, as with URLSearchParams.get.
+const readParams = (query) => {
+  const params = new Map();
+  query.replace(/^[#?]/, '').split('&').forEach(pair => {
+    if (!pair) return;
+    const separator = pair.indexOf('=');
+    const key = decode(separator < 0 ? pair : pair.slice(0, separator));
+    if (key !== null && !params.has(key)) params.set(key, separator < 0 ? '' : pair.slice(separator + 1));
+  });
+  return params;
+};
+
+const decodeList = (raw) => raw.split(',').map(decode);
+
+// Unknown keys and invalid values are ignored so an edited or outdated link still opens
+export const parseDashboardState = (query) => {
+  const state = createDefaultDashboardState();
+  const params = readParams(query);
+
+  const chart = decode(params.get('chart') || '');
+  if (CHART_VIEWS.some(view => view.key === chart)) state.selectedChart = chart;
+  state.report = params.get('report') === '1';
+
+  FILTER_GROUPS.forEach(group => {
+    const raw = params.get(group.key);
+    if (!raw) return;
+    state.filters[group.key] = decodeList(raw)
+      .filter(value => group.options.some(option => option.value === value));
+  });
+
+  params.forEach((encoded, key) => {
+    const [prefix, name] = key.split('.');
+
+    if (prefix === 'mark' && MARK_FILTERS[name]) {
+      // The setting is encoded, so the first `:` in the encoded value ends it
+      const separator = encoded.indexOf(':');
+      const setting = decode(encoded.slice(0, separator));
+      const settingOptions = CHART_SETTING_OPTIONS[name][MARK_FILTERS[name].settingKey];
+      if (separator < 0 || !isValidSetting(settingOptions, setting)) return;
+      const items = decodeList(encoded.slice(separator + 1))
+        .map(item => (item === null ? null : parseMarkItem(name, item)))
+        .filter(item => item !== null);
+      if (items.length > 0) state.filters.marks[name] = { setting, items };
+      return;
+    }
+
+    const raw = decode(encoded);
+    if (raw === null) return;
+
+    if (prefix === 'range' && NUMERIC_FIELDS[name]) {
+      const range = raw.split('~').map(Number);
+      if (range.length === 2 && range.every(Number.isFinite) && range[0] <= range[1]) {
+        state.filters.ranges[name] = range;
+      }
+      return;
+    }
+
+    const allowed = CHART_SETTING_OPTIONS[prefix] && CHART_SETTING_OPTIONS[prefix][name];
+    if (!allowed) return;
+    const value = Array.isArray(allowed) ? raw : Number(raw);
+    if (isValidSetting(allowed, value)) state.chartSettings[prefix][name] = value;
+  });
+
+  return state;
+};
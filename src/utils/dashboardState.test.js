@@ -0,0 +1,72 @@
+import { createDefaultDashboardState, serializeDashboardState, parseDashboardState } from './dashboardState';
+
+test('a default dashboard serializes to an empty hash', () => {
+  expect(serializeDashboardState(createDefaultDashboardState())).toBe('');
+});
+
+test('round-trips view, filters, ranges and chart controls', () => {
+  const state = createDefaultDashboardState();
+  state.selectedChart = 'heatmap';
+  state.filters.bedrooms = ['small', 'large'];
+  state.filters.amenities = ['ac'];
+  state.filters.ranges.area = [3000, 6000];
+  state.chartSettings.scatter.colorBy = 'furnishingstatus';
+  state.chartSettings.histogram.binCount = 20;
+
+  const hash = serializeDashboardState(state);
+  expect(hash).toBe('chart=heatmap&bedrooms=small,large&amenities=ac&range.area=3000~6000&scatter.colorBy=furnishingstatus&histogram.binCount=20');
+  expect(parseDashboardState(`#${hash}`)).toEqual(state);
+});
+
+test('ignores unknown keys and invalid values', () => {
+  const state = parseDashboardState('#chart=nope&bedrooms=small,huge&range.area=9~1&histogram.binCount=0&donut.analysisType=location&foo=bar');
+  const expected = createDefaultDashboardState();
+  expected.filters.bedrooms = ['small'];
+  expected.chartSettings.donut.analysisType = 'location';
+  expect(state).toEqual(expected);
+});
+
+test('round-trips clicked chart marks', () => {
+  const state = createDefaultDashboardState();
+  state.filters.marks = {
+    histogram: { setting: 'area', items: [[1650, 2500.5, false], [9000, 16200, true]] },
+    donut: { setting: 'location', items: ['Preferred Area'] },
+    heatmap: { setting: 'stories', items: [[2, 3]] }
+  };
+
+  const hash = serializeDashboardState(state);
+  expect(hash).toBe('mark.histogram=area:1650~2500.5~0,9000~16200~1&mark.donut=location:Preferred%20Area&mark.heatmap=stories:2~3');
+  expect(parseDashboardState(hash)).toEqual(state);
+});
+
+test('keeps the printable report open across links', () => {
+  const state = createDefaultDashboardState();
+  state.report = true;
+  state.filters.amenities = ['ac'];
+
+  const hash = serializeDashboardState(state);
+  expect(hash).toBe('report=1&amenities=ac');
+  expect(parseDashboardState(hash)).toEqual(state);
+});
+
+test('round-trips the scatter plot axes', () => {
+  const state = createDefaultDashboardState();
+  state.chartSettings.scatter.xVariable = 'bedrooms';
+  state.chartSettings.scatter.yVariable = 'pricePerSqFt';
+
+  const hash = serializeDashboardState(state);
+  expect(hash).toBe('scatter.xVariable=bedrooms&scatter.yVariable=pricePerSqFt');
+  expect(parseDashboardState(hash)).toEqual(state);
+  expect(parseDashboardState('scatter.xVariable=furnishingstatus').chartSettings.scatter.xVariable).toBe('area');
+});
+
+test('keeps commas inside filter values and clicked marks', () => {
+  const state = createDefaultDashboardState();
+  state.filters.marks = { donut: { setting: 'location', items: ['Preferred, Main Road', 'Other'] } };
+
+  const hash = serializeDashboardState(state);
+  expect(hash).toBe('mark.donut=location:Preferred%2C%20Main%20Road,Other');
+  expect(parseDashboardState(hash)).toEqual(state);
+  expect(parseDashboardState('bedrooms=small%2Clarge,medium').filters.bedrooms).toEqual(['medium']);
+  expect(parseDashboardState('mark.donut=location:Main%20Road,%E0%A4&chart=%ZZ').filters.marks.donut.items).toEqual(['Main Road']);
+});
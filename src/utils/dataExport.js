@@ -0,0 +1,96 @@
+import { DATASET_FIELDS } from '../constants/schema';
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { describeFilters } from './filters';
+import { createWorkbook } from './xlsx';
+
+// Exported columns: the 13 dataset fields, so exports load back into the dashboard, plus price per sq ft
+export const EXPORT_COLUMNS = [
+  ...DATASET_FIELDS.map(field => ({ key: field.key, type: field.type, value: d => d[field.key] })),
+  { key: 'pricePerSqFt', type: 'number', value: d => NUMERIC_FIELDS.pricePerSqFt.accessor(d) }
+];
+
+const roundValue = (column, value) =>
+  column.key === 'pricePerSqFt' && Number.isFinite(value) ? Math.round(value * 100) / 100 : value;
+
+// Description of what an export contains, written as the header of every format:
+// { title, source, exportedAt, totalCount, rowCount, filters: ['Market Segment: Luxury ($8M+)'], selection }
+export const buildExportMetadata = ({ sourceName, filters, totalCount, rowCount, selection, exportedAt = new Date() }) => ({
+  title: 'Real Estate Dashboard export',
+  source: sourceName,
+  exportedAt: exportedAt.toISOString(),
+  totalCount,
+  rowCount,
+  filters: describeFilters(filters).map(entry => `${entry.label}: ${entry.values.map(v => v.label).join(' or ')}`),
+  selection: selection || null
+});
+
+const describeMetadata = (metadata) => [
+  ['Export', metadata.title],
+  ['Source', metadata.source],
+  ['Exported at', metadata.exportedAt],
+  ['Properties', `${metadata.rowCount} of ${metadata.totalCount}`],
+  ...(metadata.filters.length > 0
+    ? metadata.filters.map(filter => ['Filter', filter])
+    : [['Filter', 'None (all properties)']]),
+  ...(metadata.selection ? [['Selection', metadata.selection]] : [])
+];
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvValue = (column, d) => {
+  const value = roundValue(column, column.value(d));
+  if (column.type === 'boolean') return typeof value === 'boolean' ? (value ? 'yes' : 'no') : '';
+  if (column.type === 'number') return Number.isFinite(value) ? value : '';
+  return value;
+};
+
+// CSV with the metadata as leading `#` comment lines, which the dataset loader skips
+export const toCsv = (rows, metadata) => {
+  const comments = describeMetadata(metadata).map(([label, value]) => `# ${label}: ${value}`);
+  const header = EXPORT_COLUMNS.map(column => column.key).join(',');
+  const lines = rows.map(d => EXPORT_COLUMNS.map(column => escapeCsv(csvValue(column, d))).join(','));
+  return `${[...comments, header, ...lines].join('\r\n')}\r\n`;
+};
+
+// JSON in the { data: [...] } shape the dataset loader accepts, with the metadata alongside
+export const toJson = (rows, metadata) => JSON.stringify({
+  metadata,
+  data: rows.map(d => EXPORT_COLUMNS.reduce((record, column) => {
+    const value = roundValue(column, column.value(d));
+    return { ...record, [column.key]: column.type === 'number' && !Number.isFinite(value) ? null : value };
+  }, {}))
+}, null, 2);
+
+// Workbook with the properties on the first sheet and the metadata on a second one
+export const toXlsx = (rows, metadata) => createWorkbook([
+  {
+    name: 'Properties',
+    rows: [
+      EXPORT_COLUMNS.map(column => column.key),
+      ...rows.map(d => EXPORT_COLUMNS.map(column => csvValue(column, d)))
+    ]
+  },
+  {
+    name: 'Export Info',
+    rows: [['Field', 'Value'], ...describeMetadata(metadata)]
+  }
+], new Date(metadata.exportedAt));
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8', build: toCsv },
+  { key: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json', build: toJson },
+  {
+    key: 'xlsx',
+    label: 'Excel (.xlsx)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    build: toXlsx
+  }
+];
+
+// e.g. real-estate-properties-2024-05-01.csv
+export const getExportFileName = (format, metadata) =>
+  `real-estate-properties-${metadata.exportedAt.slice(0, 10)}.${format.extension}`;
@@ -0,0 +1,80 @@
+import { TextEncoder } from 'util';
+import { buildExportMetadata, toCsv, toJson, toXlsx, getExportFileName, EXPORT_FORMATS } from './dataExport';
+import { createEmptyFilters, toggleFilterValue, setFilterRange } from './filters';
+import { parseDataset } from './datasetParser';
+
+global.TextEncoder = TextEncoder;
+
+const rows = [
+  {
+    id: 4, price: 4550000, area: 3000, bedrooms: 3, bathrooms: 1, stories: 2,
+    mainroad: true, guestroom: false, basement: true, hotwaterheating: false, airconditioning: true,
+    parking: 1, prefarea: false, furnishingstatus: 'semi-furnished'
+  },
+  {
+    id: 9, price: 3150000, area: 0, bedrooms: 2, bathrooms: 1, stories: 1,
+    mainroad: false, guestroom: false, basement: false, hotwaterheating: false, airconditioning: false,
+    parking: 0, prefarea: true, furnishingstatus: 'unfurnished'
+  }
+];
+
+const filters = setFilterRange(toggleFilterValue(createEmptyFilters(), 'bedrooms', 'medium'), 'price', [3000000, 5000000]);
+const metadata = buildExportMetadata({
+  sourceName: 'Homes, "March"',
+  filters,
+  totalCount: 545,
+  rowCount: 2,
+  selection: '2 properties selected on the scatter plot',
+  exportedAt: new Date('2024-05-01T12:00:00Z')
+});
+
+test('describes the source, counts, filters and selection', () => {
+  expect(metadata).toEqual({
+    title: 'Real Estate Dashboard export',
+    source: 'Homes, "March"',
+    exportedAt: '2024-05-01T12:00:00.000Z',
+    totalCount: 545,
+    rowCount: 2,
+    filters: ['Property Size: Family (3 bedrooms)', 'Price: $3.0M - $5.0M'],
+    selection: '2 properties selected on the scatter plot'
+  });
+  expect(getExportFileName(EXPORT_FORMATS[2], metadata)).toBe('real-estate-properties-2024-05-01.xlsx');
+});
+
+test('writes CSV with a metadata block that loads back into the dashboard', () => {
+  const csv = toCsv(rows, metadata);
+  const lines = csv.split('\r\n');
+  expect(lines.slice(0, 8)).toEqual([
+    '# Export: Real Estate Dashboard export',
+    '# Source: Homes, "March"',
+    '# Exported at: 2024-05-01T12:00:00.000Z',
+    '# Properties: 2 of 545',
+    '# Filter: Property Size: Family (3 bedrooms)',
+    '# Filter: Price: $3.0M - $5.0M',
+    '# Selection: 2 properties selected on the scatter plot',
+    'price,area,bedrooms,bathrooms,stories,mainroad,guestroom,basement,hotwaterheating,airconditioning,parking,prefarea,furnishingstatus,pricePerSqFt'
+  ]);
+  expect(lines[8]).toBe('4550000,3000,3,1,2,yes,no,yes,no,yes,1,no,semi-furnished,1516.67');
+  expect(lines[9]).toBe('3150000,0,2,1,1,no,no,no,no,no,0,yes,unfurnished,');
+
+  const { rows: reloaded, errors } = parseDataset(csv, 'export.csv');
+  expect(errors).toEqual([]);
+  expect(reloaded).toEqual(rows.map(({ id, ...record }) => record));
+});
+
+test('writes JSON records with the metadata alongside', () => {
+  const parsed = JSON.parse(toJson(rows, metadata));
+  expect(parsed.metadata).toEqual(metadata);
+  expect(parsed.data[0].pricePerSqFt).toBe(1516.67);
+  expect(parsed.data[1].pricePerSqFt).toBeNull();
+  expect(parseDataset(toJson(rows, metadata), 'export.json').rows).toEqual(rows.map(({ id, ...record }) => record));
+});
+
+test('writes an XLSX package', () => {
+  const bytes = toXlsx(rows, metadata);
+  expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4B, 0x03, 0x04]);
+  const text = Buffer.from(bytes).toString('utf8');
+  expect(text).toContain('<v>4550000</v>');
+  expect(text).toContain('<sheet name="Export Info" sheetId="2" r:id="rId2"/>');
+  expect(text).toContain('Property Size: Family (3 bedrooms)');
+});
@@ -0,0 +1,130 @@
+import { DATASET_FIELDS } from '../constants/schema';
+import { NUMERIC_FIELDS, getFieldValue } from '../constants/fields';
+
+// Kinds of problems the data-quality check reports. Rows with missing or invalid values
+// would break the charts (e.g. a zero area gives an infinite price per sq ft), so they are
+// excluded by default; duplicates and outliers are real records and stay in by default.
+export const QUALITY_ISSUES = [
+  { key: 'missing', label: 'Missing values', excludeByDefault: true },
+  { key: 'invalid', label: 'Invalid values', excludeByDefault: true },
+  { key: 'duplicate', label: 'Duplicates', excludeByDefault: false },
+  { key: 'outlier', label: 'Outliers', excludeByDefault: false }
+];
+
+// Fields checked for outliers with Tukey's fences (1.5 x IQR beyond the quartiles)
+export const OUTLIER_FIELDS = ['price', 'area', 'pricePerSqFt'];
+const IQR_MULTIPLIER = 1.5;
+
+export const createDefaultExclusions = () =>
+  QUALITY_ISSUES.reduce((exclusions, issue) => ({ ...exclusions, [issue.key]: issue.excludeByDefault }), {});
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === '' || (typeof value === 'number' && Number.isNaN(value));
+
+// Check one value against its schema entry, returning null or { type, message }
+export const validateValue = (field, value) => {
+  if (isMissing(value)) return { type: 'missing', message: `${field.key} is missing` };
+
+  if (field.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { type: 'invalid', message: `${field.key} is not a number (${value})` };
+    }
+    if (field.positive && value <= 0) return { type: 'invalid', message: `${field.key} must be greater than 0 (${value})` };
+    if (field.integer && !Number.isInteger(value)) {
+      return { type: 'invalid', message: `${field.key} must be a whole number (${value})` };
+    }
+    if (value < field.min || value > field.max) {
+      return { type: 'invalid', message: `${field.key} must be between ${field.min} and ${field.max} (${value})` };
+    }
+    return null;
+  }
+
+  if (field.type === 'boolean') {
+    return typeof value === 'boolean' ? null : { type: 'invalid', message: `${field.key} must be yes or no (${value})` };
+  }
+
+  if (typeof value !== 'string') return { type: 'invalid', message: `${field.key} must be text (${value})` };
+  if (field.values && !field.values.includes(value)) {
+    return { type: 'invalid', message: `${field.key} "${value}" is not one of ${field.values.join(', ')}` };
+  }
+  return null;
+};
+
+// Every schema violation in a record
+export const validateRecord = (record) =>
+  DATASET_FIELDS
+    .map(field => validateValue(field, record[field.key]))
+    .filter(Boolean);
+
+// Linear interpolation between closest ranks, matching d3.quantile
+const quantile = (sorted, p) => {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+export const getOutlierFences = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const spread = (q3 - q1) * IQR_MULTIPLIER;
+  return [q1 - spread, q3 + spread];
+};
+
+const getDuplicateKey = (record) => JSON.stringify(DATASET_FIELDS.map(field => record[field.key]));
+
+// Run every check over the prepared dataset (records with ids). Each issue points at a row id:
+// { totalRows, issues: { missing: [{ id, message }], ... }, rowIds: { missing: Set, ... } }
+export const buildQualityReport = (rows) => {
+  const issues = QUALITY_ISSUES.reduce((result, issue) => ({ ...result, [issue.key]: [] }), {});
+  const validRows = [];
+  const firstSeen = new Map();
+
+  rows.forEach(d => {
+    const problems = validateRecord(d);
+    problems.forEach(problem => issues[problem.type].push({ id: d.id, message: problem.message }));
+    if (problems.length === 0) validRows.push(d);
+
+    // Later copies of an identical record are flagged; the first one is treated as the original
+    const key = getDuplicateKey(d);
+    if (firstSeen.has(key)) {
+      issues.duplicate.push({ id: d.id, message: `same values as row ${firstSeen.get(key) + 1}` });
+    } else {
+      firstSeen.set(key, d.id);
+    }
+  });
+
+  // Quartiles come from the valid rows only, so a broken value can't stretch the fences
+  if (validRows.length >= 4) {
+    OUTLIER_FIELDS.forEach(key => {
+      const field = NUMERIC_FIELDS[key];
+      const [low, high] = getOutlierFences(validRows.map(d => getFieldValue(d, key)));
+      validRows.forEach(d => {
+        const value = getFieldValue(d, key);
+        if (value < low || value > high) {
+          issues.outlier.push({
+            id: d.id,
+            message: value < low
+              ? `${field.label} ${field.format(value)} is below the typical minimum of ${field.format(low)}`
+              : `${field.label} ${field.format(value)} is above the typical maximum of ${field.format(high)}`
+          });
+        }
+      });
+    });
+  }
+
+  const rowIds = Object.keys(issues).reduce((result, key) => ({
+    ...result,
+    [key]: new Set(issues[key].map(issue => issue.id))
+  }), {});
+
+  return { totalRows: rows.length, issues, rowIds };
+};
+
+// Drop the rows whose issue types are marked as excluded
+export const applyQualityExclusions = (rows, report, exclusions) => {
+  const excluded = QUALITY_ISSUES.filter(issue => exclusions[issue.key] && report.rowIds[issue.key].size > 0);
+  if (excluded.length === 0) return rows;
+  return rows.filter(d => !excluded.some(issue => report.rowIds[issue.key].has(d.id)));
+};
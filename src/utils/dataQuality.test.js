@@ -0,0 +1,53 @@
+import { DATASET_FIELDS } from '../constants/schema';
+import {
+  validateValue,
+  validateRecord,
+  buildQualityReport,
+  applyQualityExclusions,
+  createDefaultExclusions
+} from './dataQuality';
+
+const field = key => DATASET_FIELDS.find(f => f.key === key);
+
+const house = (overrides = {}) => ({
+  price: 4000000, area: 4000, bedrooms: 3, bathrooms: 1, stories: 2,
+  mainroad: true, guestroom: false, basement: false, hotwaterheating: false, airconditioning: true,
+  parking: 1, prefarea: false, furnishingstatus: 'furnished',
+  ...overrides
+});
+
+test('checks types, ranges and enumerations against the schema', () => {
+  expect(validateValue(field('area'), 0)).toEqual({ type: 'invalid', message: 'area must be greater than 0 (0)' });
+  expect(validateValue(field('bedrooms'), 2.5).type).toBe('invalid');
+  expect(validateValue(field('stories'), 12).type).toBe('invalid');
+  expect(validateValue(field('mainroad'), 'yes').type).toBe('invalid');
+  expect(validateValue(field('furnishingstatus'), 'partly').message).toContain('is not one of furnished');
+  expect(validateValue(field('price'), null)).toEqual({ type: 'missing', message: 'price is missing' });
+  expect(validateValue(field('price'), NaN).type).toBe('missing');
+  expect(validateRecord(house())).toEqual([]);
+});
+
+test('reports missing, invalid, duplicate and outlier rows by id', () => {
+  const rows = [
+    ...[3000, 3500, 4000, 4500, 5000, 5500].map((area, i) => house({ id: i, area, price: area * 1000 })),
+    house({ id: 6, area: 0 }),
+    house({ id: 7, price: undefined }),
+    house({ id: 8, area: 3000, price: 3000000 }),
+    house({ id: 9, area: 30000, price: 30000000 })
+  ];
+  const report = buildQualityReport(rows);
+
+  expect(report.issues.invalid).toEqual([{ id: 6, message: 'area must be greater than 0 (0)' }]);
+  expect([...report.rowIds.missing]).toEqual([7]);
+  expect(report.issues.duplicate).toEqual([{ id: 8, message: 'same values as row 1' }]);
+  expect([...report.rowIds.outlier]).toEqual([9]);
+});
+
+test('excludes missing and invalid rows by default and keeps the rest', () => {
+  const rows = [house({ id: 0 }), house({ id: 1, furnishingstatus: 'partly' }), house({ id: 2 })];
+  const report = buildQualityReport(rows);
+
+  expect(applyQualityExclusions(rows, report, createDefaultExclusions()).map(d => d.id)).toEqual([0, 2]);
+  expect(applyQualityExclusions(rows, report, { ...createDefaultExclusions(), invalid: false })).toBe(rows);
+  expect(applyQualityExclusions(rows, report, { ...createDefaultExclusions(), duplicate: true }).map(d => d.id)).toEqual([0]);
+});
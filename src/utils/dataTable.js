@@ -0,0 +1,119 @@
+import { DATASET_FIELDS } from '../constants/schema';
+import { NUMERIC_FIELDS } from '../constants/fields';
+
+const COLUMN_LABELS = {
+  price: 'Price',
+  area: 'Area (sq ft)',
+  bedrooms: 'Bedrooms',
+  bathrooms: 'Bathrooms',
+  stories: 'Stories',
+  mainroad: 'Main Road',
+  guestroom: 'Guest Room',
+  basement: 'Basement',
+  hotwaterheating: 'Hot Water',
+  airconditioning: 'AC',
+  parking: 'Parking',
+  prefarea: 'Preferred Area',
+  furnishingstatus: 'Furnishing'
+};
+
+const formatNumber = value => (Number.isFinite(value) ? value.toLocaleString() : '-');
+const formatCurrency = value => (Number.isFinite(value) ? `$${Math.round(value).toLocaleString()}` : '-');
+
+// Columns of the data table: every dataset field plus the derived price per sq ft
+export const TABLE_COLUMNS = [
+  ...DATASET_FIELDS.map(field => ({
+    key: field.key,
+    label: COLUMN_LABELS[field.key],
+    type: field.type,
+    value: d => d[field.key],
+    format: field.key === 'price' ? formatCurrency
+      : field.type === 'number' ? formatNumber
+        : field.type === 'boolean' ? value => (typeof value === 'boolean' ? (value ? 'Yes' : 'No') : '-')
+          : value => value || '-'
+  })),
+  {
+    key: 'pricePerSqFt',
+    label: NUMERIC_FIELDS.pricePerSqFt.label,
+    type: 'number',
+    value: NUMERIC_FIELDS.pricePerSqFt.accessor,
+    format: formatCurrency
+  }
+];
+
+const NUMBER_QUERY = /^(<=|>=|<|>|=)?\s*(-?\d+(?:\.\d+)?)$/;
+const RANGE_QUERY = /^(-?\d+(?:\.\d+)?)\s*(?:-|\.\.)\s*(-?\d+(?:\.\d+)?)$/;
+
+// Test for one column's search box. Numeric columns accept `3`, `>=4000000`, `<5000` or a range
+// like `2-4`; other text is looked up in the displayed value (`-` finds missing values). Yes/no and
+// category columns match the start of the value, so `furnished` doesn't find unfurnished.
+export const createColumnMatcher = (column, query) => {
+  const text = query.trim().toLowerCase().replace(/[$,]/g, '');
+  if (!text) return null;
+
+  if (column.type === 'number') {
+    const range = text.match(RANGE_QUERY);
+    if (range) {
+      const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      return d => column.value(d) >= min && column.value(d) <= max;
+    }
+    const comparison = text.match(NUMBER_QUERY);
+    if (comparison) {
+      const target = Number(comparison[2]);
+      switch (comparison[1]) {
+        case '<': return d => column.value(d) < target;
+        case '<=': return d => column.value(d) <= target;
+        case '>': return d => column.value(d) > target;
+        case '>=': return d => column.value(d) >= target;
+        default: return d => column.value(d) === target;
+      }
+    }
+  }
+
+  const displayed = d => String(column.format(column.value(d))).toLowerCase().replace(/[$,]/g, '');
+  return column.type === 'number'
+    ? d => displayed(d).includes(text)
+    : d => displayed(d).startsWith(text);
+};
+
+// Keep rows matching every non-empty column search: { price: '>5000000', furnishingstatus: 'semi' }
+export const searchRows = (rows, searches) => {
+  const matchers = TABLE_COLUMNS
+    .map(column => createColumnMatcher(column, searches[column.key] || ''))
+    .filter(Boolean);
+  return matchers.length > 0 ? rows.filter(d => matchers.every(matches => matches(d))) : rows;
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'string') return a.localeCompare(b);
+  return Number(a) - Number(b);
+};
+
+// Sort by one column; values that aren't finite numbers (e.g. price per sq ft of a zero area)
+// always go last, and ties keep the dataset order
+export const sortRows = (rows, { key, direction }) => {
+  const column = TABLE_COLUMNS.find(c => c.key === key);
+  if (!column) return rows;
+  const sign = direction === 'desc' ? -1 : 1;
+  const isMissing = value => column.type === 'number' && !Number.isFinite(value);
+
+  return [...rows].sort((a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    if (isMissing(valueA) || isMissing(valueB)) {
+      return isMissing(valueA) - isMissing(valueB) || a.id - b.id;
+    }
+    return sign * compareValues(valueA, valueB) || a.id - b.id;
+  });
+};
+
+// One page of rows; out-of-range pages are clamped, e.g. after a search shrinks the results
+export const paginate = (rows, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  return {
+    page: current,
+    pageCount,
+    rows: rows.slice(current * pageSize, (current + 1) * pageSize)
+  };
+};
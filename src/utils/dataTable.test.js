@@ -0,0 +1,48 @@
+import { TABLE_COLUMNS, createColumnMatcher, searchRows, sortRows, paginate } from './dataTable';
+
+const rows = [
+  { id: 0, price: 4550000, area: 5000, bedrooms: 3, airconditioning: true, furnishingstatus: 'furnished' },
+  { id: 1, price: 1750000, area: 0, bedrooms: 2, airconditioning: false, furnishingstatus: 'semi-furnished' },
+  { id: 2, price: 13300000, area: 7420, bedrooms: 4, airconditioning: true, furnishingstatus: 'unfurnished' },
+  { id: 3, price: 4550000, area: 3500, bedrooms: 3, airconditioning: false, furnishingstatus: 'furnished' }
+];
+
+const column = key => TABLE_COLUMNS.find(c => c.key === key);
+const ids = list => list.map(d => d.id);
+
+test('lists every dataset field plus price per sq ft', () => {
+  expect(TABLE_COLUMNS).toHaveLength(14);
+  expect(TABLE_COLUMNS.every(c => c.label)).toBe(true);
+  expect(column('price').format(4550000)).toBe('$4,550,000');
+  expect(column('pricePerSqFt').format(Infinity)).toBe('-');
+  expect(column('airconditioning').format(true)).toBe('Yes');
+});
+
+test('numeric searches accept exact values, comparisons and ranges', () => {
+  expect(ids(rows.filter(createColumnMatcher(column('price'), '>= $4,550,000')))).toEqual([0, 2, 3]);
+  expect(ids(rows.filter(createColumnMatcher(column('bedrooms'), '2-3')))).toEqual([0, 1, 3]);
+  expect(ids(rows.filter(createColumnMatcher(column('bedrooms'), '4')))).toEqual([2]);
+  expect(ids(rows.filter(createColumnMatcher(column('pricePerSqFt'), '-')))).toEqual([1]);
+  expect(createColumnMatcher(column('price'), '  ')).toBeNull();
+});
+
+test('text searches match the start of the displayed value and combine across columns', () => {
+  expect(ids(searchRows(rows, { furnishingstatus: 'furnished' }))).toEqual([0, 3]);
+  expect(ids(searchRows(rows, { furnishingstatus: 'SEMI' }))).toEqual([1]);
+  expect(ids(searchRows(rows, { airconditioning: 'y', price: '<5000000' }))).toEqual([0]);
+  expect(searchRows(rows, {})).toBe(rows);
+});
+
+test('sorts in both directions with missing values last and stable ties', () => {
+  expect(ids(sortRows(rows, { key: 'price', direction: 'asc' }))).toEqual([1, 0, 3, 2]);
+  expect(ids(sortRows(rows, { key: 'price', direction: 'desc' }))).toEqual([2, 0, 3, 1]);
+  expect(ids(sortRows(rows, { key: 'pricePerSqFt', direction: 'desc' }))).toEqual([2, 3, 0, 1]);
+  expect(ids(sortRows(rows, { key: 'furnishingstatus', direction: 'asc' }))).toEqual([0, 3, 1, 2]);
+  expect(ids(sortRows(rows, { key: 'airconditioning', direction: 'asc' }))).toEqual([1, 3, 0, 2]);
+});
+
+test('clamps the page to the available rows', () => {
+  expect(paginate(rows, 1, 3)).toEqual({ page: 1, pageCount: 2, rows: [rows[3]] });
+  expect(paginate(rows, 5, 3).page).toBe(1);
+  expect(paginate([], 2, 25)).toEqual({ page: 0, pageCount: 1, rows: [] });
+});
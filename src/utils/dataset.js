@@ -0,0 +1,15 @@
+// Give every record a stable id (its row index) so selections and highlights can refer to it
+export const prepareDataset = (rows) => rows.map((d, i) => ({ id: i, ...d }));
+
+// Restrict rows to a set of selected ids; a null selection keeps everything
+export const applySelection = (rows, selectedIds) =>
+  selectedIds ? rows.filter(d => selectedIds.has(d.id)) : rows;
+
+// Expand the compact asset written by scripts/ingest-data.js into one object per property:
+// { fields: ['price', 'area', ...], rows: [[13300000, 7420, ...], ...] }
+export const decodeDataset = (json) => {
+  if (!json || !Array.isArray(json.fields) || !Array.isArray(json.rows)) {
+    throw new Error('The dataset file has an unexpected format.');
+  }
+  return json.rows.map(row => json.fields.reduce((record, field, i) => ({ ...record, [field]: row[i] }), {}));
+};
@@ -0,0 +1,20 @@
+import { decodeDataset, prepareDataset, applySelection } from './dataset';
+
+test('expands the compact dataset asset into records', () => {
+  const records = decodeDataset({
+    fields: ['price', 'area', 'furnishingstatus'],
+    rows: [[13300000, 7420, 'furnished'], [1750000, 3850, 'unfurnished']]
+  });
+  expect(records).toEqual([
+    { price: 13300000, area: 7420, furnishingstatus: 'furnished' },
+    { price: 1750000, area: 3850, furnishingstatus: 'unfurnished' }
+  ]);
+  expect(() => decodeDataset([{ price: 1 }])).toThrow('unexpected format');
+});
+
+test('gives records stable ids for selections', () => {
+  const rows = prepareDataset([{ price: 1 }, { price: 2 }, { price: 3 }]);
+  expect(rows.map(d => d.id)).toEqual([0, 1, 2]);
+  expect(applySelection(rows, new Set([2]))).toEqual([{ id: 2, price: 3 }]);
+  expect(applySelection(rows, null)).toBe(rows);
+});
@@ -0,0 +1,166 @@
+import { DATASET_FIELDS } from '../constants/schema';
+
+// Split CSV text into rows, keeping the line each row starts on so errors can point at it.
+// Handles quoted fields with embedded commas, quotes ("") and line breaks.
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endValue = () => {
+    values.push(value);
+    value = '';
+  };
+  const endRow = () => {
+    endValue();
+    // Skip blank lines
+    if (values.length > 1 || values[0].trim() !== '') rows.push({ line: rowLine, values });
+    values = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endValue();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || values.length > 0) endRow();
+
+  return rows;
+};
+
+const BOOLEAN_VALUES = { yes: true, no: false, true: true, false: false };
+
+// Coerce one raw value to its schema type, returning { value } or { error }
+export const coerceValue = (field, raw) => {
+  if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+    return { error: `missing value for "${field.key}"` };
+  }
+
+  if (field.type === 'number') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    return Number.isFinite(value) ? { value } : { error: `"${field.key}" is not a number (${raw})` };
+  }
+
+  if (field.type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+    const value = BOOLEAN_VALUES[String(raw).trim().toLowerCase()];
+    return value === undefined ? { error: `"${field.key}" must be yes or no (${raw})` } : { value };
+  }
+
+  return { value: String(raw).trim().toLowerCase() };
+};
+
+// Coerce a raw record keyed by column name; every schema field must be present and valid
+export const coerceRecord = (raw) => {
+  const record = {};
+  const errors = [];
+  DATASET_FIELDS.forEach(field => {
+    const result = coerceValue(field, raw[field.key]);
+    if (result.error) errors.push(result.error);
+    else record[field.key] = result.value;
+  });
+  return { record, errors };
+};
+
+// Whether the source already uses the dashboard's column names, so it needs no field mapping
+export const hasCanonicalColumns = (columns) => DATASET_FIELDS.every(field => columns.includes(field.key));
+
+const checkColumns = (columns) => {
+  const missing = DATASET_FIELDS.map(field => field.key).filter(key => !columns.includes(key));
+  if (missing.length > 0) {
+    throw new Error(`Missing required column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}`);
+  }
+};
+
+// Leading `#` lines, such as the metadata block of a dashboard export
+const LEADING_COMMENTS = /^(?:#[^\r\n]*(?:\r\n|\r|\n|$))+/;
+
+// Turn CSV text into raw records keyed by the header row, each tagged with its source location.
+// Rows with the wrong number of values can't be matched to columns and carry an `error` instead.
+export const readCsvRecords = (text) => {
+  // Comments are blanked rather than removed so reported line numbers still match the file
+  const content = text.replace(/^\uFEFF/, '').replace(LEADING_COMMENTS, comments => comments.replace(/[^\r\n]/g, ''));
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) throw new Error('The file is empty.');
+
+  const columns = header.values.map(column => column.trim());
+  return {
+    columns,
+    records: rows.map(row => ({
+      location: `line ${row.line}`,
+      error: row.values.length === columns.length
+        ? undefined
+        : `expected ${columns.length} columns but found ${row.values.length}`,
+      raw: columns.reduce((raw, column, i) => ({ ...raw, [column]: row.values[i] }), {})
+    }))
+  };
+};
+
+// JSON may be an array of records or an object with a `data` array
+export const readJsonRecords = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+  if (!Array.isArray(items)) throw new Error('Expected a JSON array of property records.');
+
+  const columns = [...new Set(items.flatMap(item => (item && typeof item === 'object' ? Object.keys(item) : [])))];
+  return {
+    columns,
+    records: items.map((item, i) => ({
+      location: `record ${i + 1}`,
+      raw: item && typeof item === 'object' ? item : {}
+    }))
+  };
+};
+
+export const readRecords = (text, fileName) =>
+  /\.json$/i.test(fileName) || /^\s*[[{]/.test(text) ? readJsonRecords(text) : readCsvRecords(text);
+
+// Coerce raw records into dashboard rows. Invalid rows are skipped and reported per row
+// instead of reaching the charts: { rows, errors: [{ location, message }], totalRows }
+export const coerceRecords = ({ columns, records }) => {
+  checkColumns(columns);
+
+  const rows = [];
+  const errors = [];
+  records.forEach(({ location, error, raw }) => {
+    if (error) {
+      errors.push({ location, message: error });
+      return;
+    }
+    const { record, errors: recordErrors } = coerceRecord(raw);
+    if (recordErrors.length > 0) errors.push({ location, message: recordErrors.join('; ') });
+    else rows.push(record);
+  });
+
+  return { rows, errors, totalRows: records.length };
+};
+
+export const parseDataset = (text, fileName = '') => coerceRecords(readRecords(text, fileName));
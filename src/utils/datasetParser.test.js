@@ -0,0 +1,59 @@
+import { parseCsvRows, parseDataset } from './datasetParser';
+
+const HEADER = 'price,area,bedrooms,bathrooms,stories,mainroad,guestroom,basement,hotwaterheating,airconditioning,parking,prefarea,furnishingstatus';
+
+test('splits quoted CSV fields and tracks the line each row starts on', () => {
+  const rows = parseCsvRows('a,b\n"x, y","multi\nline"\n\n"say ""hi""",2\r\n');
+  expect(rows).toEqual([
+    { line: 1, values: ['a', 'b'] },
+    { line: 2, values: ['x, y', 'multi\nline'] },
+    { line: 5, values: ['say "hi"', '2'] }
+  ]);
+});
+
+test('coerces yes/no strings and numbers like the bundled dataset', () => {
+  const { rows, errors } = parseDataset(`${HEADER}\n13300000,7420,4,2,3,yes,no,no,no,yes,2,yes,Furnished\n`, 'homes.csv');
+  expect(errors).toEqual([]);
+  expect(rows).toEqual([{
+    price: 13300000, area: 7420, bedrooms: 4, bathrooms: 2, stories: 3,
+    mainroad: true, guestroom: false, basement: false, hotwaterheating: false, airconditioning: true,
+    parking: 2, prefarea: true, furnishingstatus: 'furnished'
+  }]);
+});
+
+test('reports invalid rows with their line numbers and keeps the valid ones', () => {
+  const text = [
+    HEADER,
+    '1750000,3850,3,1,2,yes,no,no,no,no,0,no,unfurnished',
+    'abc,3850,3,1,2,maybe,no,no,no,no,0,no,unfurnished',
+    '1750000,3850'
+  ].join('\n');
+  const { rows, errors, totalRows } = parseDataset(text, 'homes.csv');
+  expect(rows).toHaveLength(1);
+  expect(totalRows).toBe(3);
+  expect(errors).toEqual([
+    { location: 'line 3', message: '"price" is not a number (abc); "mainroad" must be yes or no (maybe)' },
+    { location: 'line 4', message: 'expected 13 columns but found 2' }
+  ]);
+});
+
+test('rejects files without the required columns', () => {
+  expect(() => parseDataset('price,area\n1,2', 'homes.csv')).toThrow('Missing required columns: bedrooms');
+});
+
+test('reads JSON arrays and reports records by index', () => {
+  const { rows, errors } = parseDataset(JSON.stringify([
+    { price: 1, area: 2, bedrooms: 1, bathrooms: 1, stories: 1, mainroad: true, guestroom: false, basement: false,
+      hotwaterheating: false, airconditioning: false, parking: 0, prefarea: false, furnishingstatus: 'furnished' },
+    { price: 1 }
+  ]), 'homes.json');
+  expect(rows).toHaveLength(1);
+  expect(errors[0].location).toBe('record 2');
+});
+
+test('skips leading comment lines without shifting line numbers', () => {
+  const text = `# Export: Real Estate Dashboard export\n# Filter: Bedrooms, "3"\n${HEADER}\n1750000,3850,3,1,2,yes,no,no,no,no,0,no\n`;
+  const { rows, errors } = parseDataset(text, 'export.csv');
+  expect(rows).toEqual([]);
+  expect(errors).toEqual([{ location: 'line 4', message: 'expected 13 columns but found 12' }]);
+});
@@ -0,0 +1,137 @@
+import { DATASET_FIELDS } from '../constants/schema';
+import { coerceValue } from './datasetParser';
+
+const STORAGE_KEY = 'realEstateDashboard.fieldMappings';
+
+// A field mapping assigns a source column to every canonical field, plus a value transform:
+// { price: { column: 'sale_price', scale: '1' },
+//   airconditioning: { column: 'has_ac', trueValues: '1, y', falseValues: '0, n' },
+//   furnishingstatus: { column: 'furnishing', valueMap: 'full=furnished, none=unfurnished' } }
+// Transform settings are kept as the text typed into the wizard and parsed when applied.
+
+// Column names other sources use for each field, compared after normalizeColumn
+const FIELD_ALIASES = {
+  price: ['saleprice', 'soldprice', 'listprice', 'cost', 'value'],
+  area: ['sqft', 'squarefeet', 'sqfeet', 'livingarea', 'size', 'floorarea'],
+  bedrooms: ['beds', 'bed', 'br', 'bedroomcount'],
+  bathrooms: ['baths', 'bath', 'ba', 'bathroomcount'],
+  stories: ['floors', 'levels', 'storeys', 'story'],
+  mainroad: ['mainroadaccess', 'onmainroad', 'roadaccess'],
+  guestroom: ['guestrooms', 'hasguestroom'],
+  basement: ['hasbasement'],
+  hotwaterheating: ['hotwater', 'waterheating', 'waterheater'],
+  airconditioning: ['ac', 'aircon', 'hasac', 'cooling'],
+  parking: ['parkingspaces', 'garage', 'garagespaces', 'carspaces'],
+  prefarea: ['preferredarea', 'preferred', 'prefloc', 'preferredlocation'],
+  furnishingstatus: ['furnishing', 'furnished', 'furniture']
+};
+
+export const DEFAULT_TRUE_VALUES = 'yes, y, true, 1';
+export const DEFAULT_FALSE_VALUES = 'no, n, false, 0';
+
+const normalizeColumn = (column) => String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const splitList = (text) => String(text || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+
+// 'full=furnished, none=unfurnished' -> { full: 'furnished', none: 'unfurnished' }
+const parseValueMap = (text) => splitList(text).reduce((map, pair) => {
+  const [from, to] = pair.split('=').map(part => part.trim());
+  return from && to ? { ...map, [from]: to } : map;
+}, {});
+
+const createFieldMapping = (field, column) => {
+  if (field.type === 'number') return { column, scale: '1' };
+  if (field.type === 'boolean') return { column, trueValues: DEFAULT_TRUE_VALUES, falseValues: DEFAULT_FALSE_VALUES };
+  return { column, valueMap: '' };
+};
+
+// Guess a column for every field from exact names first, then known aliases
+export const suggestMapping = (columns) => DATASET_FIELDS.reduce((mapping, field) => {
+  const normalized = columns.map(normalizeColumn);
+  let index = normalized.indexOf(normalizeColumn(field.key));
+  if (index < 0) index = normalized.findIndex(column => FIELD_ALIASES[field.key].includes(column));
+  return { ...mapping, [field.key]: createFieldMapping(field, index < 0 ? '' : columns[index]) };
+}, {});
+
+// Fields that still have no source column assigned
+export const getUnmappedFields = (mapping, columns) =>
+  DATASET_FIELDS.filter(field => !mapping[field.key] || !columns.includes(mapping[field.key].column));
+
+const isBlank = (raw) => raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+// Apply a field's transform to one raw source value. Values the transform doesn't recognize are
+// passed through unchanged so the usual coercion reports them with the original text.
+export const transformValue = (field, fieldMapping, raw) => {
+  if (isBlank(raw)) return raw;
+
+  if (field.type === 'number') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/[$,\s]/g, ''));
+    const scale = Number(fieldMapping.scale);
+    if (!Number.isFinite(value)) return raw;
+    return Number.isFinite(scale) && scale !== 0 ? value * scale : value;
+  }
+
+  const text = String(raw).trim().toLowerCase();
+  if (field.type === 'boolean') {
+    if (splitList(fieldMapping.trueValues).includes(text)) return true;
+    if (splitList(fieldMapping.falseValues).includes(text)) return false;
+    return raw;
+  }
+
+  const valueMap = parseValueMap(fieldMapping.valueMap);
+  return valueMap[text] || text;
+};
+
+// Whether a source with the dashboard's column names still encodes yes/no or furnishing values
+// differently (1/0, Y/N, codes), so they have to be mapped before the rows can be loaded.
+// Blank values aren't counted: no mapping can fill them in.
+export const hasUnrecognizedValues = ({ records }) =>
+  DATASET_FIELDS.filter(field => field.type !== 'number').some(field => records.some(({ raw }) => {
+    if (isBlank(raw[field.key])) return false;
+    const { value, error } = coerceValue(field, raw[field.key]);
+    return Boolean(error) || (field.values !== undefined && !field.values.includes(value));
+  }));
+
+// Rebuild raw records under the canonical field names so they can go through coerceRecords
+export const applyMapping = ({ records }, mapping) => ({
+  columns: DATASET_FIELDS.map(field => field.key),
+  records: records.map(({ location, error, raw }) => ({
+    location,
+    error,
+    raw: DATASET_FIELDS.reduce((mapped, field) => ({
+      ...mapped,
+      [field.key]: transformValue(field, mapping[field.key], raw[mapping[field.key].column])
+    }), {})
+  }))
+});
+
+// Mappings are remembered per source, identified by its set of column names, so the next
+// export from the same system opens with the previous choices
+export const getSourceSignature = (columns) => [...columns].map(normalizeColumn).sort().join('|');
+
+const loadStoredMappings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (error) {
+    console.warn('Could not read field mappings from localStorage', error);
+    return {};
+  }
+};
+
+export const loadFieldMapping = (columns) => {
+  const stored = loadStoredMappings()[getSourceSignature(columns)];
+  if (!stored || !stored.mapping) return null;
+  // Start from a fresh suggestion so fields added to the schema since the mapping was saved still appear
+  return { ...suggestMapping(columns), ...stored.mapping };
+};
+
+export const saveFieldMapping = (columns, mapping) => {
+  try {
+    const stored = loadStoredMappings();
+    stored[getSourceSignature(columns)] = { mapping, updatedAt: new Date().toISOString() };
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn('Could not write field mappings to localStorage', error);
+  }
+};
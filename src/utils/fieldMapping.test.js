@@ -0,0 +1,82 @@
+import { readCsvRecords, coerceRecords } from './datasetParser';
+import {
+  suggestMapping,
+  getUnmappedFields,
+  applyMapping,
+  loadFieldMapping,
+  saveFieldMapping,
+  hasUnrecognizedValues
+} from './fieldMapping';
+
+const CSV = [
+  'sale_price,sqft,beds,baths,floors,main_road,guest_room,basement,hot_water,AC,garage,preferred_area,furnishing,listing_id',
+  '"$1,330",7420,4,2,3,1,0,0,0,Y,2,1,full,A1',
+  '1750,3850,3,1,2,0,0,1,0,n,0,0,none,A2'
+].join('\n');
+
+afterEach(() => window.localStorage.clear());
+
+test('suggests source columns from common aliases', () => {
+  const { columns } = readCsvRecords(CSV);
+  const mapping = suggestMapping(columns);
+  expect(mapping.price.column).toBe('sale_price');
+  expect(mapping.area.column).toBe('sqft');
+  expect(mapping.hotwaterheating.column).toBe('hot_water');
+  expect(mapping.furnishingstatus.column).toBe('furnishing');
+  expect(getUnmappedFields(mapping, columns)).toEqual([]);
+  expect(getUnmappedFields(suggestMapping(['price', 'size']), ['price', 'size']).map(f => f.key)).toContain('bedrooms');
+});
+
+test('applies column assignments and value transforms before coercion', () => {
+  const source = readCsvRecords(CSV);
+  const mapping = suggestMapping(source.columns);
+  mapping.price.scale = '1000';
+  mapping.furnishingstatus.valueMap = 'full=furnished, none=unfurnished';
+
+  const { rows, errors } = coerceRecords(applyMapping(source, mapping));
+  expect(errors).toEqual([]);
+  expect(rows[0]).toEqual({
+    price: 1330000, area: 7420, bedrooms: 4, bathrooms: 2, stories: 3,
+    mainroad: true, guestroom: false, basement: false, hotwaterheating: false, airconditioning: true,
+    parking: 2, prefarea: true, furnishingstatus: 'furnished'
+  });
+  expect(rows[1].airconditioning).toBe(false);
+  expect(rows[1].furnishingstatus).toBe('unfurnished');
+});
+
+test('reports values the transforms do not recognize', () => {
+  const source = readCsvRecords(CSV.replace(',Y,', ',maybe,'));
+  const { rows, errors } = coerceRecords(applyMapping(source, suggestMapping(source.columns)));
+  expect(rows).toHaveLength(1);
+  expect(errors).toEqual([{ location: 'line 2', message: '"airconditioning" must be yes or no (maybe)' }]);
+});
+
+test('remembers a mapping for sources with the same columns', () => {
+  const { columns } = readCsvRecords(CSV);
+  expect(loadFieldMapping(columns)).toBeNull();
+
+  const mapping = { ...suggestMapping(columns), price: { column: 'sale_price', scale: '1000' } };
+  saveFieldMapping(columns, mapping);
+  expect(loadFieldMapping([...columns].reverse()).price).toEqual({ column: 'sale_price', scale: '1000' });
+  expect(loadFieldMapping(['other', 'columns'])).toBeNull();
+});
+
+test('canonical columns with 1/0 values still go through the identity mapping', () => {
+  const canonical = [
+    'price,area,bedrooms,bathrooms,stories,mainroad,guestroom,basement,hotwaterheating,airconditioning,parking,prefarea,furnishingstatus',
+    '1330000,7420,4,2,3,1,0,0,0,1,2,1,furnished',
+    '1750000,3850,3,1,2,0,0,1,0,0,0,0,unfurnished'
+  ].join('\n');
+  const source = readCsvRecords(canonical);
+  expect(hasUnrecognizedValues(source)).toBe(true);
+  expect(coerceRecords(source).rows).toEqual([]);
+
+  const { rows, errors } = coerceRecords(applyMapping(source, suggestMapping(source.columns)));
+  expect(errors).toEqual([]);
+  expect(rows.map(row => row.airconditioning)).toEqual([true, false]);
+
+  expect(hasUnrecognizedValues(readCsvRecords(canonical.replace(/,1,0,0,0,1,2,1,/, ',yes,no,no,no,yes,2,yes,')
+    .replace(',0,0,1,0,0,0,0,', ',no,no,yes,no,no,0,no,')))).toBe(false);
+  expect(hasUnrecognizedValues(readCsvRecords(canonical.replace(/,1,0,0,0,1,2,1,/, ',yes,no,no,no,yes,2,yes,')
+    .replace(',0,0,1,0,0,0,0,unfurnished', ',no,no,yes,no,no,0,no,bare')))).toBe(true);
+});
@@ -0,0 +1,159 @@
+import { FILTER_GROUPS } from '../constants/filters';
+import { NUMERIC_FIELDS, getFieldValue } from '../constants/fields';
+import { getDonutCategory, HEATMAP_VIEWS } from '../constants/chartDimensions';
+
+// Filter state is a plain object keyed by group, each holding the selected option values,
+// plus the slider ranges keyed by numeric field and the marks clicked in each chart:
+// { bedrooms: ['small'], price: [], amenities: ['ac'], ranges: { area: [3000, 6000] },
+//   marks: { donut: { setting: 'furnishingstatus', items: ['furnished'] } } }
+export const createEmptyFilters = () =>
+  FILTER_GROUPS.reduce((filters, group) => ({ ...filters, [group.key]: [] }), { ranges: {}, marks: {} });
+
+// Click-to-filter definitions. `setting` is the chart control the marks depend on
+// (histogram variable, donut analysis type, heatmap view mode); items identify the clicked marks.
+export const MARK_FILTERS = {
+  histogram: {
+    label: 'Histogram',
+    settingKey: 'variable',
+    // [x0, x1, closed] - the last bin also includes its upper edge
+    test: (d, variable, [x0, x1, closed]) => {
+      const value = getFieldValue(d, variable);
+      return value >= x0 && (closed ? value <= x1 : value < x1);
+    },
+    describe: (variable, [x0, x1]) => {
+      const field = NUMERIC_FIELDS[variable];
+      return `${field.label} ${field.format(x0)} - ${field.format(x1)}`;
+    }
+  },
+  donut: {
+    label: 'Donut',
+    settingKey: 'analysisType',
+    test: (d, analysisType, category) => getDonutCategory(d, analysisType) === category,
+    describe: (analysisType, category) => category
+  },
+  heatmap: {
+    label: 'Heatmap',
+    settingKey: 'viewMode',
+    test: (d, viewMode, [x, y]) => {
+      const view = HEATMAP_VIEWS[viewMode];
+      return view.x(d) === x && view.y(d) === y;
+    },
+    describe: (viewMode, [x, y]) => HEATMAP_VIEWS[viewMode].cellTitle(x, y)
+  }
+};
+
+const isSameItem = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getActiveMarks = (filters, excludeMark) =>
+  Object.entries(filters.marks || {})
+    .filter(([chart, mark]) => chart !== excludeMark && MARK_FILTERS[chart] && mark && mark.items.length > 0);
+
+// Resolve the selected option objects for every group that has at least one selection
+const getActiveGroups = (filters) =>
+  FILTER_GROUPS
+    .map(group => ({
+      ...group,
+      selected: group.options.filter(option => (filters[group.key] || []).includes(option.value))
+    }))
+    .filter(group => group.selected.length > 0);
+
+const getActiveRanges = (filters) =>
+  Object.entries(filters.ranges || {}).filter(([key, range]) => NUMERIC_FIELDS[key] && range);
+
+// AND across groups, ranges and charts, OR within a group or a chart's clicked marks.
+// `excludeMark` skips one chart's own marks so it keeps showing the marks that can be clicked.
+export const applyFilters = (data, filters, { excludeMark } = {}) => {
+  const activeGroups = getActiveGroups(filters);
+  const activeRanges = getActiveRanges(filters);
+  const activeMarks = getActiveMarks(filters, excludeMark);
+  if (activeGroups.length === 0 && activeRanges.length === 0 && activeMarks.length === 0) return data;
+
+  return data.filter(d =>
+    activeGroups.every(group => group.selected.some(option => option.test(d))) &&
+    activeRanges.every(([key, [min, max]]) => {
+      const value = getFieldValue(d, key);
+      return value >= min && value <= max;
+    }) &&
+    activeMarks.every(([chart, mark]) => mark.items.some(item => MARK_FILTERS[chart].test(d, mark.setting, item)))
+  );
+};
+
+export const toggleFilterValue = (filters, groupKey, value) => {
+  const current = filters[groupKey] || [];
+  const next = current.includes(value)
+    ? current.filter(v => v !== value)
+    : [...current, value];
+  return { ...filters, [groupKey]: next };
+};
+
+export const clearFilterGroup = (filters, groupKey) => ({ ...filters, [groupKey]: [] });
+
+// Passing a null range removes the slider restriction for that field
+export const setFilterRange = (filters, fieldKey, range) => {
+  const ranges = { ...filters.ranges };
+  if (range) ranges[fieldKey] = range;
+  else delete ranges[fieldKey];
+  return { ...filters, ranges };
+};
+
+// A plain click makes the mark the chart's only filter (or clears it if it already was);
+// an additive (shift) click toggles the mark within the chart's current filter.
+export const toggleMarkFilter = (filters, chart, setting, item, additive) => {
+  const current = (filters.marks || {})[chart];
+  const currentItems = current && current.setting === setting ? current.items : [];
+  const isSelected = currentItems.some(other => isSameItem(other, item));
+
+  let items;
+  if (additive) {
+    items = isSelected ? currentItems.filter(other => !isSameItem(other, item)) : [...currentItems, item];
+  } else {
+    items = isSelected && currentItems.length === 1 ? [] : [item];
+  }
+  return setMarkFilter(filters, chart, items.length > 0 ? { setting, items } : null);
+};
+
+export const setMarkFilter = (filters, chart, mark) => {
+  const marks = { ...filters.marks };
+  if (mark) marks[chart] = mark;
+  else delete marks[chart];
+  return { ...filters, marks };
+};
+
+// Whether a chart mark is part of that chart's active filter, for highlighting
+export const isMarkSelected = (markFilter, setting, item) =>
+  Boolean(markFilter && markFilter.setting === setting && markFilter.items.some(other => isSameItem(other, item)));
+
+export const hasActiveFilters = (filters) =>
+  getActiveGroups(filters).length > 0 || getActiveRanges(filters).length > 0 || getActiveMarks(filters).length > 0;
+
+// Human readable summary of the applied criteria, one entry per active group, range or chart
+export const describeFilters = (filters) => [
+  ...getActiveGroups(filters).map(group => ({
+    type: 'group',
+    key: group.key,
+    label: group.label.replace(/:$/, ''),
+    values: group.selected.map(option => ({ value: option.value, label: option.label }))
+  })),
+  ...getActiveRanges(filters).map(([key, [min, max]]) => {
+    const field = NUMERIC_FIELDS[key];
+    return {
+      type: 'range',
+      key,
+      label: field.label,
+      values: [{ value: [min, max], label: `${field.format(min)} - ${field.format(max)}` }]
+    };
+  }),
+  ...getActiveMarks(filters).map(([chart, mark]) => ({
+    type: 'mark',
+    key: chart,
+    label: MARK_FILTERS[chart].label,
+    values: mark.items.map(item => ({ value: item, label: MARK_FILTERS[chart].describe(mark.setting, item) }))
+  }))
+];
+
+// Remove a single entry returned by describeFilters
+export const clearFilter = (filters, entry) => {
+  if (entry.type === 'range') return setFilterRange(filters, entry.key, null);
+  if (entry.type === 'mark') return setMarkFilter(filters, entry.key, null);
+  return clearFilterGroup(filters, entry.key);
+};
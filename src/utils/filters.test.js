@@ -0,0 +1,93 @@
+import {
+  applyFilters,
+  createEmptyFilters,
+  toggleFilterValue,
+  setFilterRange,
+  toggleMarkFilter,
+  isMarkSelected,
+  clearFilter,
+  describeFilters
+} from './filters';
+
+const homes = [
+  { price: 3000000, area: 3000, bedrooms: 2, bathrooms: 1, airconditioning: true, basement: false, parking: 0, furnishingstatus: 'furnished' },
+  { price: 5000000, area: 5000, bedrooms: 3, bathrooms: 2, airconditioning: false, basement: true, parking: 2, furnishingstatus: 'unfurnished' },
+  { price: 9000000, area: 6000, bedrooms: 4, bathrooms: 2, airconditioning: true, basement: true, parking: 3, furnishingstatus: 'semi-furnished' },
+  { price: 4000000, area: 2000, bedrooms: 3, bathrooms: 2, airconditioning: true, basement: false, parking: 1, furnishingstatus: 'furnished' }
+];
+
+test('returns all rows when nothing is selected', () => {
+  expect(applyFilters(homes, createEmptyFilters())).toBe(homes);
+});
+
+test('combines groups with AND and options within a group with OR', () => {
+  let filters = createEmptyFilters();
+  filters = toggleFilterValue(filters, 'bedrooms', 'medium');
+  filters = toggleFilterValue(filters, 'bedrooms', 'large');
+  filters = toggleFilterValue(filters, 'amenities', 'ac');
+
+  expect(applyFilters(homes, filters)).toEqual([homes[2], homes[3]]);
+});
+
+test('price segments do not overlap at their boundaries', () => {
+  const filters = toggleFilterValue(createEmptyFilters(), 'price', 'affordable');
+  expect(applyFilters(homes, filters)).toEqual([homes[0]]);
+});
+
+test('toggling a selected option removes it again', () => {
+  const once = toggleFilterValue(createEmptyFilters(), 'price', 'luxury');
+  const twice = toggleFilterValue(once, 'price', 'luxury');
+  expect(twice.price).toEqual([]);
+});
+
+test('describes only the active groups', () => {
+  const filters = toggleFilterValue(createEmptyFilters(), 'amenities', 'basement');
+  expect(describeFilters(filters)).toEqual([
+    { type: 'group', key: 'amenities', label: 'Premium Amenities', values: [{ value: 'basement', label: 'With Basement' }] }
+  ]);
+});
+
+test('slider ranges are inclusive and combine with preset groups', () => {
+  let filters = setFilterRange(createEmptyFilters(), 'area', [3000, 6000]);
+  expect(applyFilters(homes, filters)).toEqual([homes[0], homes[1], homes[2]]);
+
+  filters = toggleFilterValue(filters, 'amenities', 'basement');
+  expect(applyFilters(homes, filters)).toEqual([homes[1], homes[2]]);
+});
+
+test('filters on derived price per sq ft', () => {
+  const filters = setFilterRange(createEmptyFilters(), 'pricePerSqFt', [1500, 2000]);
+  expect(applyFilters(homes, filters)).toEqual([homes[2], homes[3]]);
+});
+
+test('clearing a described range removes it from the state', () => {
+  const filters = setFilterRange(createEmptyFilters(), 'parking', [1, 2]);
+  const [entry] = describeFilters(filters);
+  expect(entry.type).toBe('range');
+  expect(clearFilter(filters, entry).ranges).toEqual({});
+});
+
+test('clicked marks filter by the chart setting they were made with', () => {
+  let filters = toggleMarkFilter(createEmptyFilters(), 'donut', 'furnishingstatus', 'furnished', false);
+  expect(applyFilters(homes, filters)).toEqual([homes[0], homes[3]]);
+
+  filters = toggleMarkFilter(filters, 'heatmap', 'bedrooms', [3, 2], false);
+  expect(applyFilters(homes, filters)).toEqual([homes[3]]);
+
+  // A chart can be excluded so it still shows all of its own marks
+  expect(applyFilters(homes, filters, { excludeMark: 'donut' })).toEqual([homes[1], homes[3]]);
+});
+
+test('plain clicks replace, shift clicks add and repeated clicks clear marks', () => {
+  let filters = toggleMarkFilter(createEmptyFilters(), 'histogram', 'price', [3000000, 4000000, false], false);
+  filters = toggleMarkFilter(filters, 'histogram', 'price', [8000000, 9000000, true], true);
+  expect(applyFilters(homes, filters)).toEqual([homes[0], homes[2]]);
+  expect(isMarkSelected(filters.marks.histogram, 'price', [8000000, 9000000, true])).toBe(true);
+  expect(isMarkSelected(filters.marks.histogram, 'area', [8000000, 9000000, true])).toBe(false);
+
+  filters = toggleMarkFilter(filters, 'histogram', 'price', [5000000, 6000000, false], false);
+  expect(filters.marks.histogram.items).toEqual([[5000000, 6000000, false]]);
+
+  filters = toggleMarkFilter(filters, 'histogram', 'price', [5000000, 6000000, false], false);
+  expect(filters.marks).toEqual({});
+});
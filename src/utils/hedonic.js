@@ -0,0 +1,216 @@
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { leastSquares, studentTCdf, studentTQuantile } from './regression';
+
+// Hedonic pricing model: one multiple regression of price (or log price) on every feature at once,
+// so each coefficient is a feature's effect with size, rooms and the other features held fixed.
+// Unlike the with/without premiums, features that tend to come together (AC in larger homes in
+// preferred areas) don't take credit for each other. Free of DOM and d3 so it runs in the worker.
+
+const isBoolean = value => typeof value === 'boolean';
+
+// Numeric terms, then the amenities as 0/1 indicators. Area is per 1,000 sq ft so its coefficient
+// is on the same scale as the others.
+const BASE_TERMS = [
+  { key: 'area', label: 'Area (per 1,000 sq ft)', value: d => d.area / 1000 },
+  { key: 'bedrooms', label: 'Bedrooms', value: d => d.bedrooms },
+  { key: 'bathrooms', label: 'Bathrooms', value: d => d.bathrooms },
+  { key: 'stories', label: 'Stories', value: d => d.stories },
+  { key: 'parking', label: 'Parking Spaces', value: d => d.parking },
+  ...[
+    ['airconditioning', 'Air Conditioning'],
+    ['prefarea', 'Preferred Area'],
+    ['hotwaterheating', 'Hot Water Heating'],
+    ['guestroom', 'Guest Room'],
+    ['basement', 'Basement'],
+    ['mainroad', 'Main Road Access']
+  ].map(([key, label]) => ({ key, label, value: d => (isBoolean(d[key]) ? Number(d[key]) : NaN) }))
+];
+
+const FURNISHING_STATUSES = ['furnished', 'semi-furnished', 'unfurnished'];
+const capitalize = text => text.replace(/(^|-)\w/g, letter => letter.toUpperCase());
+
+// Furnishing enters as indicators against the most common status, which has the most properties to compare with
+const furnishingTerms = (rows) => {
+  const counts = FURNISHING_STATUSES.map(status => rows.filter(d => d.furnishingstatus === status).length);
+  const baseline = FURNISHING_STATUSES[counts.indexOf(Math.max(...counts))];
+  return FURNISHING_STATUSES
+    .filter(status => status !== baseline)
+    .map(status => ({
+      key: status,
+      group: 'furnishingstatus',
+      label: `${capitalize(status)} (vs ${baseline})`,
+      value: d => (d.furnishingstatus === status ? 1 : 0)
+    }));
+};
+
+// Below this many complete properties the model isn't fitted: with up to 14 features the
+// estimates would rest on a handful of degrees of freedom
+export const MIN_HEDONIC_SAMPLE = 30;
+
+const RESPONSES = {
+  price: d => d.price,
+  logPrice: d => (d.price > 0 ? Math.log(d.price) : NaN)
+};
+
+// Least-squares fit on the properties with every value present, shared by the table of
+// coefficients and the value estimator. Returns { message } when the sample is too small.
+const fitTerms = (rows, response) => {
+  const outcome = RESPONSES[response];
+  const complete = rows.filter(d => Number.isFinite(outcome(d))
+    && FURNISHING_STATUSES.includes(d.furnishingstatus)
+    && BASE_TERMS.every(term => Number.isFinite(term.value(d))));
+  const n = complete.length;
+  if (n < MIN_HEDONIC_SAMPLE) {
+    return { n, message: `Too few properties (${n}) to fit a model; it needs at least ${MIN_HEDONIC_SAMPLE}.` };
+  }
+  const ys = complete.map(outcome);
+
+  // Add the terms one at a time, leaving out any that make the predictors collinear
+  const terms = [];
+  const dropped = [];
+  [...BASE_TERMS, ...furnishingTerms(complete)].forEach(term => {
+    const values = complete.map(term.value);
+    const varies = values.some(value => value !== values[0]);
+    const candidate = [...terms, term];
+    if (varies && leastSquares(complete.map(d => [1, ...candidate.map(t => t.value(d))]), ys)) {
+      terms.push(term);
+    } else {
+      dropped.push(term.label);
+    }
+  });
+
+  const df = n - terms.length - 1;
+  const design = complete.map(d => [1, ...terms.map(term => term.value(d))]);
+  const { coefficients, inverse } = leastSquares(design, ys);
+
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let sse = 0;
+  let sst = 0;
+  design.forEach((row, i) => {
+    const fitted = row.reduce((sum, value, j) => sum + value * coefficients[j], 0);
+    sse += (ys[i] - fitted) ** 2;
+    sst += (ys[i] - meanY) ** 2;
+  });
+
+  return {
+    n, complete, terms, dropped, df, coefficients, inverse,
+    variance: sse / df,
+    r2: sst > 0 ? 1 - sse / sst : undefined
+  };
+};
+
+// Fits the model to the properties with every value present (and a positive price for log price):
+//   { response, n, excluded, dropped: [label], message,
+//     coefficients: [{ key, label, estimate, standardError, t, pValue }] - intercept first,
+//     r2, adjustedR2, residualStandardError, df }
+// Features that don't vary in the data, or that another feature already determines, are listed
+// in `dropped` instead. When nothing can be fitted, `coefficients` is empty and `message` says why.
+export const fitHedonicModel = (rows, { response = 'price' } = {}) => {
+  const fit = fitTerms(rows, response);
+  const result = {
+    response,
+    n: fit.n,
+    excluded: rows.length - fit.n,
+    dropped: [],
+    message: null,
+    coefficients: [],
+    r2: undefined,
+    adjustedR2: undefined,
+    residualStandardError: undefined,
+    df: undefined
+  };
+  if (fit.message) return { ...result, message: fit.message };
+
+  const { n, terms, df, coefficients, inverse, variance, r2 } = fit;
+  return {
+    ...result,
+    dropped: fit.dropped,
+    coefficients: [{ key: 'intercept', label: 'Intercept' }, ...terms].map((term, j) => {
+      const standardError = Math.sqrt(variance * inverse[j][j]);
+      const t = standardError > 0 ? coefficients[j] / standardError : undefined;
+      return {
+        key: term.key,
+        label: term.label,
+        estimate: coefficients[j],
+        standardError,
+        t,
+        pValue: t === undefined ? undefined : 2 * (1 - studentTCdf(Math.abs(t), df))
+      };
+    }),
+    r2,
+    adjustedR2: r2 === undefined ? undefined : 1 - ((1 - r2) * (n - 1)) / df,
+    residualStandardError: Math.sqrt(variance),
+    df
+  };
+};
+
+// Value estimator inputs (see CHART_SETTING_OPTIONS.estimator) as a property record the terms can read
+export const ESTIMATOR_AMENITIES = ['mainroad', 'guestroom', 'basement', 'hotwaterheating', 'airconditioning', 'prefarea'];
+
+export const estimatorProperty = (settings) => ({
+  area: settings.area,
+  bedrooms: settings.bedrooms,
+  bathrooms: settings.bathrooms,
+  stories: settings.stories,
+  parking: settings.parking,
+  ...Object.fromEntries(ESTIMATOR_AMENITIES.map(key => [key, settings[key] === 'yes'])),
+  furnishingstatus: settings.furnishingstatus
+});
+
+// Numeric inputs checked against the range of the properties the estimator learned from
+const RANGE_CHECKED = ['area', 'bedrooms', 'bathrooms', 'stories', 'parking'];
+
+// Price estimator fitted on log price, so effects are multiplicative and the range stays positive.
+// Returns { message } when the data is too small, otherwise { n, r2, estimate(property) } where
+// estimate gives
+//   { price, lower, upper, level, typicalPrice, contributions: [{ key, effect }], outOfRange: [key] }
+// `price` is the typical (median) price for such a property and lower/upper its prediction interval.
+// Contributions compare each attribute with the dataset average: an effect of 0.12 means the
+// attribute raises the estimate by 12% over a property that is average in that respect.
+// Furnishing indicators are combined under `furnishingstatus`; features the model left out have none.
+export const buildValueEstimator = (rows, level = 0.95) => {
+  const fit = fitTerms(rows, 'logPrice');
+  if (fit.message) return { message: fit.message };
+
+  const { n, complete, terms, df, coefficients, inverse, variance, r2 } = fit;
+  const means = terms.map(term => complete.reduce((sum, d) => sum + term.value(d), 0) / n);
+  const typicalLog = coefficients[0] + terms.reduce((sum, term, j) => sum + coefficients[j + 1] * means[j], 0);
+  const ranges = Object.fromEntries(RANGE_CHECKED.map(key => {
+    const values = complete.map(d => d[key]);
+    return [key, [Math.min(...values), Math.max(...values)]];
+  }));
+  const tValue = studentTQuantile(0.5 + level / 2, df);
+
+  const estimate = (property) => {
+    const x = [1, ...terms.map(term => term.value(property))];
+    if (!x.every(Number.isFinite)) return null;
+    const logPrice = x.reduce((sum, value, j) => sum + value * coefficients[j], 0);
+    const leverage = x.reduce((sum, xi, i) => sum + xi * x.reduce((inner, xj, j) => inner + inverse[i][j] * xj, 0), 0);
+    const margin = tValue * Math.sqrt(variance * (1 + leverage));
+
+    const effects = new Map();
+    terms.forEach((term, j) => {
+      const key = term.group || term.key;
+      effects.set(key, (effects.get(key) || 0) + coefficients[j + 1] * (x[j + 1] - means[j]));
+    });
+
+    return {
+      price: Math.exp(logPrice),
+      lower: Math.exp(logPrice - margin),
+      upper: Math.exp(logPrice + margin),
+      level,
+      typicalPrice: Math.exp(typicalLog),
+      contributions: [...effects]
+        .map(([key, logEffect]) => ({ key, effect: Math.exp(logEffect) - 1 }))
+        .sort((a, b) => Math.abs(Math.log1p(b.effect)) - Math.abs(Math.log1p(a.effect))),
+      outOfRange: RANGE_CHECKED.filter(key => property[key] < ranges[key][0] || property[key] > ranges[key][1])
+    };
+  };
+
+  return { n, r2, estimate };
+};
+
+// An estimate in a chart's field: [lower, estimate, upper] for the estimated property, so fields
+// derived from price (price per sq ft) get the range too and the others three equal values
+export const estimateFieldValues = ({ price, lower, upper }, property, key) =>
+  [lower, price, upper].map(value => NUMERIC_FIELDS[key].accessor({ ...property, price: value }));
@@ -0,0 +1,78 @@
+import { fitHedonicModel, buildValueEstimator, estimateFieldValues } from './hedonic';
+
+// Features vary on different cycles so none is a combination of the others; price follows known
+// effects plus a small deterministic wobble
+const rows = Array.from({ length: 80 }, (_, i) => {
+  const d = {
+    id: i,
+    area: 3000 + ((i * 737) % 5000),
+    bedrooms: 1 + (i % 4),
+    bathrooms: 1 + (i % 3 === 0 ? 1 : 0),
+    stories: 1 + ((i * 7) % 3),
+    parking: (i * 3 + Math.floor(i / 4)) % 4,
+    airconditioning: i % 2 === 0,
+    prefarea: i % 5 < 2,
+    hotwaterheating: i % 7 === 0,
+    guestroom: i % 6 < 2,
+    basement: (i * 3) % 8 < 3,
+    mainroad: i % 9 !== 0,
+    furnishingstatus: ['furnished', 'furnished', 'semi-furnished', 'semi-furnished', 'unfurnished'][Math.floor(i / 2) % 5]
+  };
+  d.price = 1000000 + 500 * d.area + 200000 * d.bedrooms + 800000 * d.airconditioning
+    - 300000 * (d.furnishingstatus === 'unfurnished') + Math.sin(i * 1.7) * 50000;
+  return d;
+});
+
+const coefficient = (model, key) => model.coefficients.find(c => c.key === key);
+
+test('recovers each feature effect with the others held fixed', () => {
+  const model = fitHedonicModel(rows);
+  expect(model.n).toBe(80);
+  expect(model.dropped).toEqual([]);
+  expect(model.coefficients[0].key).toBe('intercept');
+  expect(coefficient(model, 'area').estimate).toBeCloseTo(500000, -4);
+  expect(coefficient(model, 'airconditioning').estimate).toBeCloseTo(800000, -4);
+  expect(coefficient(model, 'unfurnished').label).toBe('Unfurnished (vs furnished)');
+  expect(coefficient(model, 'airconditioning').pValue).toBeLessThan(0.001);
+  expect(coefficient(model, 'guestroom').pValue).toBeGreaterThan(0.01);
+  expect(model.r2).toBeGreaterThan(0.99);
+  expect(model.adjustedR2).toBeLessThan(model.r2);
+  expect(model.df).toBe(80 - model.coefficients.length);
+});
+
+test('log price, constant features and tiny samples', () => {
+  const withAc = rows.filter(d => d.airconditioning);
+  const model = fitHedonicModel(withAc, { response: 'logPrice' });
+  expect(model.dropped).toContain('Air Conditioning');
+  expect(coefficient(model, 'airconditioning')).toBeUndefined();
+  expect(coefficient(model, 'area').estimate).toBeGreaterThan(0);
+
+  const tiny = fitHedonicModel(rows.slice(0, 20));
+  expect(tiny.coefficients).toEqual([]);
+  expect(tiny.message).toMatch(/^Too few properties \(20\)/);
+});
+
+test('estimates a described property with a range and the attributes behind it', () => {
+  const estimator = buildValueEstimator(rows);
+  expect(estimator.n).toBe(80);
+  const property = { ...rows[10], price: undefined };
+  const estimate = estimator.estimate(property);
+  expect(estimate.lower).toBeLessThan(estimate.price);
+  expect(estimate.upper).toBeGreaterThan(estimate.price);
+  expect(Math.abs(estimate.price - rows[10].price) / rows[10].price).toBeLessThan(0.1);
+  expect(estimate.outOfRange).toEqual([]);
+
+  // Air conditioning raises the estimate, no AC lowers it; furnishing is one combined entry
+  const effect = (e, key) => e.contributions.find(c => c.key === key).effect;
+  const withAc = estimator.estimate({ ...property, airconditioning: true });
+  const withoutAc = estimator.estimate({ ...property, airconditioning: false });
+  expect(effect(withAc, 'airconditioning')).toBeGreaterThan(0);
+  expect(effect(withoutAc, 'airconditioning')).toBeLessThan(0);
+  expect(withAc.contributions.filter(c => c.key === 'furnishingstatus')).toHaveLength(1);
+  expect(estimator.estimate({ ...property, area: 50000 }).outOfRange).toEqual(['area']);
+
+  const [lower, value, upper] = estimateFieldValues(estimate, property, 'pricePerSqFt');
+  expect(value).toBeCloseTo(estimate.price / property.area);
+  expect(lower).toBeLessThan(upper);
+  expect(buildValueEstimator(rows.slice(0, 20)).message).toMatch(/^Too few properties/);
+});
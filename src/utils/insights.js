@@ -0,0 +1,213 @@
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { FILTER_GROUPS } from '../constants/filters';
+import { computeFeaturePremiums } from './aggregations';
+import { median } from './stats';
+
+// Insight cards computed from the filtered properties, replacing fixed claims about "the market".
+// Each card is { key, icon, title, lead, text, warning }: `lead` is the bold opening phrase and
+// `warning` (or null) flags a figure that rests on too few properties to generalize from.
+
+// Below this many properties in total, every card carries a warning
+export const MIN_SAMPLE_SIZE = 30;
+
+// Groups compared with each other (configurations, furnishing levels, with and without a feature)
+// need at least this many properties each to be ranked without a warning
+export const MIN_GROUP_SIZE = 10;
+
+const formatPrice = NUMERIC_FIELDS.price.format;
+const formatPricePerSqFt = (value) => `${NUMERIC_FIELDS.pricePerSqFt.format(value)}/sq ft`;
+const pricePerSqFt = NUMERIC_FIELDS.pricePerSqFt.accessor;
+const formatShare = (count, total) => `${Math.round((count / total) * 100)}%`;
+const formatPercent = (value) => `${value >= 0 ? '+' : '-'}${Math.abs(value).toFixed(0)}%`;
+const plural = (count, singular, pluralForm) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  rows.forEach(d => {
+    const value = key(d);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(d);
+  });
+  return Array.from(groups, ([value, members]) => ({ value, members }));
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const configurationOf = (d) => `${d.bedrooms}-bed, ${d.bathrooms}-bath`;
+
+const smallGroupWarning = (groups, describe) => {
+  const small = groups.filter(group => group.members.length < MIN_GROUP_SIZE);
+  if (small.length === 0) return null;
+  return `Based on small groups: ${small.map(group => `${describe(group)} (${group.members.length})`).join(', ')}. `
+    + `Treat the comparison as indicative.`;
+};
+
+// Whichever warning applies first: too few properties overall, then the card's own check
+const combineWarnings = (total, ...warnings) => (total < MIN_SAMPLE_SIZE
+  ? `Only ${plural(total, 'property', 'properties')} match the filters - too few to support general claims.`
+  : warnings.find(Boolean) || null);
+
+// The most common bedroom/bathroom configuration and what it sells for
+const largestSegmentCard = (rows) => {
+  const groups = groupBy(rows, configurationOf).sort((a, b) => b.members.length - a.members.length);
+  const largest = groups[0];
+  return {
+    key: 'segment',
+    icon: '🎯',
+    title: 'Investment Strategy',
+    lead: 'Largest Segment:',
+    text: `${largest.value} homes make up ${formatShare(largest.members.length, rows.length)} of the ${rows.length} properties shown, `
+      + `with a median price of ${formatPrice(median(largest.members.map(d => d.price)))}.`,
+    warning: combineWarnings(rows.length, smallGroupWarning([largest], group => group.value))
+  };
+};
+
+// Feature premiums split into those with enough properties on both sides and those without
+const rankPremiums = (rows) => {
+  const premiums = Object.values(computeFeaturePremiums(rows)).map(premium => ({
+    ...premium,
+    withoutCount: rows.filter(d => d[premium.key] === false).length
+  }));
+  const isReliable = p => p.sampleSize >= MIN_GROUP_SIZE && p.withoutCount >= MIN_GROUP_SIZE;
+  const byPercent = (a, b) => b.premiumPercent - a.premiumPercent;
+  return {
+    reliable: premiums.filter(isReliable).sort(byPercent),
+    unreliable: premiums.filter(p => !isReliable(p)).sort(byPercent)
+  };
+};
+
+// Features that would outrank the reported ones if their groups were large enough
+const describeSmallPremiums = (premiums, threshold) => {
+  const notable = premiums.filter(p => p.premiumPercent > threshold);
+  if (notable.length === 0) return null;
+  return `${notable.map(p => `${p.name} (${formatPercent(p.premiumPercent)}, ${p.sampleSize} with it)`).join(', ')} `
+    + `would rank higher, but too few properties have or lack ${notable.length === 1 ? 'it' : 'them'} to compare.`;
+};
+
+const premiumDriversCard = (rows, { reliable, unreliable }) => {
+  const card = { key: 'premiums', icon: '📈', title: 'Premium Drivers', lead: 'Key Finding:' };
+  if (reliable.length === 0) {
+    return {
+      ...card,
+      text: 'No feature has enough properties both with and without it to measure a premium.',
+      warning: combineWarnings(rows.length, `Each comparison needs at least ${MIN_GROUP_SIZE} properties with and without the feature.`)
+    };
+  }
+  const top = reliable.slice(0, 2);
+  return {
+    ...card,
+    text: `${top.map(p => `${p.name} (${formatPercent(p.premiumPercent)})`).join(' and ')} `
+      + `${top.length === 1 ? 'carries the largest premium' : 'carry the largest premiums'} in price per sq ft, `
+      + `comparing properties with and without each feature.`,
+    warning: combineWarnings(rows.length, describeSmallPremiums(unreliable, top[0].premiumPercent))
+  };
+};
+
+// Share of each market segment preset (Under $4M, $4M-$8M, $8M+)
+const priceTierCard = (rows) => {
+  const tiers = FILTER_GROUPS.find(group => group.key === 'price').options
+    .map(option => ({ label: option.label, count: rows.filter(option.test).length }));
+  const largest = tiers.reduce((best, tier) => (tier.count > best.count ? tier : best), tiers[0]);
+  return {
+    key: 'tiers',
+    icon: '🏠',
+    title: 'Market Segmentation',
+    lead: `${largest.label.replace(/ \(.*\)$/, '')} leads:`,
+    text: `${tiers.map(tier => `${tier.label} ${formatShare(tier.count, rows.length)}`).join(' · ')}.`,
+    warning: combineWarnings(rows.length)
+  };
+};
+
+// Card for when no property shown has a usable price per sq ft (missing or zero area)
+const noPricePerSqFtCard = (card, rows) => ({
+  ...card,
+  text: 'Price per sq ft cannot be computed for these properties.',
+  warning: combineWarnings(rows.length, 'None of the properties shown has both a price and a non-zero area.')
+});
+
+// Configuration with the highest median price per sq ft, against the overall median
+const bestValueCard = (rows) => {
+  const card = { key: 'configuration', icon: '🔧', title: 'Configuration Optimization', lead: 'Highest Price per Sq Ft:' };
+  const groups = groupBy(rows, configurationOf)
+    .map(group => ({ ...group, pricePerSqFt: median(group.members.map(pricePerSqFt)) }))
+    .filter(group => group.pricePerSqFt !== undefined);
+  if (groups.length === 0) return noPricePerSqFtCard(card, rows);
+
+  const comparable = groups.filter(group => group.members.length >= MIN_GROUP_SIZE);
+  const candidates = comparable.length > 0 ? comparable : groups;
+  const best = candidates.reduce((top, group) => (group.pricePerSqFt > top.pricePerSqFt ? group : top), candidates[0]);
+  const overall = median(rows.map(pricePerSqFt));
+  const comparison = overall > 0
+    ? `, ${formatPercent(((best.pricePerSqFt - overall) / overall) * 100)} against the overall median of ${formatPricePerSqFt(overall)}`
+    : '';
+  return {
+    ...card,
+    text: `${best.value} homes command a median ${formatPricePerSqFt(best.pricePerSqFt)} (${plural(best.members.length, 'property', 'properties')})${comparison}.`,
+    warning: combineWarnings(
+      rows.length,
+      comparable.length === 0 ? `No configuration has ${MIN_GROUP_SIZE} or more properties.` : null
+    )
+  };
+};
+
+// Median price per sq ft by furnishing status, highest first
+const furnishingCard = (rows) => {
+  const card = { key: 'furnishing', icon: '💼', title: 'Investment Readiness', lead: 'Furnishing Strategy:' };
+  const groups = groupBy(rows, d => d.furnishingstatus)
+    .map(group => ({ ...group, pricePerSqFt: median(group.members.map(pricePerSqFt)) }))
+    .filter(group => group.pricePerSqFt !== undefined)
+    .sort((a, b) => b.pricePerSqFt - a.pricePerSqFt);
+  if (groups.length === 0) return noPricePerSqFtCard(card, rows);
+
+  const highest = groups[0];
+  const lowest = groups[groups.length - 1];
+  // A percentage over a zero price per sq ft is meaningless, so only compare the figures then
+  const difference = lowest.pricePerSqFt > 0
+    ? `${formatPercent(((highest.pricePerSqFt - lowest.pricePerSqFt) / lowest.pricePerSqFt) * 100)} over`
+    : 'compared with';
+  const text = groups.length > 1
+    ? `${capitalize(highest.value)} homes sell for a median ${formatPricePerSqFt(highest.pricePerSqFt)}, `
+      + `${difference} ${lowest.value} (${formatPricePerSqFt(lowest.pricePerSqFt)}).`
+      + (groups.length > 2 ? ` ${groups.slice(1, -1).map(g => `${capitalize(g.value)}: ${formatPricePerSqFt(g.pricePerSqFt)}`).join(', ')}.` : '')
+    : `All properties shown are ${highest.value}, at a median ${formatPricePerSqFt(highest.pricePerSqFt)}.`;
+  return {
+    ...card,
+    text,
+    warning: combineWarnings(rows.length, smallGroupWarning(groups, group => group.value))
+  };
+};
+
+// The best-measured positive premium among features most properties still lack
+const upgradeCard = (rows, { reliable }) => {
+  const card = { key: 'upgrades', icon: '⚡', title: 'Quick Wins', lead: 'Upgrade Potential:' };
+  const uncommon = reliable.filter(p => p.premium > 0 && p.sampleSize < rows.length / 2);
+  if (uncommon.length === 0) {
+    return {
+      ...card,
+      text: 'No feature that most of these properties lack shows a measurable premium.',
+      warning: combineWarnings(rows.length)
+    };
+  }
+  const best = uncommon.reduce((top, p) => (p.premium > top.premium ? p : top), uncommon[0]);
+  return {
+    ...card,
+    text: `Only ${formatShare(best.sampleSize, rows.length)} of these properties have ${best.name.toLowerCase()}, `
+      + `which goes with about ${formatPrice(best.premium)} more for a median-sized home (${formatPercent(best.premiumPercent)} per sq ft). `
+      + `This is a price difference between homes, not a measured renovation return.`,
+    warning: combineWarnings(rows.length)
+  };
+};
+
+// All cards for the given properties; none when nothing matches the filters
+export const buildInsights = (rows) => {
+  if (rows.length === 0) return [];
+  const premiums = rankPremiums(rows);
+  return [
+    largestSegmentCard(rows),
+    premiumDriversCard(rows, premiums),
+    priceTierCard(rows),
+    bestValueCard(rows),
+    furnishingCard(rows),
+    upgradeCard(rows, premiums)
+  ];
+};
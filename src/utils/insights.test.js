@@ -0,0 +1,52 @@
+import { buildInsights, MIN_SAMPLE_SIZE } from './insights';
+
+const house = (id, overrides = {}) => ({
+  id, price: 4000000, area: 4000, bedrooms: 3, bathrooms: 1, stories: 2,
+  mainroad: true, guestroom: false, basement: false, hotwaterheating: false, airconditioning: false,
+  parking: 1, prefarea: false, furnishingstatus: 'furnished',
+  ...overrides
+});
+
+// 40 homes: 3-bed/1-bath at $1,000/sq ft, with AC on every third one worth 20% more per sq ft,
+// 10 unfurnished 2-bed/2-bath homes at $1,500/sq ft and a single $1,500/sq ft one with hot water heating
+const rows = Array.from({ length: 40 }, (_, i) => {
+  if (i >= 30) return house(i, { bedrooms: 2, bathrooms: 2, price: 6000000, furnishingstatus: 'unfurnished' });
+  const ac = i % 3 === 0;
+  if (i === 1) return house(i, { price: 6000000, hotwaterheating: true });
+  return house(i, { price: ac ? 4800000 : 4000000, airconditioning: ac });
+});
+
+const byKey = (cards) => Object.fromEntries(cards.map(card => [card.key, card]));
+
+test('cards report figures computed from the properties', () => {
+  const cards = byKey(buildInsights(rows));
+  expect(Object.keys(cards)).toEqual(['segment', 'premiums', 'tiers', 'configuration', 'furnishing', 'upgrades']);
+  expect(cards.segment.text).toBe('3-bed, 1-bath homes make up 75% of the 40 properties shown, with a median price of $4.0M.');
+  expect(cards.tiers.text).toBe('Affordable (Under $4M) 0% · Premium ($4M-$8M) 100% · Luxury ($8M+) 0%.');
+  expect(cards.configuration.text).toMatch(/^2-bed, 2-bath homes command a median \$1,500\/sq ft \(10 properties\), \+25% against the overall median of \$1,200\/sq ft\.$/);
+  expect(cards.furnishing.text).toBe('Unfurnished homes sell for a median $1,500/sq ft, +50% over furnished ($1,000/sq ft).');
+  expect(cards.upgrades.text).toMatch(/^Only 25% of these properties have air conditioning/);
+});
+
+test('claims resting on small groups carry a warning', () => {
+  const cards = byKey(buildInsights(rows));
+  expect(cards.segment.warning).toBeNull();
+  expect(cards.premiums.text).toMatch(/^Air Conditioning \(\+20%\)/);
+  expect(cards.premiums.warning).toMatch(/^Hot Water Heating \(\+25%, 1 with it\) would rank higher/);
+
+  const few = buildInsights(rows.slice(0, MIN_SAMPLE_SIZE - 1));
+  few.forEach(card => expect(card.warning).toBe(`Only ${MIN_SAMPLE_SIZE - 1} properties match the filters - too few to support general claims.`));
+  expect(buildInsights([])).toEqual([]);
+});
+
+test('price per sq ft cards cope with missing areas and zero prices', () => {
+  const noArea = byKey(buildInsights(rows.map(d => ({ ...d, area: 0 }))));
+  ['configuration', 'furnishing'].forEach(key => {
+    expect(noArea[key].text).toBe('Price per sq ft cannot be computed for these properties.');
+    expect(noArea[key].warning).toBe('None of the properties shown has both a price and a non-zero area.');
+  });
+
+  const freeFurnished = byKey(buildInsights(rows.map(d => (d.furnishingstatus === 'furnished' ? { ...d, price: 0 } : d))));
+  expect(freeFurnished.furnishing.text).toBe('Unfurnished homes sell for a median $1,500/sq ft, compared with furnished ($0/sq ft).');
+  expect(freeFurnished.configuration.text).toBe('2-bed, 2-bath homes command a median $1,500/sq ft (10 properties).');
+});
@@ -0,0 +1,100 @@
+// Minimal PDF writer for chart exports: pages with Helvetica text and JPEG images.
+// Coordinates are in points from the top-left corner of the page (PDF itself measures from the bottom).
+//   pages: [{ width, height, items: [
+//     { type: 'text', text, x, y, size, bold, color },          - y is the baseline, color is [r, g, b]
+//     { type: 'image', data, pixelWidth, pixelHeight, x, y, width, height }  - data is JPEG bytes
+//   ] }]
+
+export const A4_LANDSCAPE = { width: 842, height: 595 };
+
+// Characters outside Latin-1 that the standard fonts' WinAnsi encoding still covers
+const WIN_ANSI_EXTRAS = { '€': 0x80, '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '…': 0x85 };
+
+// One byte per character; anything the standard fonts can't show becomes "?"
+const toWinAnsi = (text) => Array.from(String(text), char => {
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+  const code = char.charCodeAt(0);
+  return (code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) ? char : '?';
+}).join('');
+
+export const toPdfString = (text) => `(${toWinAnsi(text).replace(/[\\()]/g, '\\$&')})`;
+
+const toBytes = (text) => Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF);
+
+const num = (value) => String(Math.round(value * 100) / 100);
+
+const pageContent = (page, imageNames) => page.items.map(item => {
+  if (item.type === 'image') {
+    const bottom = page.height - item.y - item.height;
+    return `q ${num(item.width)} 0 0 ${num(item.height)} ${num(item.x)} ${num(bottom)} cm /${imageNames.get(item)} Do Q`;
+  }
+  const font = item.bold ? 'F2' : 'F1';
+  const color = item.color ? `${item.color.map(c => num(c / 255)).join(' ')} rg ` : '';
+  return `BT ${color}/${font} ${num(item.size)} Tf ${num(item.x)} ${num(page.height - item.y)} Td ${toPdfString(item.text)} Tj ET`;
+}).join('\n');
+
+export const createPdf = (pages, { title = '' } = {}) => {
+  // Objects 1 and 2 are the catalog and page tree, filled in once the pages are known
+  const objects = [null, null];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const stream = (dictionary, data) => [`<< ${dictionary} /Length ${data.length} >>\nstream\n`, data, '\nendstream'];
+
+  const regularFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map(page => {
+    const imageNames = new Map();
+    const imageRefs = page.items.filter(item => item.type === 'image').map((image, i) => {
+      const name = `Im${i + 1}`;
+      imageNames.set(image, name);
+      const id = add(stream(
+        `/Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+        image.data
+      ));
+      return `/${name} ${id} 0 R`;
+    });
+    const contentId = add(stream('', toBytes(pageContent(page, imageNames))));
+    return add(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] `
+      + `/Resources << /Font << /F1 ${regularFont} 0 R /F2 ${boldFont} 0 R >> /XObject << ${imageRefs.join(' ')} >> >> `
+      + `/Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const info = add(`<< /Title ${toPdfString(title)} /Producer (Real Estate Dashboard) >>`);
+
+  // Serialize, recording each object's byte offset for the cross-reference table
+  const chunks = [];
+  let length = 0;
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? toBytes(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  const offsets = objects.map((body, i) => {
+    const offset = length;
+    write(`${i + 1} 0 obj\n`);
+    (Array.isArray(body) ? body : [body]).forEach(write);
+    write('\nendobj\n');
+    return offset;
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(bytes => {
+    pdf.set(bytes, position);
+    position += bytes.length;
+  });
+  return pdf;
+};
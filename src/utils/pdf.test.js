@@ -0,0 +1,38 @@
+import { createPdf, toPdfString, A4_LANDSCAPE } from './pdf';
+
+const asText = (bytes) => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+test('escapes PDF strings and maps text to WinAnsi', () => {
+  expect(toPdfString('Price (Millions) \\ total')).toBe('(Price \\(Millions\\) \\\\ total)');
+  expect(toPdfString('$2M – $4M • 日本')).toBe('($2M \x96 $4M \x95 ??)');
+});
+
+test('writes pages with text and JPEG images and a valid cross-reference table', () => {
+  const jpeg = Uint8Array.from([0xFF, 0xD8, 0xFF, 0xD9]);
+  const pdf = asText(createPdf([
+    { ...A4_LANDSCAPE, items: [{ type: 'text', text: 'Cover', x: 40, y: 100, size: 20, bold: true }] },
+    {
+      ...A4_LANDSCAPE,
+      items: [
+        { type: 'text', text: 'Price Distribution', x: 40, y: 56, size: 16, color: [85, 85, 85] },
+        { type: 'image', data: jpeg, pixelWidth: 1100, pixelHeight: 800, x: 100, y: 80, width: 550, height: 400 }
+      ]
+    }
+  ], { title: 'Report' }));
+
+  expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+  expect(pdf.endsWith('%%EOF\n')).toBe(true);
+  expect(pdf).toContain('/Type /Pages /Kids [6 0 R 9 0 R] /Count 2');
+  expect(pdf).toContain('BT /F2 20 Tf 40 495 Td (Cover) Tj ET');
+  expect(pdf).toContain('BT 0.33 0.33 0.33 rg /F1 16 Tf 40 539 Td (Price Distribution) Tj ET');
+  // Images are placed by their bottom-left corner: 595 - 80 - 400 = 115
+  expect(pdf).toContain('q 550 0 0 400 100 115 cm /Im1 Do Q');
+  expect(pdf).toContain('/Width 1100 /Height 800 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length 4 >>');
+  expect(pdf).toContain('/Title (Report)');
+
+  const xrefOffset = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+  expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+  const entries = pdf.slice(xrefOffset).match(/(\d{10}) 00000 n /g).map(entry => Number(entry.slice(0, 10)));
+  expect(entries).toHaveLength(10);
+  entries.forEach((offset, i) => expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj\n`)).toBe(true));
+});
@@ -0,0 +1,24 @@
+import * as d3 from 'd3';
+
+// Hit-testing for the scatter plot's brush and lasso selection and its canvas hover. `position(d)`
+// gives a point's [x, y] in the same coordinates as the brushed rectangle, drawn polygon or cursor.
+
+// Points inside a brushed rectangle [[x0, y0], [x1, y1]], edges included
+export const pointsInRect = (points, position, [[x0, y0], [x1, y1]]) => points.filter(d => {
+  const [x, y] = position(d);
+  return x >= x0 && x <= x1 && y >= y0 && y <= y1;
+});
+
+// Points inside a lasso polygon [[x, y], ...], which is closed between its last and first vertex
+export const pointsInPolygon = (points, position, polygon) =>
+  points.filter(d => d3.polygonContains(polygon, position(d)));
+
+// Nearest point to a cursor position, found with a quadtree built once for the layout: a function
+// (x, y) => point, or null when no point lies within `radius`
+export const createNearestPointFinder = (points, position, radius) => {
+  const quadtree = d3.quadtree()
+    .x(d => position(d)[0])
+    .y(d => position(d)[1])
+    .addAll(points);
+  return (x, y) => quadtree.find(x, y, radius) || null;
+};
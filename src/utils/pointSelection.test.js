@@ -0,0 +1,40 @@
+import { pointsInRect, pointsInPolygon, createNearestPointFinder } from './pointSelection';
+
+// Points on a 10 x 10 grid, positioned at their own coordinates
+const points = Array.from({ length: 100 }, (_, i) => ({ id: i, x: i % 10, y: Math.floor(i / 10) }));
+const position = d => [d.x, d.y];
+const ids = selected => selected.map(d => d.id);
+
+test('brush selects the points inside the rectangle, edges included', () => {
+  expect(ids(pointsInRect(points, position, [[2, 3], [4, 4]]))).toEqual([32, 33, 34, 42, 43, 44]);
+  expect(pointsInRect(points, position, [[2.2, 3.2], [2.8, 3.8]])).toEqual([]);
+
+  // Brushing happens on screen, so the position can include a zoom transform
+  const zoomed = d => [d.x * 2 + 1, d.y * 2 + 1];
+  expect(ids(pointsInRect(points, zoomed, [[0, 0], [3, 3]]))).toEqual([0, 1, 10, 11]);
+});
+
+test('lasso selects the points inside the drawn shape', () => {
+  // A triangle left open: the last vertex joins the first
+  const triangle = [[-0.5, -0.5], [6.5, -0.5], [-0.5, 6.5]];
+  const selected = ids(pointsInPolygon(points, position, triangle));
+  expect(selected).toEqual(points.filter(d => d.x + d.y <= 5).map(d => d.id));
+
+  // A concave shape leaves out the points in its notch
+  const notched = [[-0.5, -0.5], [9.5, -0.5], [9.5, 9.5], [5.5, 9.5], [5.5, 2.5], [3.5, 2.5], [3.5, 9.5], [-0.5, 9.5]];
+  const inNotch = pointsInPolygon(points, position, notched).filter(d => d.x >= 4 && d.x <= 5 && d.y >= 3);
+  expect(inNotch).toEqual([]);
+  expect(pointsInPolygon(points, position, notched)).toHaveLength(100 - 2 * 7);
+});
+
+test('hover finds the nearest point within the radius', () => {
+  const spread = d => [d.x * 20, d.y * 20];
+  const findNearest = createNearestPointFinder(points, spread, 6);
+  expect(findNearest(41, 62).id).toBe(32);
+  expect(findNearest(45.9, 60).id).toBe(32);
+  // Between points, but further than the radius from each
+  expect(findNearest(50, 50)).toBeNull();
+  expect(findNearest(46.1, 60)).toBeNull();
+  expect(findNearest(-20, -20)).toBeNull();
+  expect(createNearestPointFinder([], spread, 6)(0, 0)).toBeNull();
+});
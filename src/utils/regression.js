@@ -0,0 +1,424 @@
+// Least-squares fits for the scatter plot trend line and the report narrative
+
+// Ordinary least squares line through [x, y] pairs, skipping non-finite values:
+// { slope, intercept, n }, or null when there are fewer than two points or x has no spread
+export const fitLine = (points) => {
+  const finite = points.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  const n = finite.length;
+  if (n < 2) return null;
+
+  let sumX = 0;
+  let sumY = 0;
+  finite.forEach(([x, y]) => {
+    sumX += x;
+    sumY += y;
+  });
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  finite.forEach(([x, y]) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+  });
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return { slope, intercept: meanY - slope * meanX, n };
+};
+
+// Student's t distribution, for confidence intervals and p-values
+
+// Lanczos approximation of ln(Γ(x))
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  const shifted = x - 1;
+  let sum = 0.99999999999980993;
+  LANCZOS.forEach((c, i) => {
+    sum += c / (shifted + i + 1);
+  });
+  const t = shifted + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Continued fraction of the incomplete beta function (modified Lentz's method)
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 200; m++) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / (Math.abs(1 + even * d) < tiny ? tiny : 1 + even * d);
+    c = Math.abs(1 + even / c) < tiny ? tiny : 1 + even / c;
+    result *= d * c;
+    const odd = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / (Math.abs(1 + odd * d) < tiny ? tiny : 1 + odd * d);
+    c = Math.abs(1 + odd / c) < tiny ? tiny : 1 + odd / c;
+    const step = d * c;
+    result *= step;
+    if (Math.abs(step - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+// P(T <= t) for `df` degrees of freedom (which need not be whole)
+export const studentTCdf = (t, df) => {
+  if (!Number.isFinite(t)) return t > 0 ? 1 : 0;
+  const tail = 0.5 * regularizedBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+};
+
+// The t with P(T <= t) = p, found by bisection
+export const studentTQuantile = (p, df) => {
+  let low = -1;
+  let high = 1;
+  while (studentTCdf(low, df) > p) low *= 2;
+  while (studentTCdf(high, df) < p) high *= 2;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (studentTCdf(middle, df) < p) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+};
+
+// Inverse of a symmetric positive definite matrix by Gauss-Jordan elimination; null when singular
+const invert = (matrix) => {
+  const size = matrix.length;
+  const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])));
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (!(Math.abs(rows[pivot][col]) > scale * 1e-12)) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    const divisor = rows[col][col];
+    rows[col] = rows[col].map(value => value / divisor);
+    rows.forEach((row, r) => {
+      const factor = row[col];
+      if (r === col || factor === 0) return;
+      rows[r] = row.map((value, j) => value - factor * rows[col][j]);
+    });
+  }
+  return rows.map(row => row.slice(size));
+};
+
+// Weighted least squares for a design matrix (one row of predictors per observation, including the
+// intercept column): { coefficients, inverse } where inverse = (X'WX)^-1, or null when the
+// predictors are collinear. Weights default to 1.
+export const leastSquares = (design, y, weights = null) => {
+  const p = design[0].length;
+  const xtx = Array.from({ length: p }, () => new Array(p).fill(0));
+  const xty = new Array(p).fill(0);
+  design.forEach((row, i) => {
+    const w = weights ? weights[i] : 1;
+    for (let j = 0; j < p; j++) {
+      xty[j] += w * row[j] * y[i];
+      for (let k = j; k < p; k++) xtx[j][k] += w * row[j] * row[k];
+    }
+  });
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < j; k++) xtx[j][k] = xtx[k][j];
+  }
+  const inverse = invert(xtx);
+  if (!inverse) return null;
+  const coefficients = inverse.map(row => row.reduce((sum, value, k) => sum + value * xty[k], 0));
+  return { coefficients, inverse };
+};
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+const quadraticForm = (vector, matrix) => dot(vector, matrix.map(row => dot(row, vector)));
+
+const medianOf = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Trend models offered by the scatter plot
+export const TREND_MODELS = {
+  linear: { label: 'Linear' },
+  loglog: { label: 'Log-log' },
+  poly2: { label: 'Polynomial (degree 2)' },
+  poly3: { label: 'Polynomial (degree 3)' },
+  loess: { label: 'LOESS' },
+  robust: { label: 'Robust linear (Huber)' }
+};
+
+// Points drawn along the fitted curve and its bands
+const CURVE_POINTS = 60;
+
+// Huber's tuning constant: residuals beyond this many robust standard deviations are down-weighted
+const HUBER_K = 1.345;
+
+// Share of the points in each LOESS neighbourhood, and how many points its fit statistics and
+// predictions are computed from (every point for smaller datasets, an even spread of them for larger ones)
+const LOESS_SPAN = 0.75;
+const LOESS_SAMPLE_SIZE = 300;
+const MIN_LOESS_POINTS = 10;
+
+// Huber weights for the residuals, scaled by their median absolute deviation; null without spread
+const huberWeights = (residuals) => {
+  const scale = medianOf(residuals.map(Math.abs)) / 0.6745;
+  if (!(scale > 0)) return null;
+  return residuals.map(r => Math.min(1, HUBER_K / Math.abs(r / scale)));
+};
+
+const curveXs = (xs) => {
+  const min = Math.min(...xs);
+  const max = Math.max(...xs);
+  return Array.from({ length: CURVE_POINTS }, (_, i) => min + ((max - min) * i) / (CURVE_POINTS - 1));
+};
+
+// R² and RMSE on the original scale of y, so the models can be compared with each other
+const fitQuality = (ys, fitted) => {
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let sse = 0;
+  let sst = 0;
+  ys.forEach((y, i) => {
+    sse += (y - fitted[i]) ** 2;
+    sst += (y - meanY) ** 2;
+  });
+  return { r2: sst > 0 ? 1 - sse / sst : undefined, rmse: Math.sqrt(sse / ys.length) };
+};
+
+// Linear, polynomial and log-log models: least squares on powers of the standardized x (or log x).
+// The robust model reweights the linear fit with Huber weights until the coefficients settle.
+const fitParametric = (pairs, model, level) => {
+  const logs = model === 'loglog';
+  const degree = model === 'poly2' ? 2 : model === 'poly3' ? 3 : 1;
+  const p = degree + 1;
+  const usable = logs ? pairs.filter(([x, y]) => x > 0 && y > 0) : pairs;
+  const n = usable.length;
+  if (n < p + 2) return null;
+
+  const us = usable.map(([x]) => (logs ? Math.log(x) : x));
+  const vs = usable.map(([, y]) => (logs ? Math.log(y) : y));
+  const center = us.reduce((a, b) => a + b, 0) / n;
+  const spread = Math.sqrt(us.reduce((sum, u) => sum + (u - center) ** 2, 0) / n);
+  if (!(spread > 0)) return null;
+  const basis = (u) => Array.from({ length: p }, (_, power) => ((u - center) / spread) ** power);
+  const design = us.map(basis);
+
+  let weights = null;
+  let solution = leastSquares(design, vs);
+  if (solution && model === 'robust') {
+    for (let iteration = 0; iteration < 50; iteration++) {
+      const current = solution.coefficients;
+      const nextWeights = huberWeights(vs.map((v, i) => v - dot(design[i], current)));
+      if (!nextWeights) break;
+      const next = leastSquares(design, vs, nextWeights);
+      if (!next) break;
+      weights = nextWeights;
+      solution = next;
+      const change = Math.max(...next.coefficients.map((c, j) => Math.abs(c - current[j])));
+      if (change < 1e-8 * (1 + Math.abs(next.coefficients[0]))) break;
+    }
+  }
+  if (!solution) return null;
+
+  const { coefficients, inverse } = solution;
+  const df = n - p;
+  const residuals = vs.map((v, i) => v - dot(design[i], coefficients));
+  const variance = residuals.reduce((sum, r, i) => sum + (weights ? weights[i] : 1) * r * r, 0) / df;
+  const t = studentTQuantile(1 - (1 - level) / 2, df);
+  const back = logs ? Math.exp : (v => v);
+
+  // Log-log has no prediction for zero or negative x
+  const predict = (x) => (logs && !(x > 0) ? NaN : back(dot(basis(logs ? Math.log(x) : x), coefficients)));
+  const curve = curveXs(usable.map(([x]) => x)).map(x => {
+    const row = basis(logs ? Math.log(x) : x);
+    const fitted = dot(row, coefficients);
+    const meanError = Math.sqrt(variance * quadraticForm(row, inverse));
+    const predictionError = Math.sqrt(meanError ** 2 + variance);
+    return {
+      x,
+      y: back(fitted),
+      confidence: [back(fitted - t * meanError), back(fitted + t * meanError)],
+      prediction: [back(fitted - t * predictionError), back(fitted + t * predictionError)]
+    };
+  });
+
+  // Slope at the mean x: the x term's coefficient, rescaled from standardized units. For log-log
+  // it is the elasticity, the % change in y per 1% change in x.
+  const slopeError = Math.sqrt(variance * inverse[1][1]);
+  const slope = {
+    estimate: coefficients[1] / spread,
+    lower: (coefficients[1] - t * slopeError) / spread,
+    upper: (coefficients[1] + t * slopeError) / spread,
+    kind: logs ? 'elasticity' : degree > 1 ? 'atMean' : 'constant',
+    at: logs ? Math.exp(center) : center
+  };
+
+  return {
+    model,
+    n,
+    excluded: pairs.length - n,
+    ...fitQuality(usable.map(([, y]) => y), usable.map(([x]) => predict(x))),
+    slope,
+    predict,
+    curve
+  };
+};
+
+// Locally weighted linear regression with tricube weights over the nearest LOESS_SPAN of the points.
+// Returns the fitted value and the weight each point gets in it, so errors and leverages follow.
+const localFit = (sorted, x0, size) => {
+  let left = 0;
+  let right = sorted.length;
+  while (left < right) {
+    const middle = (left + right) >> 1;
+    if (sorted[middle][0] < x0) left = middle + 1;
+    else right = middle;
+  }
+  // Grow a window of `size` nearest points around x0
+  let start = left;
+  let end = left;
+  while (end - start < size) {
+    const takeLeft = start > 0 && (end >= sorted.length || x0 - sorted[start - 1][0] <= sorted[end][0] - x0);
+    if (takeLeft) start -= 1;
+    else end += 1;
+  }
+  const maxDistance = Math.max(x0 - sorted[start][0], sorted[end - 1][0] - x0);
+
+  const weights = [];
+  let sumW = 0;
+  let sumWX = 0;
+  for (let i = start; i < end; i++) {
+    const distance = maxDistance > 0 ? Math.abs(sorted[i][0] - x0) / (maxDistance * 1.000001) : 0;
+    const w = (1 - distance ** 3) ** 3;
+    weights.push(w);
+    sumW += w;
+    sumWX += w * sorted[i][0];
+  }
+  const meanX = sumWX / sumW;
+  let sxx = 0;
+  weights.forEach((w, k) => {
+    sxx += w * (sorted[start + k][0] - meanX) ** 2;
+  });
+
+  // Each point's weight in the fitted value: w_i (1/Σw + (x0 - x̄)(x_i - x̄) / Σw(x_i - x̄)²)
+  let fitted = 0;
+  let sumSquares = 0;
+  const influence = weights.map((w, k) => {
+    const xi = sorted[start + k][0];
+    const l = w * (1 / sumW + (sxx > 0 ? ((x0 - meanX) * (xi - meanX)) / sxx : 0));
+    fitted += l * sorted[start + k][1];
+    sumSquares += l * l;
+    return l;
+  });
+  return { fitted, sumSquares, start, influence };
+};
+
+// Predictions are local fits at the x asked for. With more distinct x values than LOESS_SAMPLE_SIZE
+// they interpolate between local fits at an even spread of them instead (as R's loess does), so
+// predicting every point, e.g. for residuals, doesn't run a local fit over most of the data per point.
+const loessPredictor = (sorted, size) => {
+  const exact = x => localFit(sorted, x, size).fitted;
+  const distinct = sorted.map(([x]) => x).filter((x, i) => i === 0 || x !== sorted[i - 1][0]);
+  if (distinct.length <= LOESS_SAMPLE_SIZE) return exact;
+
+  const vertices = Array.from({ length: LOESS_SAMPLE_SIZE }, (_, s) =>
+    distinct[Math.round((s * (distinct.length - 1)) / (LOESS_SAMPLE_SIZE - 1))]);
+  // Only computed once something asks for a prediction, as drawing the trend doesn't
+  let surface = null;
+  return (x) => {
+    // Outside the data there is nothing to interpolate between
+    if (!(x >= vertices[0] && x <= vertices[vertices.length - 1])) return exact(x);
+    if (!surface) surface = vertices.map(exact);
+    let low = 0;
+    let high = vertices.length - 1;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (vertices[middle] <= x) low = middle;
+      else high = middle;
+    }
+    return surface[low] + ((surface[high] - surface[low]) * (x - vertices[low])) / (vertices[high] - vertices[low]);
+  };
+};
+
+const fitLoess = (pairs, level) => {
+  const n = pairs.length;
+  if (n < MIN_LOESS_POINTS) return null;
+  const sorted = [...pairs].sort((a, b) => a[0] - b[0]);
+  if (sorted[0][0] === sorted[n - 1][0]) return null;
+  const size = Math.max(3, Math.ceil(LOESS_SPAN * n));
+
+  // Residuals and leverages (a point's weight in its own fit) at an even spread of the points
+  const sampleSize = Math.min(n, LOESS_SAMPLE_SIZE);
+  let sse = 0;
+  let trace = 0;
+  for (let s = 0; s < sampleSize; s++) {
+    const index = Math.round((s * (n - 1)) / Math.max(1, sampleSize - 1));
+    const [x, y] = sorted[index];
+    const { fitted, start, influence } = localFit(sorted, x, size);
+    sse += (y - fitted) ** 2;
+    const own = index - start;
+    trace += own >= 0 && own < influence.length ? influence[own] : 0;
+  }
+  sse *= n / sampleSize;
+  // Equivalent number of parameters
+  const parameters = (trace * n) / sampleSize;
+  const df = Math.max(1, n - parameters);
+  const variance = sse / df;
+  const t = studentTQuantile(1 - (1 - level) / 2, df);
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  const sst = pairs.reduce((sum, [, y]) => sum + (y - meanY) ** 2, 0);
+
+  const curve = curveXs(sorted.map(([x]) => x)).map(x => {
+    const { fitted, sumSquares } = localFit(sorted, x, size);
+    const meanError = Math.sqrt(variance * sumSquares);
+    const predictionError = Math.sqrt(variance * (1 + sumSquares));
+    return {
+      x,
+      y: fitted,
+      confidence: [fitted - t * meanError, fitted + t * meanError],
+      prediction: [fitted - t * predictionError, fitted + t * predictionError]
+    };
+  });
+
+  return {
+    model: 'loess',
+    n,
+    excluded: 0,
+    r2: sst > 0 ? 1 - sse / sst : undefined,
+    rmse: Math.sqrt(sse / n),
+    slope: null,
+    predict: loessPredictor(sorted, size),
+    curve
+  };
+};
+
+// Fits one of the TREND_MODELS to [x, y] pairs, skipping non-finite values (and non-positive ones
+// for log-log). Returns null when there are too few usable points, otherwise:
+//   { model, n, excluded, r2, rmse,
+//     slope: { estimate, lower, upper, kind, at } - null for LOESS; kind is 'constant', 'atMean'
+//            (polynomials, at x = at) or 'elasticity' (log-log),
+//     predict: x => y,
+//     curve: [{ x, y, confidence: [low, high], prediction: [low, high] }] - across the x range }
+// Intervals and bands are at the given confidence level. For the robust model they use the final
+// Huber weights, and for LOESS its equivalent number of parameters, so both are approximate.
+export const fitModel = (points, model = 'linear', level = 0.95) => {
+  const pairs = points.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  if (model === 'loess') return fitLoess(pairs, level);
+  return fitParametric(pairs, model, level);
+};
@@ -0,0 +1,74 @@
+import { fitLine, fitModel, studentTCdf, studentTQuantile } from './regression';
+
+test('fits a least-squares line and skips missing values', () => {
+  const fit = fitLine([[1, 3], [2, 5], [3, 7], [4, NaN], [Infinity, 1]]);
+  expect(fit.slope).toBeCloseTo(2);
+  expect(fit.intercept).toBeCloseTo(1);
+  expect(fit.n).toBe(3);
+});
+
+test('has no line without spread in x', () => {
+  expect(fitLine([[2, 1], [2, 5]])).toBeNull();
+  expect(fitLine([[1, 1]])).toBeNull();
+});
+
+test('t distribution matches tabulated values', () => {
+  expect(studentTQuantile(0.975, 10)).toBeCloseTo(2.228, 3);
+  expect(studentTQuantile(0.975, 1)).toBeCloseTo(12.706, 2);
+  expect(studentTCdf(0, 5)).toBeCloseTo(0.5);
+  expect(2 * (1 - studentTCdf(2.0, 30))).toBeCloseTo(0.0546, 3);
+});
+
+test('linear fit reports R², RMSE and a slope interval that widens with noise', () => {
+  const xs = Array.from({ length: 20 }, (_, i) => i);
+  const noise = xs.map(i => (i % 2 === 0 ? 1 : -1));
+  const exact = fitModel(xs.map(x => [x, 3 * x + 5]));
+  expect(exact.r2).toBeCloseTo(1);
+  expect(exact.rmse).toBeCloseTo(0);
+  expect(exact.slope.estimate).toBeCloseTo(3);
+  expect(exact.slope.kind).toBe('constant');
+
+  const noisy = fitModel(xs.map((x, i) => [x, 3 * x + 5 + noise[i]]));
+  expect(noisy.slope.lower).toBeLessThan(noisy.slope.estimate);
+  expect(noisy.slope.upper).toBeGreaterThan(noisy.slope.estimate);
+  expect(noisy.r2).toBeLessThan(1);
+  const middle = noisy.curve[30];
+  expect(middle.prediction[0]).toBeLessThan(middle.confidence[0]);
+  expect(middle.prediction[1]).toBeGreaterThan(middle.confidence[1]);
+});
+
+test('polynomial and log-log models recover curved relationships', () => {
+  const xs = Array.from({ length: 15 }, (_, i) => i + 1);
+  const quadratic = fitModel(xs.map(x => [x, x * x - 4 * x + 2]), 'poly2');
+  expect(quadratic.r2).toBeCloseTo(1);
+  expect(quadratic.predict(20)).toBeCloseTo(322);
+  expect(quadratic.slope.kind).toBe('atMean');
+  expect(quadratic.slope.estimate).toBeCloseTo(2 * 8 - 4);
+
+  const power = fitModel([[0, 5], ...xs.map(x => [x, 7 * x ** 1.5])], 'loglog');
+  expect(power.excluded).toBe(1);
+  expect(power.slope.kind).toBe('elasticity');
+  expect(power.slope.estimate).toBeCloseTo(1.5);
+  expect(power.predict(4)).toBeCloseTo(56);
+});
+
+test('robust fit resists an outlier that pulls least squares', () => {
+  const points = Array.from({ length: 30 }, (_, i) => [i, 2 * i + (i % 3) - 1]);
+  points[29] = [29, 400];
+  const ordinary = fitModel(points);
+  const robust = fitModel(points, 'robust');
+  expect(Math.abs(robust.slope.estimate - 2)).toBeLessThan(0.1);
+  expect(Math.abs(ordinary.slope.estimate - 2)).toBeGreaterThan(1);
+});
+
+test('LOESS follows a curve the straight line misses', () => {
+  const points = Array.from({ length: 60 }, (_, i) => [i, (i - 30) ** 2 / 10]);
+  const loess = fitModel(points, 'loess');
+  expect(loess.slope).toBeNull();
+  expect(loess.r2).toBeGreaterThan(0.9);
+  expect(fitModel(points).r2).toBeLessThan(0.1);
+  // Local lines reproduce a straight line exactly
+  expect(fitModel(points.map(([x]) => [x, 2 * x + 1]), 'loess').predict(12.5)).toBeCloseTo(26);
+  expect(loess.curve).toHaveLength(60);
+  expect(fitModel(points.slice(0, 5), 'loess')).toBeNull();
+});
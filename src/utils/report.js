@@ -0,0 +1,218 @@
+import { NUMERIC_FIELDS, SLOPE_STEPS, formatFieldChange } from '../constants/fields';
+import { HEATMAP_VIEWS } from '../constants/chartDimensions';
+import { CHART_VIEWS, DEFAULT_CHART_SETTINGS } from '../constants/chartViews';
+import { describeFilters } from './filters';
+import { mean, median, quantile, correlation } from './stats';
+import { fitLine, fitModel, TREND_MODELS } from './regression';
+
+// Tables and narrative for the printable market report. Everything is derived from the filtered
+// properties and the chart aggregates, so the same saved view regenerates the report on new data.
+// Tables are { columns: [label], rows: [[cell]] } with cells already formatted.
+
+const formatPrice = NUMERIC_FIELDS.price.format;
+const formatShare = (count, total) => `${total > 0 ? Math.round((count / total) * 100) : 0}%`;
+const formatSigned = (value, format) => `${value >= 0 ? '+' : '-'}${format(Math.abs(value))}`;
+
+// Heatmap cells with fewer properties are left out of the "most expensive" comparison
+const MIN_CELL_SIZE = 5;
+
+const formatBinEdge = (field, value) => (field.discrete ? value.toFixed(1) : field.format(value));
+
+export const buildHistogramTable = ({ variable, bins }) => {
+  const field = NUMERIC_FIELDS[variable];
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  return {
+    columns: [`${field.label} range`, 'Properties', 'Share'],
+    rows: bins.map(bin => [
+      `${formatBinEdge(field, bin.x0)} - ${formatBinEdge(field, bin.x1)}`,
+      bin.count,
+      formatShare(bin.count, total)
+    ])
+  };
+};
+
+export const buildDonutTable = ({ total, slices }) => ({
+  columns: ['Group', 'Properties', 'Share'],
+  rows: slices.map(slice => [slice.status, slice.count, formatShare(slice.count, total)])
+});
+
+// Average price (and property count) per cell, laid out like the chart: one row per y value
+export const buildHeatmapTable = ({ viewMode, xDomain, yDomain, cells }) => {
+  const view = HEATMAP_VIEWS[viewMode];
+  const formatY = view.formatY || String;
+  const cellAt = new Map(cells.map(cell => [`${cell.x}|${cell.y}`, cell]));
+  return {
+    columns: [`${view.yLabel} / ${view.xLabel}`, ...xDomain.map(String)],
+    rows: yDomain.map(y => [
+      formatY(y),
+      ...xDomain.map(x => {
+        const cell = cellAt.get(`${x}|${y}`);
+        return cell ? `${formatPrice(cell.avgPrice)} (${cell.count})` : '-';
+      })
+    ])
+  };
+};
+
+const byPremium = (premiums) => Object.values(premiums).sort((a, b) => b.premiumPercent - a.premiumPercent);
+
+export const buildPremiumTable = (premiums) => ({
+  columns: ['Feature', 'With ($/sq ft)', 'Without ($/sq ft)', 'Premium (median home)', 'Premium %', 'Properties with feature'],
+  rows: byPremium(premiums).map(p => [
+    p.name,
+    NUMERIC_FIELDS.pricePerSqFt.format(p.pricePerSqFtWith),
+    NUMERIC_FIELDS.pricePerSqFt.format(p.pricePerSqFtWithout),
+    formatSigned(p.premium, formatPrice),
+    formatSigned(p.premiumPercent, value => `${value.toFixed(1)}%`),
+    p.sampleSize
+  ])
+});
+
+const describeStrength = (r) => {
+  const size = Math.abs(r);
+  if (size < 0.3) return 'weak';
+  if (size < 0.6) return 'moderate';
+  return 'strong';
+};
+
+const overviewNarrative = (data, totalCount, filters) => {
+  const activeFilters = describeFilters(filters).length;
+  const prices = data.map(d => d.price);
+  const pricePerSqFt = data.map(NUMERIC_FIELDS.pricePerSqFt.accessor);
+  return [
+    `${data.length} of ${totalCount} properties are included${activeFilters > 0 ? ' after the filters below' : ', with no filters applied'}.`,
+    `Their median price is ${formatPrice(median(prices))}, and the middle half sells between ${formatPrice(quantile(prices, 0.25))} and ${formatPrice(quantile(prices, 0.75))}.`,
+    `The median home has ${NUMERIC_FIELDS.area.format(median(data.map(d => d.area)))} at ${NUMERIC_FIELDS.pricePerSqFt.format(median(pricePerSqFt))} per sq ft.`
+  ].join(' ');
+};
+
+const scatterNarrative = (data, { xVariable, yVariable, trendModel }) => {
+  const xField = NUMERIC_FIELDS[xVariable];
+  const yField = NUMERIC_FIELDS[yVariable];
+  const xs = data.map(xField.accessor);
+  const ys = data.map(yField.accessor);
+  const r = correlation(xs, ys);
+  const fit = fitLine(xs.map((x, i) => [x, ys[i]]));
+  if (r === undefined || !fit) {
+    return `There are too few distinct properties to relate ${yField.label.toLowerCase()} to ${xField.label.toLowerCase()}.`;
+  }
+  const step = SLOPE_STEPS[xVariable];
+  const sentences = [
+    `${yField.label} and ${xField.label.toLowerCase()} show a ${describeStrength(r)} ${r >= 0 ? 'positive' : 'negative'} relationship (r = ${r.toFixed(2)}).`,
+    `On a straight-line fit, each additional ${step.label} goes with ${formatSigned(fit.slope * step.size, value => formatFieldChange(yVariable, value))} `
+      + `in ${yField.label.toLowerCase()}.`
+  ];
+  const trend = fitModel(xs.map((x, i) => [x, ys[i]]), trendModel);
+  if (trend && trend.r2 !== undefined) {
+    sentences.push(`The ${TREND_MODELS[trendModel].label.toLowerCase()} trend on the chart explains ${Math.round(trend.r2 * 100)}% `
+      + `of the variation (R² = ${trend.r2.toFixed(2)}), with a typical error of ${formatFieldChange(yVariable, trend.rmse)}.`);
+  }
+  return sentences.join(' ');
+};
+
+const histogramNarrative = (data, { variable, bins }) => {
+  const field = NUMERIC_FIELDS[variable];
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  if (total === 0) return `No properties have a ${field.label.toLowerCase()} to chart.`;
+  const peak = bins.reduce((best, bin) => (bin.count > best.count ? bin : best), bins[0]);
+  const values = data.map(field.accessor);
+  const average = mean(values);
+  const middle = median(values);
+  const sentences = [
+    `The most common ${field.label.toLowerCase()} range is ${formatBinEdge(field, peak.x0)} - ${formatBinEdge(field, peak.x1)}, `
+      + `with ${peak.count} properties (${formatShare(peak.count, total)}).`
+  ];
+  if (!field.discrete && average !== undefined && middle > 0 && Math.abs(average - middle) / middle > 0.05) {
+    sentences.push(`The mean (${field.format(average)}) is ${average > middle ? 'above' : 'below'} the median (${field.format(middle)}), `
+      + `so a tail of ${average > middle ? 'high' : 'low'} values pulls the average.`);
+  }
+  return sentences.join(' ');
+};
+
+const donutNarrative = ({ total, slices }) => {
+  if (slices.length === 0) return 'No properties to group.';
+  const ordered = [...slices].sort((a, b) => b.count - a.count);
+  const largest = ordered[0];
+  const smallest = ordered[ordered.length - 1];
+  return `${largest.status} is the largest group with ${largest.count} properties (${formatShare(largest.count, total)})`
+    + (ordered.length > 1 ? `; ${smallest.status} is the smallest with ${smallest.count} (${formatShare(smallest.count, total)}).` : '.');
+};
+
+const heatmapNarrative = ({ viewMode, cells }) => {
+  if (cells.length === 0) return 'No configurations to compare.';
+  const view = HEATMAP_VIEWS[viewMode];
+  const common = cells.reduce((best, cell) => (cell.count > best.count ? cell : best), cells[0]);
+  const sentences = [`The most common configuration is ${view.cellTitle(common.x, common.y)} (${common.count} properties).`];
+  const comparable = cells.filter(cell => cell.count >= MIN_CELL_SIZE);
+  if (comparable.length > 0) {
+    const priciest = comparable.reduce((best, cell) => (cell.avgPrice > best.avgPrice ? cell : best), comparable[0]);
+    sentences.push(`Among configurations with at least ${MIN_CELL_SIZE} properties, ${view.cellTitle(priciest.x, priciest.y)} `
+      + `has the highest average price at ${formatPrice(priciest.avgPrice)}.`);
+  }
+  return sentences.join(' ');
+};
+
+// The term the all-features regression is most sure about, with the other features held fixed
+const hedonicSentence = (model) => {
+  const terms = model ? model.coefficients.filter(c => c.key !== 'intercept' && c.pValue !== undefined) : [];
+  if (terms.length === 0) return null;
+  const strongest = terms.reduce((best, c) => (c.pValue < best.pValue ? c : best));
+  const effect = model.response === 'logPrice'
+    ? formatSigned((Math.exp(strongest.estimate) - 1) * 100, value => `${value.toFixed(1)}%`)
+    : formatSigned(strongest.estimate, value => formatFieldChange('price', value));
+  return `With every other feature held fixed, a regression on all features (adjusted R² = ${model.adjustedR2.toFixed(2)}) `
+    + `is most certain about ${strongest.label.toLowerCase()}: ${effect} in price (p ${strongest.pValue < 0.001 ? '< 0.001' : `= ${strongest.pValue.toFixed(3)}`}).`;
+};
+
+const premiumNarrative = (premiums, hedonicModel) => {
+  const ordered = byPremium(premiums);
+  if (ordered.length === 0) return 'Premiums need properties both with and without a feature; the current selection has none to compare.';
+  const top = ordered[0];
+  const sentences = [
+    `${top.name} carries the largest premium: ${formatSigned(top.premiumPercent, value => `${value.toFixed(1)}%`)} per sq ft, `
+      + `about ${formatSigned(top.premium, formatPrice)} for a median-sized home (${top.sampleSize} ${top.sampleSize === 1 ? 'property has' : 'properties have'} it).`
+  ];
+  const negative = ordered.filter(p => p.premium < 0).map(p => p.name);
+  if (negative.length > 0) {
+    sentences.push(`${negative.join(', ')} ${negative.length === 1 ? 'goes' : 'go'} with lower prices per sq ft.`);
+  }
+  const hedonic = hedonicSentence(hedonicModel);
+  if (hedonic) sentences.push(hedonic);
+  return sentences.join(' ');
+};
+
+const SETTING_LABELS = {
+  bedrooms: 'bedrooms',
+  bathrooms: 'bathrooms',
+  stories: 'stories',
+  parking: 'parking',
+  furnishingstatus: 'furnishing status',
+  airconditioning: 'air conditioning',
+  location: 'location'
+};
+
+const chartLabel = (key) => CHART_VIEWS.find(view => view.key === key).label;
+
+// The chart controls behind the report, listed on its cover so a regenerated report can be compared
+export const describeChartSettings = ({ scatter, histogram, donut, heatmap }) => [
+  `${chartLabel('scatter')}: ${NUMERIC_FIELDS[scatter.yVariable].label.toLowerCase()} against ${NUMERIC_FIELDS[scatter.xVariable].label.toLowerCase()}, colored by ${SETTING_LABELS[scatter.colorBy]}, `
+    + `${TREND_MODELS[scatter.trendModel].label.toLowerCase()} trend${scatter.trendScope === 'group' ? ' per group' : ''}`,
+  `${chartLabel('histogram')}: ${NUMERIC_FIELDS[histogram.variable].label.toLowerCase()} in ${histogram.binCount} bins`,
+  `${chartLabel('donut')}: grouped by ${SETTING_LABELS[donut.analysisType]}`,
+  `${chartLabel('heatmap')}: ${HEATMAP_VIEWS[heatmap.viewMode].xLabel.toLowerCase()} by ${HEATMAP_VIEWS[heatmap.viewMode].yLabel.toLowerCase()}`
+];
+
+// One paragraph per report section: { overview, scatter, histogram, donut, heatmap, featurePremium }
+export const buildReportNarrative = ({ data, totalCount, filters, aggregates, chartSettings = DEFAULT_CHART_SETTINGS }) => {
+  if (data.length === 0) {
+    const empty = 'No properties match the active filters.';
+    return { overview: empty, scatter: empty, histogram: empty, donut: empty, heatmap: empty, featurePremium: empty };
+  }
+  return {
+    overview: overviewNarrative(data, totalCount, filters),
+    scatter: scatterNarrative(data, chartSettings.scatter),
+    histogram: histogramNarrative(data, aggregates.histogram),
+    donut: donutNarrative(aggregates.donut),
+    heatmap: heatmapNarrative(aggregates.heatmap),
+    featurePremium: premiumNarrative(aggregates.featurePremium, aggregates.hedonic)
+  };
+};
@@ -0,0 +1,66 @@
+import { buildHistogramTable, buildHeatmapTable, buildPremiumTable, buildReportNarrative } from './report';
+import { runDashboardComputation } from './aggregations';
+import { createEmptyFilters } from './filters';
+import { DEFAULT_CHART_SETTINGS } from '../constants/chartViews';
+
+const house = (id, overrides = {}) => ({
+  id, price: 4000000, area: 4000, bedrooms: 3, bathrooms: 1, stories: 2,
+  mainroad: true, guestroom: false, basement: false, hotwaterheating: false, airconditioning: false,
+  parking: 1, prefarea: false, furnishingstatus: 'furnished',
+  ...overrides
+});
+
+const rows = [
+  house(0, { price: 2000000, area: 2000, bedrooms: 2 }),
+  house(1, { price: 3000000, area: 3000, bedrooms: 2, airconditioning: true }),
+  house(2, { price: 4000000, area: 4000, airconditioning: true }),
+  house(3, { price: 5000000, area: 5000, parking: 3, prefarea: true }),
+  house(4, { price: 9000000, area: 6000, bathrooms: 2, airconditioning: true, furnishingstatus: 'unfurnished' })
+];
+
+const params = {
+  filters: createEmptyFilters(),
+  selectedIds: null,
+  histogram: { variable: 'price', binCount: 2 },
+  donut: { analysisType: 'furnishingstatus' },
+  heatmap: { viewMode: 'stories' }
+};
+const { aggregates } = runDashboardComputation(rows, params);
+
+test('tables format the histogram bins and the heatmap matrix', () => {
+  expect(buildHistogramTable(aggregates.histogram)).toEqual({
+    columns: ['Price range', 'Properties', 'Share'],
+    rows: [['$2.0M - $5.5M', 4, '80%'], ['$5.5M - $9.0M', 1, '20%']]
+  });
+
+  const heatmap = buildHeatmapTable(aggregates.heatmap);
+  expect(heatmap.columns).toEqual(['Parking Spaces / Number of Stories', '2']);
+  expect(heatmap.rows).toEqual([['0', '-'], ['1', '$4.5M (4)'], ['2', '-'], ['3+', '$5.0M (1)']]);
+});
+
+test('premium rows are ordered from the largest premium down', () => {
+  const table = buildPremiumTable(aggregates.featurePremium);
+  expect(table.rows.map(row => row[0])).toEqual(['Air Conditioning', 'Preferred Area']);
+  expect(table.rows[0][4]).toMatch(/^\+\d+\.\d%$/);
+});
+
+test('narrative is derived from the data and handles an empty selection', () => {
+  const narrative = buildReportNarrative({ data: rows, totalCount: 10, filters: params.filters, aggregates });
+  expect(narrative.overview).toMatch(/^5 of 10 properties are included, with no filters applied\. Their median price is \$4\.0M/);
+  expect(narrative.scatter).toMatch(/strong positive relationship \(r = 0\.9\d\)/);
+  expect(narrative.scatter).toMatch(/The linear trend on the chart explains \d+% of the variation \(R² = 0\.\d\d\)/);
+  expect(narrative.histogram).toMatch(/most common price range is \$2\.0M - \$5\.5M, with 4 properties \(80%\)/);
+  expect(narrative.donut).toBe('furnished is the largest group with 4 properties (80%); unfurnished is the smallest with 1 (20%).');
+
+  const bedrooms = buildReportNarrative({
+    data: rows,
+    totalCount: 10,
+    filters: params.filters,
+    aggregates,
+    chartSettings: { ...DEFAULT_CHART_SETTINGS, scatter: { ...DEFAULT_CHART_SETTINGS.scatter, xVariable: 'area', yVariable: 'bedrooms' } }
+  });
+  expect(bedrooms.scatter).toMatch(/^Bedrooms and area show a \w+ positive relationship .* each additional 1,000 sq ft goes with \+0\.\d\d in bedrooms\. The linear trend/);
+
+  const empty = buildReportNarrative({ data: [], totalCount: 10, filters: params.filters, aggregates });
+  expect(empty.overview).toBe('No properties match the active filters.');
+});
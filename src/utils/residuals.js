@@ -0,0 +1,43 @@
+import { NUMERIC_FIELDS } from '../constants/fields';
+import { quantile } from './stats';
+
+// Residuals against the scatter plot's trend: how far each property sits above (+) or below (-) the
+// fitted value for its X. With a price on the Y axis, a negative residual means the property costs
+// less than similar ones, i.e. it may be underpriced.
+
+// Y fields for which residuals (and the side of the trend line) read as over- or underpricing
+export const PRICE_VARIABLES = ['price', 'pricePerSqFt'];
+
+// Each property's residual: [{ row, fitted, residual, relative }], where relative is the residual as
+// a share of the fitted value (undefined when that is not positive). `fits` is [{ group, fit }] as
+// returned for the chart; with one fit per group, `groupOf(row)` picks the row's fit. Properties
+// without a fit (too small a group, or a value a log-log model can't use) are left out.
+export const computeResiduals = (rows, { xVariable, yVariable, fits, groupOf = null }) => {
+  const x = NUMERIC_FIELDS[xVariable].accessor;
+  const y = NUMERIC_FIELDS[yVariable].accessor;
+  const fitByGroup = new Map(fits.map(({ group, fit }) => [group, fit]));
+  const fitFor = groupOf ? row => fitByGroup.get(groupOf(row)) : () => fitByGroup.get(null);
+
+  return rows.flatMap(row => {
+    const fit = fitFor(row);
+    if (!fit) return [];
+    const fitted = fit.predict(x(row));
+    const residual = y(row) - fitted;
+    if (!Number.isFinite(fitted) || !Number.isFinite(residual)) return [];
+    return [{ row, fitted, residual, relative: fitted > 0 ? residual / fitted : undefined }];
+  });
+};
+
+// The `count` properties furthest below the trend and the `count` furthest above it, largest first
+export const rankResiduals = (residuals, count) => {
+  const ordered = [...residuals].sort((a, b) => a.residual - b.residual);
+  return {
+    under: ordered.filter(r => r.residual < 0).slice(0, count),
+    over: ordered.filter(r => r.residual > 0).reverse().slice(0, count)
+  };
+};
+
+// Half-width of the diverging color scale: the 95th percentile of the residual sizes, so a few
+// extreme properties don't wash out everyone else's colors
+export const residualColorLimit = (residuals) =>
+  quantile(residuals.map(r => Math.abs(r.residual)), 0.95) || 1;
@@ -0,0 +1,50 @@
+import { computeResiduals, rankResiduals, residualColorLimit } from './residuals';
+import { fitModel } from './regression';
+
+const house = (id, area, price, bedrooms = 3) => ({ id, area, price, bedrooms });
+const rows = [
+  house(0, 1000, 1000000),
+  house(1, 2000, 2500000),
+  house(2, 3000, 2600000),
+  house(3, 4000, 4000000),
+  house(4, 5000, 5400000),
+  house(5, 6000, 5500000, 4)
+];
+const pairs = rows.map(d => [d.area, d.price]);
+
+test('residuals are the distance from the fitted trend, ranked both ways', () => {
+  const fit = fitModel(pairs);
+  const residuals = computeResiduals(rows, { xVariable: 'area', yVariable: 'price', fits: [{ group: null, fit }] });
+  expect(residuals).toHaveLength(6);
+  residuals.forEach(({ row, fitted, residual, relative }) => {
+    expect(fitted).toBeCloseTo(fit.predict(row.area));
+    expect(residual).toBeCloseTo(row.price - fitted);
+    expect(relative).toBeCloseTo(residual / fitted);
+  });
+
+  const { under, over } = rankResiduals(residuals, 2);
+  expect(under.map(r => r.row.id)).toEqual([2, 5]);
+  expect(over.map(r => r.row.id)).toEqual([4, 1]);
+  expect(under[0].residual).toBeLessThan(under[1].residual);
+  expect(residualColorLimit(residuals)).toBeGreaterThan(0);
+});
+
+test('per-group residuals skip properties whose group has no fit', () => {
+  const fits = [{ group: 3, fit: fitModel(pairs.slice(0, 5)) }, { group: 4, fit: null }];
+  const residuals = computeResiduals(rows, { xVariable: 'area', yVariable: 'price', fits, groupOf: d => d.bedrooms });
+  expect(residuals.map(r => r.row.id)).toEqual([0, 1, 2, 3, 4]);
+  expect(residualColorLimit([])).toBe(1);
+});
+
+test('LOESS residuals for a large dataset interpolate the local fits', () => {
+  // Exact local fits for every property would take minutes here
+  const many = Array.from({ length: 20000 }, (_, i) => house(i, 1000 + (i % 9973) * 0.9 + i / 20000, 1000000 + ((i % 9973) - 5000) ** 2 * 0.1 + (i % 7) * 20000));
+  const fit = fitModel(many.map(d => [d.area, d.price]), 'loess');
+
+  const started = Date.now();
+  const residuals = computeResiduals(many, { xVariable: 'area', yVariable: 'price', fits: [{ group: null, fit }] });
+  expect(Date.now() - started).toBeLessThan(5000);
+  expect(residuals).toHaveLength(20000);
+  // Close to the curve drawn from exact local fits
+  fit.curve.slice(1, -1).forEach(({ x, y }) => expect(Math.abs(fit.predict(x) - y) / y).toBeLessThan(0.001));
+});
@@ -0,0 +1,88 @@
+import { serializeDashboardState, parseDashboardState } from './dashboardState';
+
+const STORAGE_KEY = 'realEstateDashboard.savedViews';
+const EXPORT_TYPE = 'real-estate-dashboard-views';
+const EXPORT_VERSION = 1;
+
+// A saved view stores the same query string as the URL hash, so views and links never drift apart:
+// { id, name, query: 'bedrooms=medium&amenities=ac', createdAt, updatedAt }
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// The printable report is an overlay on top of a view, so a view never reopens it
+const toViewQuery = (dashboardState) => serializeDashboardState({ ...dashboardState, report: false });
+
+// Run a query through the parser so stale or hand-edited options are dropped
+const normalizeQuery = (query) => toViewQuery(parseDashboardState(query || ''));
+
+const isViewLike = (view) => view && typeof view.name === 'string' && view.name.trim() && typeof view.query === 'string';
+
+export const loadSavedViews = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(isViewLike) : [];
+  } catch (error) {
+    console.warn('Could not read saved views from localStorage', error);
+    return [];
+  }
+};
+
+export const persistSavedViews = (views) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+  } catch (error) {
+    console.warn('Could not write saved views to localStorage', error);
+  }
+};
+
+export const createSavedView = (name, dashboardState) => {
+  const now = new Date().toISOString();
+  return { id: createId(), name: name.trim(), query: toViewQuery(dashboardState), createdAt: now, updatedAt: now };
+};
+
+export const renameSavedView = (views, id, name) =>
+  views.map(view => view.id === id ? { ...view, name: name.trim(), updatedAt: new Date().toISOString() } : view);
+
+export const deleteSavedView = (views, id) => views.filter(view => view.id !== id);
+
+export const getViewState = (view) => parseDashboardState(view.query);
+
+export const exportSavedViews = (views) => JSON.stringify({
+  type: EXPORT_TYPE,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  views: views.map(({ name, query, createdAt, updatedAt }) => ({ name, query, createdAt, updatedAt }))
+}, null, 2);
+
+// Accepts the export format above or a bare array of views; throws with a readable message otherwise
+export const parseImportedViews = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const views = Array.isArray(parsed) ? parsed : parsed && parsed.views;
+  if (!Array.isArray(views)) {
+    throw new Error('No saved views found in the file.');
+  }
+  if (!Array.isArray(parsed) && parsed.type !== EXPORT_TYPE) {
+    throw new Error('The file is not a dashboard views export.');
+  }
+
+  const now = new Date().toISOString();
+  return views.filter(isViewLike).map(view => ({
+    id: createId(),
+    name: view.name.trim(),
+    query: normalizeQuery(view.query),
+    createdAt: view.createdAt || now,
+    updatedAt: view.updatedAt || now
+  }));
+};
+
+// Append imported views, skipping exact duplicates of views that already exist
+export const mergeSavedViews = (existing, imported) => [
+  ...existing,
+  ...imported.filter(view => !existing.some(other => other.name === view.name && other.query === view.query))
+];
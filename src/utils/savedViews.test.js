@@ -0,0 +1,79 @@
+import {
+  loadSavedViews,
+  persistSavedViews,
+  createSavedView,
+  renameSavedView,
+  deleteSavedView,
+  getViewState,
+  exportSavedViews,
+  parseImportedViews,
+  mergeSavedViews
+} from './savedViews';
+import { createDefaultDashboardState } from './dashboardState';
+
+const view = (name, query) => ({ id: name, name, query, createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z' });
+
+afterEach(() => window.localStorage.clear());
+
+test('rejects malformed imports with a readable message', () => {
+  expect(() => parseImportedViews('{ not json')).toThrow('The file is not valid JSON.');
+  expect(() => parseImportedViews('{"type":"real-estate-dashboard-views"}')).toThrow('No saved views found in the file.');
+  expect(() => parseImportedViews('{"type":"something-else","views":[]}')).toThrow('The file is not a dashboard views export.');
+  expect(() => parseImportedViews('null')).toThrow('No saved views found in the file.');
+});
+
+test('round-trips an export and strips unknown or invalid state', () => {
+  const views = [view('Large AC', 'bedrooms=large&amenities=ac'), view('Heatmap', 'chart=heatmap')];
+  const imported = parseImportedViews(exportSavedViews(views));
+  expect(imported.map(({ name, query }) => ({ name, query }))).toEqual([
+    { name: 'Large AC', query: 'bedrooms=large&amenities=ac' },
+    { name: 'Heatmap', query: 'chart=heatmap' }
+  ]);
+  expect(imported[0].id).not.toBe('Large AC');
+
+  // A bare array is accepted; entries without a name or query are dropped and stale options removed
+  const cleaned = parseImportedViews(JSON.stringify([
+    { name: '  Edited ', query: 'chart=nope&report=1&bedrooms=small,huge&histogram.binCount=0&foo=bar&scatter.colorBy=stories' },
+    { name: '', query: 'chart=heatmap' },
+    { name: 'No query' }
+  ]));
+  expect(cleaned).toHaveLength(1);
+  expect(cleaned[0].name).toBe('Edited');
+  expect(cleaned[0].query).toBe('bedrooms=small&scatter.colorBy=stories');
+  expect(getViewState(cleaned[0]).chartSettings.histogram.binCount).toBe(15);
+});
+
+test('merging skips exact duplicates but keeps views that only share a name', () => {
+  const existing = [view('Family homes', 'bedrooms=medium')];
+  const merged = mergeSavedViews(existing, [
+    view('Family homes', 'bedrooms=medium'),
+    view('Family homes', 'bedrooms=medium&amenities=ac'),
+    view('Luxury', 'bedrooms=large')
+  ]);
+  expect(merged.map(v => v.query)).toEqual(['bedrooms=medium', 'bedrooms=medium&amenities=ac', 'bedrooms=large']);
+});
+
+test('persists views to localStorage and ignores corrupt entries', () => {
+  expect(loadSavedViews()).toEqual([]);
+
+  const state = createDefaultDashboardState();
+  state.filters.amenities = ['ac'];
+  state.report = true;
+  const saved = createSavedView('  With AC ', state);
+  expect(saved.name).toBe('With AC');
+  // The report being open is not part of the view
+  expect(saved.query).toBe('amenities=ac');
+  state.report = false;
+
+  const views = renameSavedView([saved, view('Other', 'chart=donut')], saved.id, 'Cooled');
+  persistSavedViews(views);
+  expect(loadSavedViews()).toEqual(views);
+  expect(getViewState(loadSavedViews()[0])).toEqual(state);
+  expect(deleteSavedView(views, saved.id).map(v => v.name)).toEqual(['Other']);
+
+  window.localStorage.setItem('realEstateDashboard.savedViews', JSON.stringify([{ name: 'Broken' }, views[1]]));
+  expect(loadSavedViews()).toEqual([views[1]]);
+  window.localStorage.setItem('realEstateDashboard.savedViews', '{ corrupt');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(loadSavedViews()).toEqual([]);
+});
@@ -0,0 +1,110 @@
+import { NUMERIC_FIELDS } from '../constants/fields';
+
+// Summary statistics for the overview panel and the report narrative
+
+const finiteValues = (values) => values.filter(Number.isFinite);
+
+export const mean = (values) => {
+  const finite = finiteValues(values);
+  return finite.length > 0 ? finite.reduce((a, b) => a + b, 0) / finite.length : undefined;
+};
+
+// Linear interpolation between the closest ranks, as in d3.quantile
+export const quantile = (values, p) => {
+  const sorted = finiteValues(values).sort((a, b) => a - b);
+  if (sorted.length === 0) return undefined;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+export const median = (values) => quantile(values, 0.5);
+
+// Pearson correlation of paired values; undefined when either side has no spread
+export const correlation = (xs, ys) => {
+  const pairs = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  if (pairs.length < 3) return undefined;
+  const meanX = mean(pairs.map(([x]) => x));
+  const meanY = mean(pairs.map(([, y]) => y));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : undefined;
+};
+
+// Sample standard deviation; undefined for fewer than two values
+export const deviation = (values) => {
+  const finite = finiteValues(values);
+  if (finite.length < 2) return undefined;
+  const center = mean(finite);
+  return Math.sqrt(finite.reduce((sum, v) => sum + (v - center) ** 2, 0) / (finite.length - 1));
+};
+
+// { count, mean, median, q1, q3, std, min, max } of the finite values, or null when there are none
+export const summarize = (values) => {
+  const finite = finiteValues(values);
+  if (finite.length === 0) return null;
+  return {
+    count: finite.length,
+    mean: mean(finite),
+    median: median(finite),
+    q1: quantile(finite, 0.25),
+    q3: quantile(finite, 0.75),
+    std: deviation(finite),
+    min: Math.min(...finite),
+    max: Math.max(...finite)
+  };
+};
+
+// Change from a reference value as a fraction (0.12 = 12% higher); undefined without a usable reference
+export const relativeChange = (value, reference) =>
+  Number.isFinite(value) && Number.isFinite(reference) && reference !== 0
+    ? (value - reference) / Math.abs(reference)
+    : undefined;
+
+// Fields summarized in the overview panel, and the discrete fields shown as distributions
+export const OVERVIEW_METRICS = ['price', 'area', 'pricePerSqFt'];
+export const OVERVIEW_DISTRIBUTIONS = ['bedrooms', 'bathrooms', 'stories', 'parking'];
+
+const countValues = (rows, key) => {
+  const counts = new Map();
+  rows.forEach(d => {
+    const value = NUMERIC_FIELDS[key].accessor(d);
+    if (Number.isFinite(value)) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return counts;
+};
+
+// Statistics of the shown properties next to the same figures for the full dataset:
+//   { count, fullCount,
+//     metrics: [{ key, summary, full }],                                     - summaries as above
+//     distributions: [{ key, values: [{ value, count, share, fullShare }] }] - every value in either set }
+export const calculateOverviewStats = (rows, fullRows = rows) => ({
+  count: rows.length,
+  fullCount: fullRows.length,
+  metrics: OVERVIEW_METRICS.map(key => ({
+    key,
+    summary: summarize(rows.map(NUMERIC_FIELDS[key].accessor)),
+    full: summarize(fullRows.map(NUMERIC_FIELDS[key].accessor))
+  })),
+  distributions: OVERVIEW_DISTRIBUTIONS.map(key => {
+    const counts = countValues(rows, key);
+    const fullCounts = countValues(fullRows, key);
+    const values = [...new Set([...fullCounts.keys(), ...counts.keys()])].sort((a, b) => a - b);
+    return {
+      key,
+      values: values.map(value => ({
+        value,
+        count: counts.get(value) || 0,
+        share: rows.length > 0 ? (counts.get(value) || 0) / rows.length : 0,
+        fullShare: fullRows.length > 0 ? (fullCounts.get(value) || 0) / fullRows.length : 0
+      }))
+    };
+  })
+});
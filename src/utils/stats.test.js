@@ -0,0 +1,51 @@
+import { quantile, median, correlation, summarize, relativeChange, calculateOverviewStats } from './stats';
+
+test('quantiles interpolate between ranks and ignore missing values', () => {
+  expect(median([4, 1, 3, 2])).toBe(2.5);
+  expect(quantile([10, 20, 30, 40, 50, NaN], 0.25)).toBe(20);
+  expect(median([])).toBeUndefined();
+});
+
+test('correlation needs spread on both sides', () => {
+  expect(correlation([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1);
+  expect(correlation([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1);
+  expect(correlation([1, 1, 1], [1, 2, 3])).toBeUndefined();
+});
+
+test('summaries cover center, spread and range', () => {
+  expect(summarize([1, 2, 3, 4, 5, NaN])).toEqual({ count: 5, mean: 3, median: 3, q1: 2, q3: 4, std: Math.sqrt(2.5), min: 1, max: 5 });
+  expect(summarize([7])).toMatchObject({ count: 1, median: 7, std: undefined });
+  expect(summarize([])).toBeNull();
+  expect(relativeChange(110, 100)).toBeCloseTo(0.1);
+  expect(relativeChange(5, 0)).toBeUndefined();
+});
+
+test('overview stats compare the shown properties with the full dataset', () => {
+  const full = [
+    { price: 2000000, area: 2000, bedrooms: 2, bathrooms: 1, stories: 1, parking: 0 },
+    { price: 4000000, area: 4000, bedrooms: 3, bathrooms: 1, stories: 2, parking: 1 },
+    { price: 6000000, area: 4000, bedrooms: 3, bathrooms: 2, stories: 2, parking: 2 },
+    { price: 8000000, area: 5000, bedrooms: 4, bathrooms: 2, stories: 3, parking: 3 }
+  ];
+  const stats = calculateOverviewStats(full.slice(1, 3), full);
+  expect(stats.count).toBe(2);
+  expect(stats.fullCount).toBe(4);
+
+  const price = stats.metrics.find(metric => metric.key === 'price');
+  expect(price.summary).toMatchObject({ median: 5000000, min: 4000000, max: 6000000 });
+  expect(price.full).toMatchObject({ median: 5000000, q1: 3500000, q3: 6500000 });
+
+  const bedrooms = stats.distributions.find(distribution => distribution.key === 'bedrooms');
+  expect(bedrooms.values).toEqual([
+    { value: 2, count: 0, share: 0, fullShare: 0.25 },
+    { value: 3, count: 2, share: 1, fullShare: 0.5 },
+    { value: 4, count: 0, share: 0, fullShare: 0.25 }
+  ]);
+});
+
+test('an empty selection has no summaries and zero shares', () => {
+  const stats = calculateOverviewStats([], [{ price: 1000000, area: 1000, bedrooms: 2, bathrooms: 1, stories: 1, parking: 0 }]);
+  expect(stats.count).toBe(0);
+  stats.metrics.forEach(metric => expect(metric.summary).toBeNull());
+  expect(stats.distributions[0].values).toEqual([{ value: 2, count: 0, share: 0, fullShare: 1 }]);
+});
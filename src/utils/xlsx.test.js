@@ -0,0 +1,61 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { crc32 } from './zip';
+import { createWorkbook, columnName, escapeXml } from './xlsx';
+
+global.TextEncoder = TextEncoder;
+
+// Read the entries of a stored (uncompressed) ZIP through its central directory
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014B50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.slice(offset + 46, offset + 46 + nameLength));
+    expect(view.getUint32(localOffset, true)).toBe(0x04034B50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = bytes.slice(dataStart, dataStart + size);
+    expect(crc32(data)).toBe(crc);
+    files[name] = new TextDecoder().decode(data);
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+test('computes standard CRC-32 checksums', () => {
+  expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+  expect(crc32(new Uint8Array(0))).toBe(0);
+});
+
+test('names columns and escapes XML text', () => {
+  expect([0, 25, 26, 27, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+  expect(escapeXml('<a & "b">\u0001')).toBe('&lt;a &amp; &quot;b&quot;&gt;');
+});
+
+test('writes a workbook package with one worksheet per sheet', () => {
+  const files = readZip(createWorkbook([
+    { name: 'Properties', rows: [['price', 'furnishing'], [4550000, 'semi-furnished'], [NaN, '']] },
+    { name: 'Info: [export]', rows: [['Field', 'Value']] }
+  ]));
+
+  expect(Object.keys(files)).toEqual([
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml',
+    'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'
+  ]);
+  expect(files['xl/workbook.xml']).toContain('<sheet name="Properties" sheetId="1" r:id="rId1"/>');
+  expect(files['xl/workbook.xml']).toContain('<sheet name="Info   export" sheetId="2" r:id="rId2"/>');
+  expect(files['[Content_Types].xml']).toContain('/xl/worksheets/sheet2.xml');
+
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">price</t></is></c>');
+  expect(sheet).toContain('<c r="A2"><v>4550000</v></c>');
+  expect(sheet).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">semi-furnished</t></is></c>');
+  expect(sheet).toContain('<row r="3"></row>');
+});
@@ -0,0 +1,91 @@
+// Minimal ZIP writer for generated files (the XLSX export). Entries are stored uncompressed,
+// which every unzip tool and spreadsheet application accepts.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS date and time fields used by ZIP headers (2-second resolution, local time)
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+const UTF8_NAMES = 0x0800;
+
+// files: [{ name: 'xl/workbook.xml', content: string | Uint8Array }] -> Uint8Array
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const entries = files.map(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    return { name, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+  const buffer = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+  const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+  const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+  const bytes = (value) => { buffer.set(value, offset); offset += value.length; };
+
+  // Fields shared by the local and central headers, from "version needed" to the extra field length
+  const commonFields = (entry) => {
+    u16(20);
+    u16(UTF8_NAMES);
+    u16(0); // stored
+    u16(time);
+    u16(date);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.data.length);
+    u16(entry.name.length);
+    u16(0);
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    u32(LOCAL_HEADER);
+    commonFields(entry);
+    bytes(entry.name);
+    bytes(entry.data);
+  });
+
+  const centralOffset = offset;
+  entries.forEach(entry => {
+    u32(CENTRAL_HEADER);
+    u16(20); // made by
+    commonFields(entry);
+    u16(0); // comment length
+    u16(0); // disk number
+    u16(0); // internal attributes
+    u32(0); // external attributes
+    u32(entry.offset);
+    bytes(entry.name);
+  });
+
+  u32(END_OF_CENTRAL_DIRECTORY);
+  u16(0);
+  u16(0);
+  u16(entries.length);
+  u16(entries.length);
+  u32(centralSize);
+  u32(centralOffset);
+  u16(0);
+
+  return buffer;
+};
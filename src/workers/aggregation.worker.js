@@ -0,0 +1,39 @@
+/* eslint-disable no-restricted-globals */
+import { computeDashboard } from '../utils/aggregations';
+
+// Message API (see useDashboardData):
+//   in:  { type: 'setData', rows }                     - replaces the rows later requests run on
+//        { type: 'compute', requestId, params }        - params as documented on computeDashboard
+//   out: { type: 'result', requestId, result }
+//        { type: 'error', requestId, message }
+// Only the latest request matters: a request is abandoned between steps once a newer one arrives.
+
+let rows = [];
+let latestRequestId = null;
+
+// Yield to the event loop so queued messages (newer requests) are received between steps
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const compute = async (requestId, params) => {
+  try {
+    const steps = computeDashboard(rows, params);
+    let step = steps.next();
+    while (!step.done) {
+      await nextTask();
+      if (requestId !== latestRequestId) return;
+      step = steps.next();
+    }
+    self.postMessage({ type: 'result', requestId, result: step.value });
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, message: error.message });
+  }
+};
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === 'setData') {
+    rows = message.rows;
+  } else if (message.type === 'compute') {
+    latestRequestId = message.requestId;
+    compute(message.requestId, message.params);
+  }
+};
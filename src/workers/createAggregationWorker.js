@@ -0,0 +1,6 @@
+// Kept in its own module: webpack bundles the worker from this `new URL(..., import.meta.url)`
+// pattern, but Jest can't parse import.meta. The unit tests call computeDashboard in
+// utils/aggregations directly and never load this file; a test that renders App would have to mock it.
+const createAggregationWorker = () => new Worker(new URL('./aggregation.worker.js', import.meta.url));
+
+export default createAggregationWorker;